@@ -0,0 +1,278 @@
+/**
+ * Admin API (JSON), mounted at /api/admin and open to API tokens with the `admin` scope only.
+ * Lists installations and their repositories, turns automatic review on or off per repository, sets the
+ * per-installation review settings (LLM provider and model and AI budget included), manages API tokens, and shows and replays recorded webhook deliveries.
+ */
+
+import express from 'express';
+import { REVIEW_EVENTS, resolveReviewSettings } from './repoConfig.js';
+import { listInstallations, getInstallation } from './installationStore.js';
+import {
+  getInstallationSettings,
+  updateInstallationSettings,
+  setAutoReview,
+  isAutoReviewEnabled,
+} from './installationSettings.js';
+import { TOKEN_SCOPES, createApiToken, listApiTokens, revokeApiToken } from './apiTokenStore.js';
+import { BadRequestError, NotFoundError, parsePositiveInteger, route, withStatus } from './apiUtils.js';
+import { getDB } from './db.js';
+import { PROVIDERS } from './llmProviders.js';
+import { getDelivery, listDeliveries } from './deliveryStore.js';
+import { replayDelivery } from './webhook.js';
+import { logger } from './logger.js';
+
+const BUDGET_KEYS = ['monthlyCostUsd', 'monthlyTokens', 'pullRequestCostUsd', 'pullRequestTokens'];
+const DEFAULT_DELIVERIES = 50;
+const MAX_DELIVERIES = 200;
+
+/**
+ * Settings an admin can change: request body key → stored path and validator.
+ */
+const EDITABLE_SETTINGS = {
+  provider: {
+    path: 'llm.provider',
+    valid: (v) => PROVIDERS.includes(v),
+    expected: `one of ${PROVIDERS.join(', ')}`,
+  },
+  model: {
+    path: 'llm.model',
+    valid: (v) => typeof v === 'string' && v.trim() !== '',
+    expected: 'a non-empty string',
+  },
+  reviewEvent: {
+    path: 'review.event',
+    valid: (v) => REVIEW_EVENTS.includes(v),
+    expected: `one of ${REVIEW_EVENTS.join(', ')}`,
+  },
+  createPatchPr: {
+    path: 'patchPr.enabled',
+    valid: (v) => typeof v === 'boolean',
+    expected: 'a boolean',
+  },
+  ignore: {
+    path: 'paths.ignore',
+    valid: (v) => Array.isArray(v) && v.every((glob) => typeof glob === 'string' && glob.trim() !== ''),
+    expected: 'a list of glob strings',
+  },
+  ...Object.fromEntries(
+    BUDGET_KEYS.map((key) => [
+      key,
+      {
+        path: `budget.${key}`,
+        valid: (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0,
+        expected: 'a non-negative number',
+      },
+    ])
+  ),
+};
+
+/**
+ * Validates a settings PATCH body. `null` clears a setting so the env default (or the repo config) applies again.
+ * @returns {Record<string, unknown>} Changes keyed by stored path
+ * @throws {BadRequestError}
+ */
+function parseSettingsChanges(body) {
+  if (body == null || typeof body !== 'object' || Array.isArray(body)) {
+    throw new BadRequestError('Request body must be a JSON object');
+  }
+  const changes = {};
+  const errors = [];
+  for (const [key, value] of Object.entries(body)) {
+    const setting = EDITABLE_SETTINGS[key];
+    if (!setting) errors.push(`Unknown setting \`${key}\``);
+    else if (value !== null && !setting.valid(value)) errors.push(`\`${key}\` must be ${setting.expected} or null`);
+    else changes[setting.path] = value;
+  }
+  if (errors.length > 0) throw new BadRequestError(errors.join('; '));
+  if (Object.keys(changes).length === 0) {
+    throw new BadRequestError(`Nothing to change; settings are ${Object.keys(EDITABLE_SETTINGS).join(', ')}`);
+  }
+  return changes;
+}
+
+/**
+ * The admin-editable settings as stored, and the values a review would use. Stored settings win over the repo's
+ * `.mergemonk.yml`; `repoOverridable` lists the effective values a repo can still change because no admin
+ * setting is stored for them (ignored paths are combined, so a repo can always add to them).
+ */
+function describeSettings(stored) {
+  const effective = resolveReviewSettings({}, stored);
+  const budgeted = Object.values(effective.budget).some((limit) => limit != null);
+  const repoOverridable = [
+    ...(stored.llm?.model == null && !budgeted ? ['model'] : []),
+    ...(stored.review?.event == null ? ['reviewEvent'] : []),
+    ...(stored.patchPr?.enabled == null ? ['createPatchPr'] : []),
+  ];
+  return {
+    stored: {
+      provider: stored.llm?.provider ?? null,
+      model: stored.llm?.model ?? null,
+      reviewEvent: stored.review?.event ?? null,
+      createPatchPr: stored.patchPr?.enabled ?? null,
+      ignore: stored.paths?.ignore ?? null,
+      budget: Object.fromEntries(BUDGET_KEYS.map((key) => [key, stored.budget?.[key] ?? null])),
+    },
+    effective: {
+      provider: effective.provider,
+      model: effective.model,
+      reviewEvent: effective.reviewEvent,
+      createPatchPr: effective.createPatchPr,
+      ignore: effective.ignore,
+      budget: effective.budget,
+    },
+    repoOverridable,
+  };
+}
+
+async function requireDelivery(deliveryId) {
+  const delivery = await getDelivery(deliveryId);
+  if (!delivery) throw new NotFoundError(`Delivery ${deliveryId} is not recorded (or has expired)`);
+  return delivery;
+}
+
+/**
+ * dryRun from `?dryRun=true` or a JSON body `{ "dryRun": true }`.
+ */
+function parseDryRun(req) {
+  const { dryRun } = req.body || {};
+  if (dryRun !== undefined && typeof dryRun !== 'boolean') throw new BadRequestError('`dryRun` must be a boolean');
+  return dryRun === true || req.query.dryRun === 'true';
+}
+
+async function requireInstallation(installationId) {
+  const installation = await getInstallation(installationId);
+  if (!installation) throw new NotFoundError(`Installation ${installationId} is not known`);
+  return installation;
+}
+
+export const adminRouter = express.Router();
+
+adminRouter.get(
+  '/installations',
+  route(async () => {
+    const installations = await listInstallations();
+    return installations && { installations };
+  })
+);
+
+adminRouter.get(
+  '/installations/:id',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const installation = await requireInstallation(installationId);
+    const stored = await getInstallationSettings(installationId);
+    return { ...installation, settings: describeSettings(stored) };
+  })
+);
+
+adminRouter.get(
+  '/installations/:id/repos',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const installation = await requireInstallation(installationId);
+    const stored = await getInstallationSettings(installationId);
+    const repos = (installation.repositories || []).map((r) => {
+      const [owner, repo] = r.fullName.split('/');
+      return { ...r, autoReview: isAutoReviewEnabled(stored, owner, repo) };
+    });
+    return { installationId, repositorySelection: installation.repositorySelection ?? null, repos };
+  })
+);
+
+adminRouter.put(
+  '/installations/:id/repos/:owner/:repo/auto-review',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const { owner, repo } = req.params;
+    if (typeof req.body?.enabled !== 'boolean') throw new BadRequestError('`enabled` must be a boolean');
+    await requireInstallation(installationId);
+    const fullName = `${owner}/${repo}`;
+    await setAutoReview(installationId, fullName, req.body.enabled, req.apiToken.name);
+    logger.info(`Admin ${req.apiToken.name}: automatic review ${req.body.enabled ? 'enabled' : 'disabled'} for ${fullName}`);
+    return { installationId, repo: fullName, autoReview: req.body.enabled };
+  })
+);
+
+adminRouter.patch(
+  '/installations/:id/settings',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const changes = parseSettingsChanges(req.body);
+    await requireInstallation(installationId);
+    const stored = await updateInstallationSettings(installationId, changes, req.apiToken.name);
+    logger.info(`Admin ${req.apiToken.name}: updated settings of installation ${installationId} (${Object.keys(changes).join(', ')})`);
+    return { installationId, settings: describeSettings(stored) };
+  })
+);
+
+adminRouter.get(
+  '/tokens',
+  route(async () => {
+    const tokens = await listApiTokens();
+    return tokens && { tokens };
+  })
+);
+
+adminRouter.post(
+  '/tokens',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const { name, scope = 'read' } = req.body || {};
+    if (typeof name !== 'string' || name.trim() === '') throw new BadRequestError('`name` must be a non-empty string');
+    if (!TOKEN_SCOPES.includes(scope)) throw new BadRequestError(`\`scope\` must be one of ${TOKEN_SCOPES.join(', ')}`);
+    const created = await createApiToken({ name: name.trim(), scope, createdBy: req.apiToken.name });
+    logger.info(`Admin ${req.apiToken.name}: created ${scope} API token ${created.id} (${created.name})`);
+    return withStatus(201, created);
+  })
+);
+
+adminRouter.delete(
+  '/tokens/:tokenId',
+  route(async (req) => {
+    const revoked = await revokeApiToken(req.params.tokenId);
+    if (revoked === null) return null;
+    if (!revoked) throw new NotFoundError(`No API token with id ${req.params.tokenId}`);
+    logger.info(`Admin ${req.apiToken.name}: revoked API token ${req.params.tokenId}`);
+    return { revoked: req.params.tokenId };
+  })
+);
+
+adminRouter.get(
+  '/deliveries',
+  route(async (req) => {
+    const limit = Math.min(parsePositiveInteger(req.query.limit, 'limit', DEFAULT_DELIVERIES), MAX_DELIVERIES);
+    const deliveries = await listDeliveries({ event: req.query.event, repo: req.query.repo, limit });
+    return deliveries && { deliveries };
+  })
+);
+
+adminRouter.get(
+  '/deliveries/:deliveryId',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const { _id, ...delivery } = await requireDelivery(req.params.deliveryId);
+    return { deliveryId: _id, ...delivery };
+  })
+);
+
+adminRouter.post(
+  '/replay/:deliveryId',
+  route(async (req) => {
+    if (!getDB()) return null;
+    const dryRun = parseDryRun(req);
+    const delivery = await requireDelivery(req.params.deliveryId);
+    if (delivery.event !== 'pull_request') {
+      throw new BadRequestError(`Only pull_request deliveries can be replayed; ${delivery._id} is ${delivery.event}`);
+    }
+    if (!delivery.payload) throw new BadRequestError(`The payload of delivery ${delivery._id} was too large to keep`);
+    logger.info(`Admin ${req.apiToken.name}: ${dryRun ? 'dry-run ' : ''}replay of delivery ${delivery._id}`);
+    const replay = await replayDelivery(delivery, { dryRun });
+    if (!replay.queued) throw new BadRequestError(`Delivery ${delivery._id} cannot be replayed: ${replay.blocked}`);
+    // A dry run's review is saved with the delivery once its job ran (runs[].result in GET /deliveries/:deliveryId).
+    return withStatus(202, { deliveryId: delivery._id, dryRun, queued: true, jobId: replay.jobId, headSha: replay.headSha });
+  })
+);
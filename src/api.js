@@ -0,0 +1,82 @@
+/**
+ * Read API for review history and AI usage (JSON), plus the admin API under /admin (adminApi.js).
+ * Every route requires `Authorization: Bearer <token>`: a stored API token, or MERGEMONK_API_TOKEN for the
+ * read routes. Data comes from MongoDB, so the API answers 503 without it.
+ */
+
+import express from 'express';
+import {
+  STATS_INTERVALS,
+  listInstallationRepos,
+  listRepoReviews,
+  getRepoStats,
+} from './reviewHistoryStore.js';
+import { getInstallationUsage } from './usageStore.js';
+import { getInstallationSettings } from './installationSettings.js';
+import { resolveReviewSettings } from './repoConfig.js';
+import { BadRequestError, requireApiToken, parseDate, parsePositiveInteger, route } from './apiUtils.js';
+import { adminRouter } from './adminApi.js';
+
+const DEFAULT_PER_PAGE = 30;
+const MAX_PER_PAGE = 100;
+
+export const apiRouter = express.Router();
+
+apiRouter.use('/admin', requireApiToken('admin'), adminRouter);
+apiRouter.use(requireApiToken('read'));
+
+apiRouter.get(
+  '/installations/:id/repos',
+  route(async (req) => {
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const repos = await listInstallationRepos(installationId);
+    return repos && { installationId, repos };
+  })
+);
+
+apiRouter.get(
+  '/installations/:id/usage',
+  route(async (req) => {
+    const installationId = parsePositiveInteger(req.params.id, 'id');
+    const usage = await getInstallationUsage(installationId, {
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+    });
+    if (!usage) return null;
+    const { budget } = resolveReviewSettings({}, await getInstallationSettings(installationId));
+    return { installationId, budget, ...usage };
+  })
+);
+
+apiRouter.get(
+  '/repos/:owner/:repo/reviews',
+  route(async (req) => {
+    const { owner, repo } = req.params;
+    const page = parsePositiveInteger(req.query.page, 'page', 1);
+    const perPage = Math.min(parsePositiveInteger(req.query.per_page, 'per_page', DEFAULT_PER_PAGE), MAX_PER_PAGE);
+    const result = await listRepoReviews(owner, repo, {
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+      page,
+      perPage,
+    });
+    return result && { owner, repo, page, perPage, total: result.total, reviews: result.reviews };
+  })
+);
+
+apiRouter.get(
+  '/repos/:owner/:repo/stats',
+  route(async (req) => {
+    const { owner, repo } = req.params;
+    const interval = req.query.interval || 'week';
+    if (!STATS_INTERVALS.includes(interval)) {
+      throw new BadRequestError(`\`interval\` must be one of ${STATS_INTERVALS.join(', ')}`);
+    }
+    const stats = await getRepoStats(owner, repo, {
+      since: parseDate(req.query.since, 'since'),
+      until: parseDate(req.query.until, 'until'),
+      interval,
+    });
+    return stats && { owner, repo, interval, ...stats };
+  })
+);
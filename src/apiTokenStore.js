@@ -0,0 +1,97 @@
+/**
+ * API tokens in MongoDB (`api_tokens`). Only the SHA-256 hash of a token is stored; the token itself is
+ * shown once when it is created. Scopes: `read` (review history and usage) and `admin` (also the admin API).
+ */
+
+import crypto from 'node:crypto';
+import { getDB } from './db.js';
+import { logger } from './logger.js';
+
+const API_TOKENS_COLLECTION = 'api_tokens';
+const TOKEN_PREFIX = 'mm_';
+
+export const TOKEN_SCOPES = Object.freeze(['read', 'admin']);
+
+/**
+ * @param {string} token
+ * @returns {string} Hex SHA-256 of the token
+ */
+export function hashApiToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Creates a token. The returned token is not stored anywhere and cannot be shown again.
+ * @param {{ name: string, scope: 'read'|'admin', createdBy?: string|null }} options
+ * @returns {Promise<{ token: string, id: string, name: string, scope: string }>}
+ * @throws {Error} Without MongoDB
+ */
+export async function createApiToken({ name, scope, createdBy = null }) {
+  const db = getDB();
+  if (!db) throw new Error('MongoDB is required to store API tokens');
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const hash = hashApiToken(token);
+  // The id is a prefix of the hash: enough to list and revoke a token, useless for authenticating.
+  const id = hash.slice(0, 12);
+  await db.collection(API_TOKENS_COLLECTION).insertOne({
+    _id: hash,
+    id,
+    name,
+    scope,
+    createdBy,
+    createdAt: new Date(),
+    lastUsedAt: null,
+  });
+  return { token, id, name, scope };
+}
+
+/**
+ * Looks up a presented token and records its use.
+ * @param {string} token
+ * @returns {Promise<{ id: string, name: string, scope: string }|null>} null when unknown (or no MongoDB)
+ */
+export async function findApiToken(token) {
+  const db = getDB();
+  if (!db || !token.startsWith(TOKEN_PREFIX)) return null;
+  const tokens = db.collection(API_TOKENS_COLLECTION);
+  const doc = await tokens.findOne({ _id: hashApiToken(token) });
+  if (!doc) return null;
+  tokens
+    .updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date() } })
+    .catch((err) => logger.warn('Failed to record API token use:', err.message));
+  return { id: doc.id, name: doc.name, scope: doc.scope };
+}
+
+/**
+ * @returns {Promise<Array<{ id: string, name: string, scope: string, createdBy: string|null, createdAt: Date, lastUsedAt: Date|null }>|null>} null without MongoDB
+ */
+export async function listApiTokens() {
+  const db = getDB();
+  if (!db) return null;
+  return db
+    .collection(API_TOKENS_COLLECTION)
+    .find({}, { projection: { _id: 0 } })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * Revokes a token by its id.
+ * @param {string} id
+ * @returns {Promise<boolean|null>} false when no token has this id; null without MongoDB
+ */
+export async function revokeApiToken(id) {
+  const db = getDB();
+  if (!db) return null;
+  const { deletedCount } = await db.collection(API_TOKENS_COLLECTION).deleteOne({ id });
+  return deletedCount > 0;
+}
+
+/**
+ * Creates the unique index on token ids. Safe to call on every startup.
+ */
+export async function ensureApiTokenIndexes() {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(API_TOKENS_COLLECTION).createIndex({ id: 1 }, { unique: true });
+}
@@ -0,0 +1,120 @@
+/**
+ * Shared pieces of the JSON API: bearer token authentication, query parsing and the route wrapper
+ * that maps errors to status codes.
+ */
+
+import crypto from 'node:crypto';
+import { getDB } from './db.js';
+import { findApiToken } from './apiTokenStore.js';
+import { logger } from './logger.js';
+
+/**
+ * Thrown for invalid query parameters or request bodies; answered with 400.
+ */
+export class BadRequestError extends Error {}
+
+/**
+ * Thrown when the addressed resource does not exist; answered with 404.
+ */
+export class NotFoundError extends Error {}
+
+/**
+ * Constant-time comparison of a presented token with the expected one.
+ * @returns {boolean}
+ */
+export function tokensMatch(received, expected) {
+  const a = crypto.createHash('sha256').update(received).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware factory: checks the bearer token. Tokens stored in MongoDB (see apiTokenStore.js) carry a
+ * scope; an admin token also passes read checks. MERGEMONK_API_TOKEN grants read access only.
+ * @param {'read'|'admin'} scope - Scope the route needs
+ */
+export function requireApiToken(scope) {
+  return async (req, res, next) => {
+    const envToken = process.env.MERGEMONK_API_TOKEN;
+    if (!envToken && !getDB()) {
+      return res.status(503).json({ error: 'API disabled; set MERGEMONK_API_TOKEN or configure MongoDB for API tokens' });
+    }
+    const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+    if (!match) return res.status(401).json({ error: 'Invalid or missing API token' });
+    const presented = match[1].trim();
+    if (envToken && tokensMatch(presented, envToken)) {
+      if (scope !== 'read') return res.status(403).json({ error: `This token does not have the ${scope} scope` });
+      req.apiToken = { id: 'env', name: 'MERGEMONK_API_TOKEN', scope: 'read' };
+      return next();
+    }
+    let token;
+    try {
+      token = await findApiToken(presented);
+    } catch (err) {
+      logger.error('API token lookup failed:', err.message);
+      return res.status(500).json({ error: 'Internal error' });
+    }
+    if (!token) return res.status(401).json({ error: 'Invalid or missing API token' });
+    if (scope === 'admin' && token.scope !== 'admin') {
+      return res.status(403).json({ error: 'This token does not have the admin scope' });
+    }
+    req.apiToken = token;
+    next();
+  };
+}
+
+/**
+ * @returns {Date|undefined}
+ * @throws {BadRequestError}
+ */
+export function parseDate(value, name) {
+  if (value == null || value === '') return undefined;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new BadRequestError(`\`${name}\` must be an ISO 8601 date`);
+  return date;
+}
+
+/**
+ * @returns {number}
+ * @throws {BadRequestError}
+ */
+export function parsePositiveInteger(value, name, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) throw new BadRequestError(`\`${name}\` must be a positive integer`);
+  return n;
+}
+
+class StatusResult {
+  constructor(status, body) {
+    this.status = status;
+    this.body = body;
+  }
+}
+
+/**
+ * Wraps an async route: maps BadRequestError to 400, NotFoundError to 404, a null result (no MongoDB) to 503,
+ * other errors to 500. A handler may return `{ status, body }` via `withStatus` to answer with another 2xx.
+ */
+export function route(handler) {
+  return async (req, res) => {
+    try {
+      const result = await handler(req);
+      if (result == null) return res.status(503).json({ error: 'MongoDB is not configured' });
+      if (result instanceof StatusResult) return res.status(result.status).json(result.body);
+      res.json(result);
+    } catch (err) {
+      if (err instanceof BadRequestError) return res.status(400).json({ error: err.message });
+      if (err instanceof NotFoundError) return res.status(404).json({ error: err.message });
+      logger.error(`API ${req.method} ${req.originalUrl} failed:`, err.message);
+      res.status(500).json({ error: 'Internal error' });
+    }
+  };
+}
+
+/**
+ * Answers a `route` handler with a specific status, e.g. withStatus(201, created).
+ */
+export function withStatus(status, body) {
+  return new StatusResult(status, body);
+}
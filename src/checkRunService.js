@@ -0,0 +1,167 @@
+/**
+ * Publishes review results as a GitHub Check Run on the PR head SHA: in_progress while the review runs,
+ * then completed with the review body as output and one annotation per finding. The conclusion comes from
+ * severity thresholds, so teams can make "MergeMonk" a required status check.
+ */
+
+import { SEVERITIES, meetsSeverity, isSeverity } from './severity.js';
+import { stripMarkers } from './commentMarkers.js';
+import { logger } from './logger.js';
+
+export const CHECK_RUN_NAME = 'MergeMonk';
+
+// GitHub accepts at most 50 annotations per create/update call and 65535 chars per output field.
+const ANNOTATIONS_PER_REQUEST = 50;
+const MAX_OUTPUT_CHARS = 65535;
+
+const ANNOTATION_LEVELS = {
+  blocker: 'failure',
+  major: 'failure',
+  minor: 'warning',
+  nit: 'notice',
+};
+
+function truncateOutput(text) {
+  return text.length > MAX_OUTPUT_CHARS ? `${text.slice(0, MAX_OUTPUT_CHARS - 20)}\n\n… (truncated)` : text;
+}
+
+/**
+ * Findings without a severity are treated as minor.
+ */
+function severityOf(finding) {
+  return isSeverity(finding.severity) ? finding.severity : 'minor';
+}
+
+/**
+ * Picks the conclusion: failure if any finding reaches failOn, neutral if any reaches neutralOn, else success.
+ * @param {Array<{ severity?: string }>} findings
+ * @param {{ failOn: string, neutralOn: string }} thresholds
+ * @returns {'success'|'neutral'|'failure'}
+ */
+export function getCheckConclusion(findings, thresholds) {
+  const severities = findings.map(severityOf);
+  if (severities.some((s) => meetsSeverity(s, thresholds.failOn))) return 'failure';
+  if (severities.some((s) => meetsSeverity(s, thresholds.neutralOn))) return 'neutral';
+  return 'success';
+}
+
+function toAnnotation(finding) {
+  const severity = severityOf(finding);
+  return {
+    path: finding.path,
+    start_line: finding.startLine ?? finding.line,
+    end_line: finding.line,
+    annotation_level: ANNOTATION_LEVELS[severity],
+    title: finding.ruleId ? `${severity}: ${finding.ruleId}` : severity,
+    message: stripMarkers(finding.body).slice(0, MAX_OUTPUT_CHARS),
+  };
+}
+
+/**
+ * Creates an in_progress check run for the head SHA. Failures (e.g. the installation lacks the
+ * checks permission) are logged and return null so the review still goes ahead.
+ * @returns {Promise<number|null>} Check run id
+ */
+export async function startCheckRun(octokit, owner, repo, headSha) {
+  try {
+    const { data } = await octokit.checks.create({
+      owner,
+      repo,
+      name: CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'in_progress',
+      started_at: new Date().toISOString(),
+      output: { title: 'Review in progress', summary: 'MergeMonk is reviewing this pull request.' },
+    });
+    return data.id;
+  } catch (err) {
+    logger.warn(`Could not create check run for ${owner}/${repo}@${headSha.slice(0, 7)}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Completes the check run with the review as output and the findings as annotations.
+ * @param {object} octokit - Installation Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} checkRunId - From startCheckRun
+ * @param {{ body: string, findings: Array<{ path: string, line: number, startLine?: number, side?: string, severity?: string, ruleId?: string, body: string }>, thresholds: { failOn: string, neutralOn: string } }} result
+ * @returns {Promise<string>} The conclusion
+ */
+export async function completeCheckRun(octokit, owner, repo, checkRunId, { body, findings, thresholds }) {
+  // Annotations point at the head commit, so findings on removed (LEFT) lines only count towards the conclusion.
+  const located = findings.filter((f) => f.path && Number.isInteger(f.line) && f.line > 0 && f.side !== 'LEFT');
+  const conclusion = getCheckConclusion(findings, thresholds);
+  const counts = SEVERITIES.slice()
+    .reverse()
+    .map((s) => [s, findings.filter((f) => severityOf(f) === s).length])
+    .filter(([, n]) => n > 0)
+    .map(([s, n]) => `${n} ${s}`);
+  const title = findings.length === 0 ? 'No issues found' : `${findings.length} finding(s): ${counts.join(', ')}`;
+  const summary = truncateOutput(
+    `Conclusion: **${conclusion}** (fails on ${thresholds.failOn} or above, neutral on ${thresholds.neutralOn} or above).`
+  );
+  const annotations = located.map(toAnnotation);
+
+  // The first call completes the run; further calls only append the remaining annotations.
+  await octokit.checks.update({
+    owner,
+    repo,
+    check_run_id: checkRunId,
+    status: 'completed',
+    conclusion,
+    completed_at: new Date().toISOString(),
+    output: { title, summary, text: truncateOutput(body), annotations: annotations.slice(0, ANNOTATIONS_PER_REQUEST) },
+  });
+  for (let i = ANNOTATIONS_PER_REQUEST; i < annotations.length; i += ANNOTATIONS_PER_REQUEST) {
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      output: { title, summary, annotations: annotations.slice(i, i + ANNOTATIONS_PER_REQUEST) },
+    });
+  }
+  return conclusion;
+}
+
+/**
+ * Publishes a completed, neutral check run for a head SHA MergeMonk will not review (automatic reviews paused
+ * or turned off), so a required MergeMonk check does not wait forever. Failures are logged.
+ * @param {string} reason - Shown as the check's summary
+ */
+export async function skipCheckRun(octokit, owner, repo, headSha, reason) {
+  try {
+    await octokit.checks.create({
+      owner,
+      repo,
+      name: CHECK_RUN_NAME,
+      head_sha: headSha,
+      status: 'completed',
+      conclusion: 'neutral',
+      completed_at: new Date().toISOString(),
+      output: { title: 'Review skipped', summary: truncateOutput(reason) },
+    });
+  } catch (err) {
+    logger.warn(`Could not create check run for ${owner}/${repo}@${headSha.slice(0, 7)}:`, err.message);
+  }
+}
+
+/**
+ * Marks the check run as cancelled when the review itself failed. A retried review creates a new run.
+ */
+export async function failCheckRun(octokit, owner, repo, checkRunId, err) {
+  try {
+    await octokit.checks.update({
+      owner,
+      repo,
+      check_run_id: checkRunId,
+      status: 'completed',
+      conclusion: 'cancelled',
+      completed_at: new Date().toISOString(),
+      output: { title: 'Review failed', summary: truncateOutput(`MergeMonk could not finish the review: ${err.message}`) },
+    });
+  } catch (updateErr) {
+    logger.warn('Failed to update check run:', updateErr.message);
+  }
+}
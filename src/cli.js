@@ -0,0 +1,213 @@
+#!/usr/bin/env node
+/**
+ * MergeMonk on the command line: reviews a local diff with the same engine as the GitHub App, before a PR exists.
+ *   mergemonk review                                # working tree against HEAD
+ *   mergemonk review --base origin/main --fail-on major    # commits since origin/main, e.g. in a pre-push hook
+ *   git diff main | mergemonk review - --format json
+ *   mergemonk review changes.patch --format sarif > mergemonk.sarif
+ * Uses the LLM provider configured in the environment (same variables as the server) and the local rule engine
+ * without one. Reads `.mergemonk.yml` from the current directory.
+ * Exit codes: 0 = nothing at or above --fail-on, 1 = findings at or above it, 2 = usage, input or other error.
+ */
+
+import 'dotenv/config';
+import fs from 'node:fs';
+import { execFileSync } from 'node:child_process';
+import { parseArgs } from 'node:util';
+import { parseUnifiedDiff } from './diffUtils.js';
+import { addFingerprints } from './findingFingerprints.js';
+import { runAIReview, runReview } from './reviewEngine.js';
+import { CONFIG_PATH, parseRepoConfig, resolveReviewSettings, isPathIncluded } from './repoConfig.js';
+import { SEVERITIES, isSeverity, meetsSeverity } from './severity.js';
+import { isProviderConfigured } from './llmProviders.js';
+import { scanFilesForSecrets } from './secretScanner.js';
+import { toSarif } from './sarif.js';
+import { setLogFormat } from './logger.js';
+
+const FORMATS = ['markdown', 'json', 'sarif'];
+
+const EXIT_FINDINGS = 1;
+const EXIT_USAGE = 2;
+
+const USAGE = `Usage: mergemonk review [<file.patch> | -] [options]
+
+Reviews a unified diff: a .patch file, stdin (-), or by default \`git diff HEAD\` (or \`git diff <base>...HEAD\`).
+
+Options:
+  --base <ref>          Review the commits since <ref> (git diff <ref>...HEAD)
+  --format <format>     ${FORMATS.join(', ')} (default: markdown)
+  --fail-on <severity>  Exit with 1 when a finding is at or above ${SEVERITIES.join(', ')}, or none
+                        (default: checkRun.failOn from ${CONFIG_PATH}, else MERGEMONK_CHECK_FAIL_ON, else major)
+  --config <path>       Config file (default: ${CONFIG_PATH} if it exists)
+  --title <text>        Title for the AI prompt (default: the last commit subject)
+  -h, --help            Show this help`;
+
+class UsageError extends Error {}
+
+function parseCommandLine(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        base: { type: 'string' },
+        format: { type: 'string', default: 'markdown' },
+        'fail-on': { type: 'string' },
+        config: { type: 'string' },
+        title: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+  const [command, input, ...extra] = positionals;
+  if (command !== 'review') throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+  if (extra.length > 0) throw new UsageError(`Unexpected arguments: ${extra.join(' ')}`);
+  if (input && values.base) throw new UsageError('Give either a diff input or --base, not both');
+  if (!FORMATS.includes(values.format)) throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  const failOn = values['fail-on'];
+  if (failOn !== undefined && failOn !== 'none' && !isSeverity(failOn)) {
+    throw new UsageError(`--fail-on must be one of ${SEVERITIES.join(', ')} or none`);
+  }
+  return { input, base: values.base, format: values.format, failOn, config: values.config, title: values.title };
+}
+
+function git(args) {
+  return execFileSync('git', args, { encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+/**
+ * Reads the diff to review. stdin is only read when asked for with `-`: git hooks get their own input on stdin.
+ */
+function readDiff({ input, base }) {
+  if (input === '-') return fs.readFileSync(0, 'utf-8');
+  if (input) return fs.readFileSync(input, 'utf-8');
+  return git(base ? ['diff', `${base}...HEAD`] : ['diff', 'HEAD']);
+}
+
+function lastCommitSubject() {
+  try {
+    return git(['log', '-1', '--format=%s']).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Loads `.mergemonk.yml` (or --config). Problems are reported on stderr and the valid settings are kept.
+ */
+function loadLocalConfig(configPath) {
+  const path = configPath ?? CONFIG_PATH;
+  if (!configPath && !fs.existsSync(path)) return {};
+  const { config, errors } = parseRepoConfig(fs.readFileSync(path, 'utf-8'));
+  for (const error of errors) console.error(`${path}: ${error}`);
+  return config;
+}
+
+/**
+ * Runs the same checks as a PR review: the AI review when a provider is configured, the rule engine and
+ * secret detection. A failing AI review falls back to the rules, like on GitHub.
+ */
+async function reviewFiles(files, settings, title) {
+  const ruleResult = runReview(files, settings.rules);
+  let review = { body: ruleResult.body, comments: ruleResult.comments, qualityRating: null, assessments: null };
+  let fallbackReason = 'no-provider';
+  let usage = null;
+  if (isProviderConfigured(settings.provider)) {
+    try {
+      const result = await runAIReview(title, '', files, settings);
+      review = { ...result, comments: [...result.comments, ...ruleResult.comments] };
+      fallbackReason = null;
+      usage = result.usage;
+    } catch (err) {
+      console.error(`AI review failed, using the rule engine only: ${err.message}`);
+      fallbackReason = 'ai-error';
+      usage = err.usage ?? null;
+    }
+  }
+  const disabledRules = new Set(settings.rules.disable);
+  const secretFindings = scanFilesForSecrets(files).filter((f) => !disabledRules.has(f.ruleId));
+  const findings = addFingerprints(
+    [...secretFindings, ...review.comments].filter((c) => meetsSeverity(c.severity, settings.minSeverity)),
+    files
+  );
+  return { ...review, findings, fallbackReason, usage };
+}
+
+function formatMarkdown(result) {
+  const lines = [result.body, '', `## Findings (${result.findings.length})`];
+  for (const f of result.findings) {
+    const location = f.side === 'LEFT' ? `${f.path} (removed line ${f.line})` : `${f.path}:${f.line}`;
+    lines.push('', `### \`${location}\``, '', f.body);
+  }
+  return lines.join('\n');
+}
+
+function formatJSON(result) {
+  const findings = result.findings.map((f) => ({
+    path: f.path,
+    line: f.line,
+    side: f.side ?? 'RIGHT',
+    startLine: f.startLine ?? null,
+    severity: f.severity ?? null,
+    category: f.category ?? null,
+    ruleId: f.ruleId ?? null,
+    body: f.body,
+    suggestion: f.suggestion ?? null,
+    fingerprint: f.fingerprint,
+  }));
+  const { body, qualityRating, assessments, fallbackReason, usage } = result;
+  return JSON.stringify({ body, qualityRating, assessments, fallbackReason, usage, findings }, null, 2);
+}
+
+async function main() {
+  // Warnings from the review engine are read in a terminal here, not by a log collector.
+  if (!process.env.MERGEMONK_LOG_FORMAT) setLogFormat('text');
+  let options;
+  try {
+    options = parseCommandLine(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let diff;
+  try {
+    diff = readDiff(options);
+  } catch (err) {
+    console.error(`Could not read the diff: ${err.stderr?.trim() || err.message}`);
+    process.exitCode = EXIT_USAGE;
+    return;
+  }
+  const settings = resolveReviewSettings(loadLocalConfig(options.config));
+  const files = parseUnifiedDiff(diff).filter((f) => isPathIncluded(f.filename, settings));
+  if (!files.some((f) => f.patch)) {
+    console.error('Nothing to review: the diff has no changes in included files');
+    return;
+  }
+
+  const result = await reviewFiles(files, settings, options.title ?? lastCommitSubject());
+  if (options.format === 'sarif') console.log(JSON.stringify(toSarif(result.findings), null, 2));
+  else if (options.format === 'json') console.log(formatJSON(result));
+  else console.log(formatMarkdown(result));
+
+  const failOn = options.failOn ?? settings.checkRun.failOn;
+  if (failOn !== 'none' && result.findings.some((f) => meetsSeverity(f.severity ?? 'minor', failOn))) {
+    process.exitCode = EXIT_FINDINGS;
+  }
+}
+
+main().catch((err) => {
+  console.error('Review failed:', err.message);
+  process.exitCode = EXIT_USAGE;
+});
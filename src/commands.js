@@ -0,0 +1,170 @@
+/**
+ * `@mergemonk` slash commands in PR comments (issue_comment events).
+ * Only users with write access can run commands. Each command is acknowledged with a reaction;
+ * errors are reported in a reply.
+ */
+
+import { enqueueReviewJob } from './reviewQueue.js';
+import { updatePullRequestState } from './prStateStore.js';
+import { logger } from './logger.js';
+
+const WRITE_PERMISSIONS = new Set(['admin', 'maintain', 'write']);
+
+// Pause state lives in pull_request_state; without MongoDB there is nowhere to keep it.
+const PAUSE_NEEDS_DB = 'Pausing and resuming automatic reviews needs MongoDB, which this MergeMonk instance is not configured with. Nothing was changed.';
+
+export const COMMANDS_HELP = [
+  '**MergeMonk commands** (requires write access):',
+  '',
+  '- `@mergemonk review` – review the whole PR again',
+  '- `@mergemonk review <path/glob>` – review only files matching the glob, e.g. `@mergemonk review src/api/**`',
+  '- `@mergemonk patch` – open a PR with the suggested fixes (suggestion comments on fork PRs)',
+  '- `@mergemonk pause` – stop automatic reviews on this PR',
+  '- `@mergemonk resume` – turn automatic reviews back on',
+  '- `@mergemonk help` – show this list',
+].join('\n');
+
+function getMention() {
+  return (process.env.MERGEMONK_BOT_MENTION || 'mergemonk').replace(/^@/, '');
+}
+
+/**
+ * Extracts the first `@mergemonk <command> [argument]` from a comment body.
+ * @param {string} body - Comment body
+ * @returns {{ name: string, arg: string|null }|null} null when the comment does not mention the bot
+ */
+export function parseCommand(body) {
+  if (!body) return null;
+  const mention = getMention().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const re = new RegExp(`(?:^|\\s)@${mention}\\b[ \\t]*([\\w-]*)(?:[ \\t]+(\\S+))?`, 'im');
+  const match = body.match(re);
+  if (!match) return null;
+  return { name: (match[1] || 'help').toLowerCase(), arg: match[2] || null };
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the user can push to the repo (write, maintain or admin)
+ */
+export async function hasWriteAccess(octokit, owner, repo, username) {
+  try {
+    const { data } = await octokit.repos.getCollaboratorPermissionLevel({ owner, repo, username });
+    return WRITE_PERMISSIONS.has(data.role_name) || WRITE_PERMISSIONS.has(data.permission);
+  } catch (err) {
+    if (err.status === 404) return false;
+    throw err;
+  }
+}
+
+async function react(octokit, owner, repo, commentId, content) {
+  try {
+    await octokit.reactions.createForIssueComment({ owner, repo, comment_id: commentId, content });
+  } catch (err) {
+    logger.warn('Failed to add reaction:', err.message);
+  }
+}
+
+/**
+ * Replies on the PR conversation, quoting the command comment.
+ */
+export async function replyToCommand(octokit, owner, repo, pullNumber, author, text) {
+  await octokit.issues.createComment({
+    owner,
+    repo,
+    issue_number: pullNumber,
+    body: `@${author} ${text}`,
+  });
+}
+
+/**
+ * Runs one parsed command. Review and patch are queued; the rest complete immediately.
+ * @returns {Promise<string>} Reaction to acknowledge the command with
+ */
+async function runCommand(octokit, command, ctx) {
+  const { installationId, owner, repo, pullNumber, author, commentId, deliveryId } = ctx;
+  const commandInfo = { commentId, author, text: `@${getMention()} ${command.name}${command.arg ? ` ${command.arg}` : ''}` };
+  switch (command.name) {
+    case 'review':
+      await enqueueReviewJob({
+        installationId,
+        owner,
+        repo,
+        pullNumber,
+        type: 'manual-review',
+        deliveryId,
+        options: { full: true, paths: command.arg ? [command.arg] : [], command: commandInfo },
+      });
+      return 'eyes';
+    case 'patch':
+      await enqueueReviewJob({
+        installationId,
+        owner,
+        repo,
+        pullNumber,
+        type: 'patch',
+        deliveryId,
+        options: { command: commandInfo },
+      });
+      return 'eyes';
+    case 'pause':
+      if (!(await updatePullRequestState(owner, repo, pullNumber, { paused: true, pausedBy: author }))) {
+        throw new Error(PAUSE_NEEDS_DB);
+      }
+      await replyToCommand(octokit, owner, repo, pullNumber, author, 'Automatic reviews are paused for this PR. Use `@' + getMention() + ' resume` to turn them back on.');
+      return '+1';
+    case 'resume':
+      if (!(await updatePullRequestState(owner, repo, pullNumber, { paused: false, pausedBy: null }))) {
+        throw new Error(PAUSE_NEEDS_DB);
+      }
+      await replyToCommand(octokit, owner, repo, pullNumber, author, 'Automatic reviews are back on for this PR.');
+      return '+1';
+    case 'help':
+      await replyToCommand(octokit, owner, repo, pullNumber, author, `\n\n${COMMANDS_HELP}`);
+      return '+1';
+    default:
+      throw new Error(`Unknown command \`${command.name}\`.\n\n${COMMANDS_HELP}`);
+  }
+}
+
+/**
+ * Handles an issue_comment event: parses a `@mergemonk` command on a PR and runs it.
+ * @param {object} octokit - Installation Octokit
+ * @param {object} payload - issue_comment webhook payload
+ * @param {string} [deliveryId] - x-github-delivery
+ * @returns {Promise<boolean>} true if a command was found (whether or not it succeeded)
+ */
+export async function handleIssueComment(octokit, payload, deliveryId) {
+  const { comment, issue, repository, installation } = payload;
+  if (payload.action !== 'created' || !issue?.pull_request || !comment) return false;
+  if (comment.user?.type === 'Bot') return false;
+
+  const command = parseCommand(comment.body);
+  if (!command) return false;
+
+  const owner = repository.owner.login;
+  const repo = repository.name;
+  const pullNumber = issue.number;
+  const author = comment.user.login;
+
+  if (!(await hasWriteAccess(octokit, owner, repo, author))) {
+    await react(octokit, owner, repo, comment.id, '-1');
+    await replyToCommand(octokit, owner, repo, pullNumber, author, 'MergeMonk commands require write access to this repository.');
+    return true;
+  }
+
+  try {
+    const reaction = await runCommand(octokit, command, {
+      installationId: installation.id,
+      owner,
+      repo,
+      pullNumber,
+      author,
+      commentId: comment.id,
+      deliveryId,
+    });
+    await react(octokit, owner, repo, comment.id, reaction);
+  } catch (err) {
+    await react(octokit, owner, repo, comment.id, 'confused');
+    await replyToCommand(octokit, owner, repo, pullNumber, author, `❌ ${err.message}`);
+  }
+  return true;
+}
@@ -0,0 +1,47 @@
+/**
+ * Hidden HTML markers in comment bodies, so MergeMonk can recognize its own comments later
+ * (e.g. to answer replies on its inline comment threads, or to skip findings it already posted).
+ */
+
+export const MERGEMONK_MARKER = '<!-- mergemonk -->';
+
+const FINGERPRINT_MARKER_RE = /<!-- mergemonk:fingerprint=([0-9a-f]+) -->/;
+
+/**
+ * Appends the MergeMonk marker to a comment body. With a fingerprint, the marker also identifies the
+ * finding, so later reviews can tell it was already posted.
+ * @param {string} body
+ * @param {string} [fingerprint] - From fingerprintFinding
+ * @returns {string}
+ */
+export function withMarker(body, fingerprint) {
+  const marker = fingerprint ? `<!-- mergemonk:fingerprint=${fingerprint} -->` : MERGEMONK_MARKER;
+  return `${body}\n\n${marker}`;
+}
+
+/**
+ * Reads the finding fingerprint from a MergeMonk comment body.
+ * @param {string} body
+ * @returns {string|null}
+ */
+export function getFingerprint(body) {
+  return (body || '').match(FINGERPRINT_MARKER_RE)?.[1] ?? null;
+}
+
+/**
+ * True when a comment was posted by a bot and carries a MergeMonk marker.
+ * @param {{ body?: string, user?: { type?: string } }} comment - Comment from the GitHub API
+ * @returns {boolean}
+ */
+export function isMergeMonkComment(comment) {
+  return comment?.user?.type === 'Bot' && (comment.body || '').includes('<!-- mergemonk');
+}
+
+/**
+ * Removes MergeMonk markers from a comment body (e.g. before quoting it in a prompt).
+ * @param {string} body
+ * @returns {string}
+ */
+export function stripMarkers(body) {
+  return (body || '').replace(/\n*<!-- mergemonk[^>]*-->/g, '').trim();
+}
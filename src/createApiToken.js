@@ -0,0 +1,35 @@
+/**
+ * Creates an API token from the command line, e.g. the first admin token:
+ *   npm run create-api-token -- <name> [read|admin]
+ * The token is printed once; only its hash is stored in MongoDB.
+ */
+
+import 'dotenv/config';
+import { connectDB, closeDB } from './db.js';
+import { TOKEN_SCOPES, createApiToken, ensureApiTokenIndexes } from './apiTokenStore.js';
+
+async function main() {
+  const [name, scope = 'admin'] = process.argv.slice(2);
+  if (!name || !TOKEN_SCOPES.includes(scope)) {
+    console.error(`Usage: npm run create-api-token -- <name> [${TOKEN_SCOPES.join('|')}]`);
+    process.exitCode = 1;
+    return;
+  }
+  if (!(await connectDB())) {
+    console.error('MONGODB_URI must be set; API tokens are stored in MongoDB');
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    await ensureApiTokenIndexes();
+    const { token, id } = await createApiToken({ name, scope, createdBy: 'cli' });
+    console.log(`Created ${scope} API token ${id} (${name}). Store it now; it cannot be shown again:\n${token}`);
+  } finally {
+    await closeDB();
+  }
+}
+
+main().catch((err) => {
+  console.error('Failed to create API token:', err.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,79 @@
+/**
+ * Purges data of uninstalled accounts once MERGEMONK_DATA_RETENTION_DAYS have passed since the uninstall:
+ * review history, token usage, queued jobs, installation settings, PR state and the installation record.
+ * The retention window leaves room for an accidental uninstall to be undone without losing history.
+ */
+
+import { getDB } from './db.js';
+import { listDeletedInstallations, hasLiveInstallation, deleteInstallationRecord } from './installationStore.js';
+import { deleteInstallationReviews } from './reviewHistoryStore.js';
+import { deleteInstallationUsage } from './usageStore.js';
+import { deleteInstallationJobs } from './reviewQueue.js';
+import { deleteInstallationSettings } from './installationSettings.js';
+import { deleteOwnerPullRequestStates } from './prStateStore.js';
+import { logger } from './logger.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+const SWEEP_INTERVAL_MS = 60 * 60_000;
+
+let sweepTimer = null;
+
+function getRetentionDays() {
+  const value = process.env.MERGEMONK_DATA_RETENTION_DAYS;
+  const days = Number(value);
+  return value && Number.isFinite(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+}
+
+/**
+ * Purges every installation uninstalled longer ago than the retention period.
+ * PR state is keyed by repository, not installation, so it is kept while the account has another
+ * (re)installation of the app.
+ * @returns {Promise<number>} Number of installations purged
+ */
+export async function purgeUninstalledData() {
+  if (!getDB()) return 0;
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60_000);
+  const installations = await listDeletedInstallations(cutoff);
+  for (const { installationId, accountLogin } of installations) {
+    const [reviews, usage, jobs] = await Promise.all([
+      deleteInstallationReviews(installationId),
+      deleteInstallationUsage(installationId),
+      deleteInstallationJobs(installationId),
+      deleteInstallationSettings(installationId),
+    ]);
+    let states = 0;
+    if (accountLogin && !(await hasLiveInstallation(accountLogin))) {
+      states = await deleteOwnerPullRequestStates(accountLogin);
+    }
+    await deleteInstallationRecord(installationId);
+    logger.info(
+      `Purged data of uninstalled installation ${installationId} (${accountLogin ?? 'unknown'}): ` +
+        `${reviews} review(s), ${usage} usage record(s), ${jobs} job(s), ${states} PR state(s)`
+    );
+  }
+  return installations.length;
+}
+
+function sweep() {
+  purgeUninstalledData().catch((err) => logger.error('Data retention sweep failed:', err.message));
+}
+
+/**
+ * Runs the purge now and then every hour. No-op without MongoDB.
+ */
+export function startDataRetention() {
+  if (!getDB() || sweepTimer) return;
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+/**
+ * Stops the hourly purge.
+ */
+export function stopDataRetention() {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+}
@@ -3,11 +3,13 @@
  */
 
 import { MongoClient } from 'mongodb';
+import { logger } from './logger.js';
 
 let client = null;
 let db = null;
 
 const VALID_PROTOCOLS = new Set(['mongodb:', 'mongodb+srv:']);
+const HEALTH_CHECK_TIMEOUT_MS = 2000;
 
 /**
  * Validates MONGODB_URI format. Throws if invalid.
@@ -47,7 +49,7 @@ export function validateMongoDBUri(uri) {
 export async function connectDB() {
   const uri = process.env.MONGODB_URI;
   if (!uri) {
-    console.warn('MONGODB_URI not set; DB features disabled');
+    logger.warn('MONGODB_URI not set; DB features disabled');
     return null;
   }
   validateMongoDBUri(uri);
@@ -60,7 +62,7 @@ export async function connectDB() {
     throw new Error(`MongoDB connection failed: ${err.message}`, { cause: err });
   }
   db = client.db();
-  console.log('MongoDB connected');
+  logger.info('MongoDB connected');
   return db;
 }
 
@@ -72,6 +74,39 @@ export function getDB() {
   return db;
 }
 
+/**
+ * Uses the given database instead of one from connectDB(), e.g. an in-memory stand-in in tests.
+ * @param {import('mongodb').Db|null} value - null runs without MongoDB
+ */
+export function setDB(value) {
+  db = value;
+}
+
+/**
+ * Pings MongoDB for the health check.
+ * @param {number} [timeoutMs] - How long to wait for the ping
+ * @returns {Promise<{ status: 'connected'|'unreachable'|'disabled', latencyMs?: number, error?: string }>}
+ *   disabled: MONGODB_URI is not set
+ */
+export async function checkDBHealth(timeoutMs = HEALTH_CHECK_TIMEOUT_MS) {
+  if (!db) return { status: process.env.MONGODB_URI ? 'unreachable' : 'disabled' };
+  const startedAt = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      db.command({ ping: 1 }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`no answer within ${timeoutMs}ms`)), timeoutMs);
+      }),
+    ]);
+    return { status: 'connected', latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return { status: 'unreachable', error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
 /**
  * Close the MongoDB connection. Call on process shutdown if needed.
  */
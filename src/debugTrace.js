@@ -0,0 +1,126 @@
+/**
+ * Debug trace of one review job: the GitHub API responses it fetched and the raw model output, kept with the
+ * webhook delivery that triggered it (see deliveryStore.js) so a bad review can be looked at afterwards.
+ * The trace follows the job through async calls (AsyncLocalStorage); outside a trace nothing is recorded.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Caps keep a traced delivery well below MongoDB's 16 MB document limit.
+const MAX_ENTRIES = 200;
+const MAX_ENTRY_CHARS = 100_000;
+const MAX_TRACE_CHARS = 2_000_000;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @typedef {object} DebugTrace
+ * @property {Array<{ method: string, url: string, status: number|null, body: string|null, truncated: boolean, at: Date }>} githubResponses
+ * @property {Array<{ provider: string, model: string, content: string|null, usage: object|null, error: string|null, truncated: boolean, durationMs: number, at: Date }>} modelOutputs
+ * @property {number} chars - Characters of response bodies and model output kept so far
+ * @property {number} dropped - Entries left out once MAX_ENTRIES was reached
+ */
+
+/**
+ * @returns {DebugTrace}
+ */
+export function createTrace() {
+  return { githubResponses: [], modelOutputs: [], chars: 0, dropped: 0 };
+}
+
+/**
+ * Runs fn with trace as the current trace: GitHub responses and model output produced by it are added to it.
+ * @param {DebugTrace|null} trace - null runs fn outside any trace
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export function runWithTrace(trace, fn) {
+  return storage.run(trace, fn);
+}
+
+/**
+ * Clips text to the per-entry cap and whatever is left of the trace's budget.
+ */
+function keepText(trace, text) {
+  if (text == null) return { text: null, truncated: false };
+  const room = Math.max(0, Math.min(MAX_ENTRY_CHARS, MAX_TRACE_CHARS - trace.chars));
+  const kept = text.length > room ? text.slice(0, room) : text;
+  trace.chars += kept.length;
+  return { text: kept, truncated: kept.length < text.length };
+}
+
+function addEntry(trace, list, entry) {
+  if (trace.githubResponses.length + trace.modelOutputs.length >= MAX_ENTRIES) {
+    trace.dropped += 1;
+    return;
+  }
+  list.push({ ...entry, at: new Date() });
+}
+
+function recordGitHubResponse(method, url, status, data) {
+  const trace = storage.getStore();
+  if (!trace) return;
+  // Only what was fetched is interesting for a replay; writes are listed with their status.
+  const fetched = method === 'GET' && data !== undefined;
+  const { text, truncated } = fetched ? keepText(trace, JSON.stringify(data)) : { text: null, truncated: false };
+  addEntry(trace, trace.githubResponses, { method, url, status, body: text, truncated });
+}
+
+/**
+ * Adds hooks to an Octokit instance that record every response (and error response) in the current trace.
+ * @param {Octokit} octokit
+ * @returns {Octokit} The same instance
+ */
+export function traceGitHubRequests(octokit) {
+  // options.url is the route template ("/repos/{owner}/{repo}"); parse it to get the URL that was requested.
+  const urlOf = (options) => octokit.request.endpoint.parse(options).url;
+  octokit.hook.after('request', (response, options) => {
+    recordGitHubResponse(options.method, urlOf(options), response.status, response.data);
+  });
+  octokit.hook.error('request', (error, options) => {
+    recordGitHubResponse(options.method, urlOf(options), error.status ?? null, error.response?.data);
+    throw error;
+  });
+  return octokit;
+}
+
+/**
+ * Wraps an LLM provider so the raw output of each completion (or its error) is recorded in the current trace.
+ * @param {import('./llmProviders.js').LLMProvider} provider
+ * @returns {import('./llmProviders.js').LLMProvider}
+ */
+export function traceCompletions(provider) {
+  return {
+    ...provider,
+    async complete(request) {
+      const trace = storage.getStore();
+      if (!trace) return provider.complete(request);
+      const startedAt = Date.now();
+      const base = { provider: provider.name, model: request.model };
+      try {
+        const result = await provider.complete(request);
+        const { text, truncated } = keepText(trace, result.content ?? null);
+        addEntry(trace, trace.modelOutputs, {
+          ...base,
+          content: text,
+          usage: result.usage ?? null,
+          error: null,
+          truncated,
+          durationMs: Date.now() - startedAt,
+        });
+        return result;
+      } catch (err) {
+        addEntry(trace, trace.modelOutputs, {
+          ...base,
+          content: null,
+          usage: err.usage ?? null,
+          error: err.message,
+          truncated: false,
+          durationMs: Date.now() - startedAt,
+        });
+        throw err;
+      }
+    },
+  };
+}
@@ -0,0 +1,125 @@
+/**
+ * Webhook delivery log in MongoDB, keyed by x-github-delivery.
+ * Used to drop replayed or redelivered payloads so a delivery never triggers a second review. Each delivery keeps
+ * its headers and payload, plus the debug traces of the jobs it ran (see debugTrace.js), so it can be inspected
+ * and replayed through the admin API until it expires.
+ */
+
+import { getDB } from './db.js';
+
+const DELIVERIES_COLLECTION = 'webhook_deliveries';
+// GitHub only allows redelivery of recent deliveries; keep ids long enough to cover that window.
+const DEFAULT_DELIVERY_TTL_DAYS = 7;
+const DUPLICATE_KEY_ERROR = 11000;
+// Larger payloads are not kept (the document limit is 16 MB and traces are stored next to them).
+const MAX_STORED_PAYLOAD_BYTES = 4 * 1024 * 1024;
+// Traces kept per delivery; a replayed delivery keeps its latest runs.
+const MAX_RUNS = 3;
+// Headers kept with a delivery; the signature headers are of no use once the payload is verified.
+const STORED_HEADERS = ['x-github-event', 'x-github-delivery', 'x-github-hook-id', 'x-github-hook-installation-target-id', 'x-github-hook-installation-target-type', 'user-agent', 'content-type'];
+
+/**
+ * Creates the TTL index that expires old delivery ids. Safe to call on every startup.
+ */
+export async function ensureDeliveryIndexes() {
+  const db = getDB();
+  if (!db) return;
+  const ttlDays = Number(process.env.MERGEMONK_DELIVERY_TTL_DAYS) || DEFAULT_DELIVERY_TTL_DAYS;
+  await db.collection(DELIVERIES_COLLECTION).createIndex(
+    { receivedAt: 1 },
+    { expireAfterSeconds: ttlDays * 24 * 60 * 60 }
+  );
+}
+
+/**
+ * Records a delivery with its headers and payload. Returns false if it was already recorded (a replay or redelivery).
+ * Without MongoDB every delivery is accepted.
+ * @param {string} deliveryId - x-github-delivery header
+ * @param {string} event - x-github-event header
+ * @param {{ headers?: object, payload?: object, size?: number }} [request] - size: raw body length in bytes
+ * @returns {Promise<boolean>} true if this is the first time the delivery is seen
+ */
+export async function claimDelivery(deliveryId, event, { headers = {}, payload = null, size = 0 } = {}) {
+  const db = getDB();
+  if (!db) return true;
+  const keptHeaders = {};
+  for (const name of STORED_HEADERS) {
+    if (headers[name] !== undefined) keptHeaders[name] = headers[name];
+  }
+  const payloadTooLarge = size > MAX_STORED_PAYLOAD_BYTES;
+  try {
+    await db.collection(DELIVERIES_COLLECTION).insertOne({
+      _id: deliveryId,
+      event,
+      action: payload?.action ?? null,
+      installationId: payload?.installation?.id ?? null,
+      repo: payload?.repository?.full_name ?? null,
+      pullNumber: payload?.pull_request?.number ?? payload?.issue?.number ?? null,
+      headers: keptHeaders,
+      payload: payloadTooLarge ? null : payload,
+      payloadOmitted: payloadTooLarge,
+      runs: [],
+      receivedAt: new Date(),
+    });
+    return true;
+  } catch (err) {
+    if (err.code === DUPLICATE_KEY_ERROR) return false;
+    throw err;
+  }
+}
+
+/**
+ * Appends the debug trace of a job run to its delivery. Only the last MAX_RUNS runs are kept.
+ * @param {string} deliveryId - x-github-delivery header
+ * @param {{ jobId?: string|null, type: string, dryRun?: boolean, result?: object|null, startedAt: Date, finishedAt: Date, error: string|null, trace: import('./debugTrace.js').DebugTrace }} run
+ *   result: the review a dry run would have posted
+ */
+export async function recordDeliveryRun(deliveryId, run) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(DELIVERIES_COLLECTION).updateOne(
+    { _id: deliveryId },
+    { $push: { runs: { $each: [run], $slice: -MAX_RUNS } } }
+  );
+}
+
+/**
+ * Returns a recorded delivery with its headers, payload and runs.
+ * @param {string} deliveryId - x-github-delivery header
+ * @returns {Promise<object|null>} null when the delivery is not (or no longer) recorded, or without MongoDB
+ */
+export async function getDelivery(deliveryId) {
+  const db = getDB();
+  if (!db) return null;
+  return db.collection(DELIVERIES_COLLECTION).findOne({ _id: deliveryId });
+}
+
+/**
+ * Lists recent deliveries, newest first, without payloads, traces and dry-run results. null without MongoDB.
+ * @param {{ event?: string, repo?: string, limit?: number }} [filter] - repo: "owner/name"
+ * @returns {Promise<Array<object>|null>}
+ */
+export async function listDeliveries({ event, repo, limit = 50 } = {}) {
+  const db = getDB();
+  if (!db) return null;
+  const query = {};
+  if (event) query.event = event;
+  if (repo) query.repo = repo;
+  const deliveries = await db
+    .collection(DELIVERIES_COLLECTION)
+    .find(query, { projection: { payload: 0, 'runs.trace': 0, 'runs.result': 0 } })
+    .sort({ receivedAt: -1 })
+    .limit(limit)
+    .toArray();
+  return deliveries.map(({ _id, ...delivery }) => ({ deliveryId: _id, ...delivery }));
+}
+
+/**
+ * Forgets a delivery id so a redelivery of it is processed, e.g. when queuing its work failed.
+ * @param {string} deliveryId - x-github-delivery header
+ */
+export async function releaseDelivery(deliveryId) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(DELIVERIES_COLLECTION).deleteOne({ _id: deliveryId });
+}
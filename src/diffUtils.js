@@ -1,24 +1,54 @@
 /**
- * Utilities for parsing PR patches and resolving comment locations.
- * GitHub's createReview API expects "position" = 1-based index in the diff (lines after @@),
- * not the line number in the file. "Line could not be resolved" occurs when position/line
- * doesn't match the diff. We build valid positions and map file lines to positions.
+ * Utilities for parsing PR patches and local unified diffs, and resolving comment locations.
+ * GitHub's createReview API takes a "line" and "side" (RIGHT = new file, LEFT = old file), plus an
+ * optional "start_line" for multi-line comments. The lines must be inside one diff hunk, or the review
+ * fails with "Line could not be resolved", so comments are checked (and moved if needed) against the diff.
  *
  * @see https://docs.github.com/rest/pulls/reviews#create-a-review-for-a-pull-request
  */
 
+const HUNK_HEADER = /^@@ -(\d+),?\d* \+(\d+),?\d* @@/;
+
+// A comment whose line is outside every hunk is moved to a commentable line at most this far away; one further
+// away cannot be shown inline (see resolveCommentLocations).
+const MAX_SNAP_DISTANCE = 5;
+
 /**
- * For each file, parses the patch and returns:
- * - validPositions: Set of position numbers (1-based) that can be commented on in this file's diff.
- * - lineToPosition: Map from "new file" line number to the last diff position that refers to it
- *   (so we can map AI/rule comments that use line numbers to a valid position).
- *
- * In unified diff, the line below @@ is position 1. Each subsequent line in the diff increments
- * the position. We track which positions correspond to lines in the "new" file (context or added).
+ * Walks the lines of a patch's hunks with their old-file and new-file line numbers. Lines before the first hunk
+ * header (file headers such as `--- a/x.js` in a local diff) are skipped; inside a hunk every line is content,
+ * also an added `++x` or a removed `-- comment`, which show up as `+++x` and `--- comment`.
+ * "\ No newline at end of file" belongs to no side and is skipped.
+ * @param {string} patch - Unified diff for one file
+ * @returns {Generator<{ kind: '+'|'-'|' ', oldLine: number, newLine: number, content: string, hunk: number }>}
+ *   hunk: index of the hunk the line belongs to
+ */
+function* walkHunks(patch) {
+  let oldLine = 0;
+  let newLine = 0;
+  let hunk = -1;
+  for (const line of (patch || '').split('\n')) {
+    const hunkMatch = line.match(HUNK_HEADER);
+    if (hunkMatch) {
+      oldLine = parseInt(hunkMatch[1], 10);
+      newLine = parseInt(hunkMatch[2], 10);
+      hunk += 1;
+      continue;
+    }
+    const kind = line[0];
+    if (hunk < 0 || (kind !== '+' && kind !== '-' && kind !== ' ')) continue;
+    yield { kind, oldLine, newLine, content: line.slice(1), hunk };
+    if (kind !== '+') oldLine += 1;
+    if (kind !== '-') newLine += 1;
+  }
+}
+
+/**
+ * For each file, parses the patch into hunks with the lines that can be commented on:
+ * - RIGHT: new-file line numbers of context and added lines
+ * - LEFT: old-file line numbers of context and removed lines
  *
  * @param {Array<{ filename: string, patch?: string }>} files - From pulls.listFiles
- * @returns {Map<string, { validPositions: Set<number>, lineToPosition: Map<number, number> }>}
- *   key = path (filename), value = { validPositions, lineToPosition }
+ * @returns {Map<string, { hunks: Array<{ LEFT: Set<number>, RIGHT: Set<number> }> }>} key = path (filename)
  */
 export function parsePatchesForComments(files) {
   const byPath = new Map();
@@ -27,52 +57,182 @@ export function parsePatchesForComments(files) {
     const patch = file.patch || '';
     if (!patch.trim()) continue;
 
-    const validPositions = new Set();
-    const lineToPosition = new Map(); // new-file line number -> (last) position in diff for that line
-    const lines = patch.split('\n');
-    let position = 0;
-    let newFileLine = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      const hunkMatch = line.match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
-      if (hunkMatch) {
-        newFileLine = parseInt(hunkMatch[2], 10);
-        // Doc: "The line just below the @@ line is position 1" — so we don't assign position to @@ itself
-        continue;
-      }
-      if (line.startsWith('+++') || line.startsWith('---')) continue;
-      position += 1; // 1-based index in diff (first line after @@ is 1)
-      // Lines that appear in the new file: context (space) or added (+)
-      if (line.startsWith(' ') || line.startsWith('+')) {
-        validPositions.add(position);
-        lineToPosition.set(newFileLine, position);
-        newFileLine += 1;
+    const hunks = [];
+    let current = -1;
+    for (const { kind, oldLine, newLine, hunk } of walkHunks(patch)) {
+      if (hunk !== current) {
+        hunks.push({ LEFT: new Set(), RIGHT: new Set() });
+        current = hunk;
       }
+      if (kind !== '+') hunks.at(-1).LEFT.add(oldLine);
+      if (kind !== '-') hunks.at(-1).RIGHT.add(newLine);
     }
 
-    byPath.set(file.filename, { validPositions, lineToPosition });
+    byPath.set(file.filename, { hunks });
   }
 
   return byPath;
 }
 
 /**
- * Converts comments that use (path, line) to (path, position) using the parsed diff.
- * Drops comments whose path or line doesn't resolve to a valid position.
+ * Resolves where each comment goes in the diff. A line outside every hunk is moved to the nearest
+ * commentable line on the same side (snapped: true, originalLine set), if one is within MAX_SNAP_DISTANCE lines.
+ * A multi-line range (startLine) is kept only when it lies in the same hunk as the line; otherwise it is dropped
+ * (rangeDropped: true). A comment too far from any commentable line on its side (or on a side with no lines, e.g.
+ * LEFT in a new file) cannot be posted inline; it is returned unchanged with unplaced: true, so the caller can list
+ * it in the review body. Comments on files that are not in the diff are dropped.
  *
- * @param {Array<{ path: string, line: number, body: string }>} comments
- * @param {Map<string, { validPositions: Set<number>, lineToPosition: Map<number, number> }>} patchMap - from parsePatchesForComments
- * @returns {Array<{ path: string, position: number, body: string }>}
+ * @param {Array<{ path: string, line: number, side?: 'LEFT'|'RIGHT', startLine?: number }>} comments
+ * @param {Map<string, { hunks: Array<{ LEFT: Set<number>, RIGHT: Set<number> }> }>} patchMap - from parsePatchesForComments
+ * @returns {Array<object>} Copies of the comments with line, side ('LEFT'|'RIGHT'), startLine, snapped, originalLine,
+ *   rangeDropped, unplaced
  */
-export function commentsToPositions(comments, patchMap) {
+export function resolveCommentLocations(comments, patchMap) {
   const out = [];
   for (const c of comments) {
     const entry = patchMap.get(c.path);
     if (!entry) continue;
-    const pos = entry.lineToPosition.get(c.line);
-    if (pos == null || !entry.validPositions.has(pos)) continue;
-    out.push({ path: c.path, position: pos, body: c.body });
+    const side = c.side === 'LEFT' ? 'LEFT' : 'RIGHT';
+    let line = c.line;
+    let hunk = entry.hunks.find((h) => h[side].has(line));
+    let snapped = false;
+    if (!hunk) {
+      let best = null;
+      for (const h of entry.hunks) {
+        for (const candidate of h[side]) {
+          const distance = Math.abs(candidate - c.line);
+          if (!best || distance < best.distance) best = { distance, line: candidate, hunk: h };
+        }
+      }
+      if (!best || best.distance > MAX_SNAP_DISTANCE) {
+        out.push({ ...c, side, unplaced: true });
+        continue;
+      }
+      ({ line, hunk } = best);
+      snapped = true;
+    }
+
+    const resolved = { ...c, line, side, snapped };
+    delete resolved.startLine;
+    if (snapped) resolved.originalLine = c.line;
+    if (c.startLine != null && c.startLine !== c.line) {
+      if (!snapped && c.startLine < line && hunk[side].has(c.startLine)) {
+        resolved.startLine = c.startLine;
+      } else {
+        resolved.rangeDropped = true;
+      }
+    }
+    out.push(resolved);
+  }
+  return out;
+}
+
+/**
+ * Returns the added lines of a patch with their line numbers in the new file.
+ * @param {string} patch - Unified diff for one file (from pulls.listFiles)
+ * @returns {Array<{ line: number, content: string }>} content is the line without the leading "+"
+ */
+export function getAddedLines(patch) {
+  const out = [];
+  for (const { kind, newLine, content } of walkHunks(patch)) {
+    if (kind === '+') out.push({ line: newLine, content });
+  }
+  return out;
+}
+
+/**
+ * Returns the content of every line visible in a patch on one side of the diff.
+ * @param {string} patch - Unified diff for one file (from pulls.listFiles)
+ * @param {'LEFT'|'RIGHT'} [side] - RIGHT: new-file context and added lines; LEFT: old-file context and removed lines
+ * @returns {Map<number, string>} line number -> line content without the diff prefix
+ */
+export function getDiffLines(patch, side = 'RIGHT') {
+  const out = new Map();
+  const kept = side === 'LEFT' ? '-' : '+';
+  for (const { kind, oldLine, newLine, content } of walkHunks(patch)) {
+    if (kind === kept || kind === ' ') out.set(side === 'LEFT' ? oldLine : newLine, content);
   }
   return out;
 }
+
+/**
+ * Returns the new-file line numbers where a patch changes something: added lines, and the place of removed
+ * lines (the new-file line that follows them).
+ * @param {string} patch - Unified diff for one file (from pulls.listFiles)
+ * @returns {number[]} Ascending, without duplicates
+ */
+export function getChangedLines(patch) {
+  const changed = new Set();
+  for (const { kind, newLine } of walkHunks(patch)) {
+    if (kind !== ' ') changed.add(Math.max(newLine, 1));
+  }
+  return [...changed];
+}
+
+/**
+ * Path from a `---` / `+++` header line: without a trailing timestamp, null for /dev/null.
+ */
+function headerPath(line) {
+  const path = line.slice(4).split('\t')[0].trim();
+  return path === '/dev/null' ? null : path;
+}
+
+/**
+ * Parses `git diff` or `diff -u` output into files shaped like pulls.listFiles entries, whose patch starts at
+ * the first hunk header. Hunk line counts decide where a hunk ends, so removed lines that start with `--`
+ * are not mistaken for file headers. Binary files are listed without a patch.
+ * @param {string} text - Unified diff of one or more files
+ * @returns {Array<{ filename: string, status: 'added'|'removed'|'modified'|'renamed', patch?: string, previous_filename?: string }>}
+ */
+export function parseUnifiedDiff(text) {
+  const lines = text.replace(/\r\n/g, '\n').split('\n');
+  const files = [];
+  let current = null;
+  let oldRemaining = 0;
+  let newRemaining = 0;
+
+  const addFile = (from, to) => {
+    // git prefixes the two sides with a/ and b/
+    if ((from === null || from.startsWith('a/')) && (to === null || to.startsWith('b/'))) {
+      from = from?.slice(2) ?? null;
+      to = to?.slice(2) ?? null;
+    }
+    let status = 'modified';
+    if (from === null) status = 'added';
+    else if (to === null) status = 'removed';
+    else if (from !== to) status = 'renamed';
+    current = { filename: to ?? from, status, patchLines: [] };
+    if (status === 'renamed') current.previous_filename = from;
+    files.push(current);
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    if (current && (oldRemaining > 0 || newRemaining > 0)) {
+      current.patchLines.push(line);
+      if (line.startsWith('-')) oldRemaining -= 1;
+      else if (line.startsWith('+')) newRemaining -= 1;
+      else if (!line.startsWith('\\')) {
+        oldRemaining -= 1;
+        newRemaining -= 1;
+      }
+      continue;
+    }
+    const hunkMatch = line.match(/^@@ -\d+(?:,(\d+))? \+\d+(?:,(\d+))? @@/);
+    if (hunkMatch && current) {
+      current.patchLines.push(line);
+      oldRemaining = hunkMatch[1] === undefined ? 1 : parseInt(hunkMatch[1], 10);
+      newRemaining = hunkMatch[2] === undefined ? 1 : parseInt(hunkMatch[2], 10);
+    } else if (line.startsWith('\\') && current?.patchLines.length > 0) {
+      current.patchLines.push(line); // "\ No newline at end of file" after the last hunk line
+    } else if (line.startsWith('--- ') && lines[i + 1]?.startsWith('+++ ')) {
+      addFile(headerPath(line), headerPath(lines[i + 1]));
+      i += 1;
+    } else {
+      const binary = line.match(/^Binary files (.+) and (.+) differ$/);
+      if (binary) addFile(binary[1] === '/dev/null' ? null : binary[1], binary[2] === '/dev/null' ? null : binary[2]);
+    }
+  }
+
+  return files.map(({ patchLines, ...file }) => (patchLines.length > 0 ? { ...file, patch: patchLines.join('\n') } : file));
+}
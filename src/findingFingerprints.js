@@ -0,0 +1,87 @@
+/**
+ * Stable identities for review findings, so a finding posted once is not posted again on later reviews.
+ * A fingerprint hashes the path, the rule (or category), and the normalized code of the flagged line and
+ * its neighbours. Line numbers are not part of it, so it survives code moving up or down the file.
+ */
+
+import { createHash } from 'node:crypto';
+import { getDiffLines } from './diffUtils.js';
+import { getFingerprint, isMergeMonkComment } from './commentMarkers.js';
+import { getPullRequestState } from './prStateStore.js';
+
+const CONTEXT_LINES = 1;
+
+function normalizeCode(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * @param {{ path: string, line: number, side?: string, ruleId?: string, category?: string }} finding
+ * @param {Map<number, string>} fileLines - From getDiffLines for the finding's file and side
+ * @returns {string|null} 16 hex chars, or null when the flagged line is not in the diff
+ */
+export function fingerprintFinding(finding, fileLines) {
+  if (!fileLines?.has(finding.line)) return null;
+  const context = [];
+  for (let line = finding.line - CONTEXT_LINES; line <= finding.line + CONTEXT_LINES; line++) {
+    if (fileLines.has(line)) context.push(normalizeCode(fileLines.get(line)));
+  }
+  const kind = finding.ruleId || finding.category || 'ai';
+  // Findings on removed lines hash with their side, so they never collide with the new-file line
+  const parts = finding.side === 'LEFT' ? [finding.path, 'LEFT', kind, ...context] : [finding.path, kind, ...context];
+  return createHash('sha256')
+    .update(parts.join('\0'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Adds a fingerprint to each finding, using the PR diff for the code around the flagged line.
+ * @param {Array<{ path: string, line: number, side?: string }>} findings
+ * @param {Array<{ filename: string, patch?: string }>} prFiles - Full PR files (from pulls.listFiles)
+ * @returns {Array<object>} Findings with `fingerprint` (null when the line is not in the diff)
+ */
+export function addFingerprints(findings, prFiles) {
+  const patches = new Map(prFiles.filter((f) => f.patch).map((f) => [f.filename, f.patch]));
+  const linesCache = new Map();
+  const linesFor = (path, side) => {
+    const key = `${side}:${path}`;
+    if (!linesCache.has(key)) linesCache.set(key, patches.has(path) ? getDiffLines(patches.get(path), side) : null);
+    return linesCache.get(key);
+  };
+  return findings.map((f) => ({
+    ...f,
+    fingerprint: fingerprintFinding(f, linesFor(f.path, f.side === 'LEFT' ? 'LEFT' : 'RIGHT')),
+  }));
+}
+
+/**
+ * Fingerprints of findings accepted in their thread (see threadService): the PR author or a collaborator made
+ * the case against them, so later reviews do not report them again. Empty without MongoDB.
+ * @returns {Promise<Set<string>>}
+ */
+export async function getAcceptedFingerprints(owner, repo, pullNumber) {
+  const state = await getPullRequestState(owner, repo, pullNumber);
+  return new Set((state?.acceptedFindings || []).map((f) => f.fingerprint).filter(Boolean));
+}
+
+/**
+ * Fingerprints of findings already posted on the PR: those stored in MongoDB plus those in the hidden
+ * markers of MergeMonk's inline comments (so this also works without MongoDB).
+ * @returns {Promise<Set<string>>}
+ */
+export async function getPostedFingerprints(octokit, owner, repo, pullNumber) {
+  const state = await getPullRequestState(owner, repo, pullNumber);
+  const posted = new Set(state?.postedFingerprints || []);
+  const comments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  for (const c of comments) {
+    const fingerprint = isMergeMonkComment(c) ? getFingerprint(c.body) : null;
+    if (fingerprint) posted.add(fingerprint);
+  }
+  return posted;
+}
@@ -5,6 +5,7 @@
 
 import { createAppAuth } from '@octokit/auth-app';
 import { Octokit } from '@octokit/rest';
+import { traceGitHubRequests } from './debugTrace.js';
 
 /**
  * Creates an Octokit client authenticated as the GitHub App for a specific installation.
@@ -13,7 +14,7 @@ import { Octokit } from '@octokit/rest';
  */
 export function createInstallationClient({ appId, privateKey, installationId }) {
   const privateKeyNormalized = privateKey.replace(/\\n/g, '\n');
-  return new Octokit({
+  const octokit = new Octokit({
     authStrategy: createAppAuth,
     auth: {
       appId,
@@ -21,4 +22,21 @@ export function createInstallationClient({ appId, privateKey, installationId })
       installationId,
     },
   });
+  // Responses are recorded only while a review job runs under a debug trace (see debugTrace.js).
+  return traceGitHubRequests(octokit);
+}
+
+/**
+ * Creates an installation client from APP_ID and PRIVATE_KEY in the environment.
+ * @param {number} installationId - Installation ID from the webhook payload
+ * @returns {Octokit} Authenticated Octokit instance
+ * @throws {Error} If APP_ID or PRIVATE_KEY is not configured
+ */
+export function createInstallationClientFromEnv(installationId) {
+  const appId = process.env.APP_ID;
+  const privateKey = process.env.PRIVATE_KEY;
+  if (!appId || !privateKey) {
+    throw new Error('APP_ID or PRIVATE_KEY not configured');
+  }
+  return createInstallationClient({ appId, privateKey, installationId });
 }
@@ -0,0 +1,95 @@
+/**
+ * Per-installation settings stored in MongoDB (e.g. which LLM provider and model an installation uses, its AI budget,
+ * review event, patch PRs, ignored paths, repos without automatic review). Set through the admin API and merged with
+ * env defaults and the repo's `.mergemonk.yml` in resolveReviewSettings.
+ */
+
+import { getDB } from './db.js';
+
+const INSTALLATION_SETTINGS_COLLECTION = 'installation_settings';
+
+/**
+ * @typedef {object} InstallationSettings
+ * @property {{ provider?: string, model?: string }} [llm]
+ * @property {{ monthlyCostUsd?: number, monthlyTokens?: number, pullRequestCostUsd?: number, pullRequestTokens?: number }} [budget]
+ * @property {{ event?: 'request_changes'|'comment' }} [review]
+ * @property {{ enabled?: boolean }} [patchPr]
+ * @property {{ ignore?: string[] }} [paths]
+ * @property {string[]} [autoReviewDisabled] - Lowercase `owner/repo` names that are only reviewed on command
+ */
+
+/**
+ * @param {number} installationId
+ * @returns {Promise<InstallationSettings>} Stored settings, or {} if none
+ */
+export async function getInstallationSettings(installationId) {
+  const db = getDB();
+  if (!db || installationId == null) return {};
+  const doc = await db.collection(INSTALLATION_SETTINGS_COLLECTION).findOne({ _id: installationId });
+  return doc || {};
+}
+
+/**
+ * Sets or clears installation settings, creating the document if needed.
+ * @param {number} installationId
+ * @param {Record<string, unknown>} changes - Dotted paths, e.g. { 'llm.model': 'gpt-4o', 'review.event': null }; null clears
+ * @param {string|null} [updatedBy] - Name of the API token that made the change
+ * @returns {Promise<InstallationSettings|null>} Updated settings; null without MongoDB
+ */
+export async function updateInstallationSettings(installationId, changes, updatedBy = null) {
+  const db = getDB();
+  if (!db) return null;
+  const set = { updatedAt: new Date(), updatedBy };
+  const unset = {};
+  for (const [path, value] of Object.entries(changes)) {
+    if (value === null) unset[path] = '';
+    else set[path] = value;
+  }
+  return db.collection(INSTALLATION_SETTINGS_COLLECTION).findOneAndUpdate(
+    { _id: installationId },
+    { $set: set, ...(Object.keys(unset).length > 0 ? { $unset: unset } : {}) },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Turns automatic review (on pull_request events) on or off for one repository. Commands keep working.
+ * @param {number} installationId
+ * @param {string} fullName - `owner/repo`
+ * @param {boolean} enabled
+ * @param {string|null} [updatedBy]
+ * @returns {Promise<InstallationSettings|null>} Updated settings; null without MongoDB
+ */
+export async function setAutoReview(installationId, fullName, enabled, updatedBy = null) {
+  const db = getDB();
+  if (!db) return null;
+  const name = fullName.toLowerCase();
+  return db.collection(INSTALLATION_SETTINGS_COLLECTION).findOneAndUpdate(
+    { _id: installationId },
+    {
+      ...(enabled ? { $pull: { autoReviewDisabled: name } } : { $addToSet: { autoReviewDisabled: name } }),
+      $set: { updatedAt: new Date(), updatedBy },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * @param {InstallationSettings} settings - From getInstallationSettings
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {boolean} false when automatic review is turned off for the repository
+ */
+export function isAutoReviewEnabled(settings, owner, repo) {
+  return !(settings.autoReviewDisabled || []).includes(`${owner}/${repo}`.toLowerCase());
+}
+
+/**
+ * Deletes an installation's stored settings (data retention after uninstall).
+ * @param {number} installationId
+ */
+export async function deleteInstallationSettings(installationId) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(INSTALLATION_SETTINGS_COLLECTION).deleteOne({ _id: installationId });
+}
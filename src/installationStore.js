@@ -0,0 +1,245 @@
+/**
+ * App installations in MongoDB (`active_users`): account, status (active, suspended, deleted), permissions and
+ * the repositories the installation can access. Kept up to date from `installation` and
+ * `installation_repositories` webhooks; review jobs for suspended or removed installations are skipped.
+ */
+
+import { getDB } from './db.js';
+
+const INSTALLATIONS_COLLECTION = 'active_users';
+
+export const INSTALLATION_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  DELETED: 'deleted',
+});
+
+/**
+ * Creates indexes for the retention sweep and account lookups. Safe to call on every startup.
+ */
+export async function ensureInstallationIndexes() {
+  const db = getDB();
+  if (!db) return;
+  const installations = db.collection(INSTALLATIONS_COLLECTION);
+  await installations.createIndex({ status: 1, deletedAt: 1 });
+  await installations.createIndex({ accountLogin: 1 });
+}
+
+function toRepository(r) {
+  return { id: r.id, fullName: r.full_name, private: Boolean(r.private) };
+}
+
+function accountFields(installation) {
+  const account = installation.account || {};
+  return {
+    installationId: installation.id,
+    accountLogin: account.login ?? null,
+    accountType: account.type ?? null,
+    avatarUrl: account.avatar_url ?? null,
+    repositorySelection: installation.repository_selection ?? null,
+  };
+}
+
+/**
+ * Records a new installation with its repositories (installation.created).
+ * @param {object} installation - payload.installation
+ * @param {Array<{ id: number, full_name: string, private?: boolean }>} repositories - payload.repositories
+ */
+export async function recordInstallation(installation, repositories = []) {
+  const db = getDB();
+  if (!db) return;
+  const repos = repositories.map(toRepository);
+  await db.collection(INSTALLATIONS_COLLECTION).updateOne(
+    { _id: installation.id },
+    {
+      $set: {
+        ...accountFields(installation),
+        status: INSTALLATION_STATUS.ACTIVE,
+        permissions: installation.permissions ?? {},
+        repositories: repos,
+        repositoryCount: repos.length,
+        installedAt: new Date(),
+        updatedAt: new Date(),
+      },
+      $unset: { suspendedAt: '', suspendedBy: '', deletedAt: '' },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Changes an installation's status (installation.deleted, suspend, unsuspend). Installations recorded
+ * before lifecycle tracking are created on the way.
+ * @param {object} installation - payload.installation
+ * @param {'active'|'suspended'|'deleted'} status
+ * @param {string|null} [sender] - Login of the user who made the change
+ */
+export async function setInstallationStatus(installation, status, sender = null) {
+  const db = getDB();
+  if (!db) return;
+  const now = new Date();
+  const set = { ...accountFields(installation), status, updatedAt: now };
+  const unset = {};
+  if (status === INSTALLATION_STATUS.SUSPENDED) {
+    set.suspendedAt = installation.suspended_at ? new Date(installation.suspended_at) : now;
+    set.suspendedBy = installation.suspended_by?.login ?? sender;
+  } else {
+    unset.suspendedAt = '';
+    unset.suspendedBy = '';
+  }
+  if (status === INSTALLATION_STATUS.DELETED) set.deletedAt = now;
+  else unset.deletedAt = '';
+  await db
+    .collection(INSTALLATIONS_COLLECTION)
+    .updateOne({ _id: installation.id }, { $set: set, $unset: unset }, { upsert: true });
+}
+
+/**
+ * Stores the permissions an installation accepted (installation.new_permissions_accepted).
+ * @param {object} installation - payload.installation
+ */
+export async function updateInstallationPermissions(installation) {
+  const db = getDB();
+  if (!db) return;
+  const now = new Date();
+  await db.collection(INSTALLATIONS_COLLECTION).updateOne(
+    { _id: installation.id },
+    {
+      $set: {
+        ...accountFields(installation),
+        permissions: installation.permissions ?? {},
+        events: installation.events ?? [],
+        permissionsAcceptedAt: now,
+        updatedAt: now,
+      },
+      $setOnInsert: { status: INSTALLATION_STATUS.ACTIVE },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Adds and removes repositories from an installation's list (installation_repositories.added / removed).
+ * @param {object} installation - payload.installation
+ * @param {{ added?: Array<object>, removed?: Array<object> }} changes - payload.repositories_added / repositories_removed
+ */
+export async function updateInstallationRepositories(installation, { added = [], removed = [] }) {
+  const db = getDB();
+  if (!db) return;
+  const changedIds = [...added, ...removed].map((r) => r.id);
+  // One pipeline update: drop every changed repo, append the added ones, recount.
+  await db.collection(INSTALLATIONS_COLLECTION).updateOne(
+    { _id: installation.id },
+    [
+      {
+        $set: {
+          ...accountFields(installation),
+          status: { $ifNull: ['$status', INSTALLATION_STATUS.ACTIVE] },
+          repositories: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ['$repositories', []] },
+                  cond: { $not: [{ $in: ['$$this.id', changedIds] }] },
+                },
+              },
+              { $literal: added.map(toRepository) },
+            ],
+          },
+          updatedAt: '$$NOW',
+        },
+      },
+      { $set: { repositoryCount: { $size: '$repositories' } } },
+    ],
+    { upsert: true }
+  );
+}
+
+/**
+ * Lists installations, most recently updated first, without their repository lists.
+ * @returns {Promise<Array<object>|null>} null without MongoDB
+ */
+export async function listInstallations() {
+  const db = getDB();
+  if (!db) return null;
+  return db
+    .collection(INSTALLATIONS_COLLECTION)
+    .find({}, { projection: { _id: 0, repositories: 0 } })
+    .sort({ updatedAt: -1, installedAt: -1 })
+    .toArray();
+}
+
+/**
+ * @param {number} installationId
+ * @returns {Promise<object|null>} The installation record with its repositories, or null if unknown (or no MongoDB)
+ */
+export async function getInstallation(installationId) {
+  const db = getDB();
+  if (!db) return null;
+  return db.collection(INSTALLATIONS_COLLECTION).findOne({ _id: installationId }, { projection: { _id: 0 } });
+}
+
+/**
+ * Says why review jobs for a repository must not run: the installation is suspended or uninstalled, or the
+ * repository was removed from it. Unknown installations (or no MongoDB) are never blocked.
+ * @param {number} installationId
+ * @param {string} owner
+ * @param {string} repo
+ * @returns {Promise<string|null>} Reason, or null when the job may run
+ */
+export async function getInstallationBlock(installationId, owner, repo) {
+  const db = getDB();
+  if (!db) return null;
+  const installation = await db.collection(INSTALLATIONS_COLLECTION).findOne({ _id: installationId });
+  if (!installation) return null;
+  if (installation.status === INSTALLATION_STATUS.SUSPENDED) return `installation ${installationId} is suspended`;
+  if (installation.status === INSTALLATION_STATUS.DELETED) return `installation ${installationId} was uninstalled`;
+  // The list is only known for installations tracked since they were created or last changed.
+  if (Array.isArray(installation.repositories) && installation.repositorySelection === 'selected') {
+    const fullName = `${owner}/${repo}`.toLowerCase();
+    if (!installation.repositories.some((r) => r.fullName?.toLowerCase() === fullName)) {
+      return `${owner}/${repo} was removed from installation ${installationId}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Installations uninstalled before the cutoff, whose data is due for purging.
+ * @param {Date} cutoff
+ * @returns {Promise<Array<{ installationId: number, accountLogin: string|null }>>}
+ */
+export async function listDeletedInstallations(cutoff) {
+  const db = getDB();
+  if (!db) return [];
+  return db
+    .collection(INSTALLATIONS_COLLECTION)
+    .find(
+      { status: INSTALLATION_STATUS.DELETED, deletedAt: { $lt: cutoff } },
+      { projection: { _id: 0, installationId: 1, accountLogin: 1 } }
+    )
+    .toArray();
+}
+
+/**
+ * @param {string} accountLogin
+ * @returns {Promise<boolean>} true when the account has another installation that is not uninstalled (a reinstall)
+ */
+export async function hasLiveInstallation(accountLogin) {
+  const db = getDB();
+  if (!db || !accountLogin) return false;
+  const count = await db
+    .collection(INSTALLATIONS_COLLECTION)
+    .countDocuments({ accountLogin, status: { $ne: INSTALLATION_STATUS.DELETED } }, { limit: 1 });
+  return count > 0;
+}
+
+/**
+ * Removes an installation's record.
+ * @param {number} installationId
+ */
+export async function deleteInstallationRecord(installationId) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(INSTALLATIONS_COLLECTION).deleteOne({ _id: installationId });
+}
@@ -0,0 +1,238 @@
+/**
+ * LLM provider layer used by the AI review and patch generation.
+ * Each provider turns a { system, user } prompt into text, so callers never touch a vendor SDK directly.
+ *
+ * Providers:
+ * - openai            – OpenAI API (OPENAI_API_KEY)
+ * - openai-compatible – any server speaking the OpenAI chat API, e.g. Ollama or vLLM (MERGEMONK_LLM_BASE_URL)
+ * - anthropic         – Anthropic Messages API (ANTHROPIC_API_KEY)
+ * - fake              – deterministic, fixture-driven responses for running the pipeline offline
+ */
+
+import fs from 'node:fs';
+import OpenAI from 'openai';
+import Anthropic from '@anthropic-ai/sdk';
+import { traceCompletions } from './debugTrace.js';
+import { llmRequestDuration } from './metrics.js';
+
+export const PROVIDERS = Object.freeze(['openai', 'openai-compatible', 'anthropic', 'fake']);
+
+export const DEFAULT_PROVIDER = 'openai';
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  'openai-compatible': 'llama3.1',
+  anthropic: 'claude-3-5-sonnet-latest',
+  fake: 'fake',
+};
+
+const ANTHROPIC_MAX_TOKENS = 8192;
+
+/**
+ * @typedef {object} CompletionRequest
+ * @property {string} model
+ * @property {string} system - System prompt
+ * @property {string} user - User prompt
+ * @property {boolean} [json] - Ask for a JSON object response where the provider supports it
+ * @property {number} [temperature]
+ */
+
+/**
+ * @typedef {object} CompletionResult
+ * @property {string} content - Raw text returned by the model
+ * @property {{ promptTokens: number, completionTokens: number }} usage
+ */
+
+/**
+ * @typedef {object} LLMProvider
+ * @property {string} name
+ * @property {(request: CompletionRequest) => Promise<CompletionResult>} complete
+ */
+
+/**
+ * Returns the default model for a provider.
+ * @param {string} provider
+ * @returns {string}
+ */
+export function getDefaultModel(provider) {
+  return DEFAULT_MODELS[provider] || DEFAULT_MODELS[DEFAULT_PROVIDER];
+}
+
+/**
+ * Returns true when the provider has the credentials/endpoint it needs.
+ * @param {string} provider
+ * @returns {boolean}
+ */
+export function isProviderConfigured(provider) {
+  switch (provider) {
+    case 'openai':
+      return Boolean(process.env.OPENAI_API_KEY);
+    case 'openai-compatible':
+      return Boolean(process.env.MERGEMONK_LLM_BASE_URL);
+    case 'anthropic':
+      return Boolean(process.env.ANTHROPIC_API_KEY);
+    case 'fake':
+      return true;
+    default:
+      return false;
+  }
+}
+
+function createOpenAIProvider(name, clientOptions, { jsonMode }) {
+  const client = new OpenAI(clientOptions);
+  return {
+    name,
+    async complete({ model, system, user, json = false, temperature = 0.2 }) {
+      const completion = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: user },
+        ],
+        ...(json && jsonMode ? { response_format: { type: 'json_object' } } : {}),
+        temperature,
+      });
+      return {
+        content: completion.choices[0]?.message?.content ?? '',
+        usage: {
+          promptTokens: completion.usage?.prompt_tokens ?? 0,
+          completionTokens: completion.usage?.completion_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+function createAnthropicProvider() {
+  const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+  return {
+    name: 'anthropic',
+    async complete({ model, system, user, temperature = 0.2 }) {
+      // No JSON mode in the Messages API; the prompts already require a bare JSON object.
+      const message = await client.messages.create({
+        model,
+        max_tokens: ANTHROPIC_MAX_TOKENS,
+        system,
+        messages: [{ role: 'user', content: user }],
+        temperature,
+      });
+      const content = (message.content || [])
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('');
+      return {
+        content,
+        usage: {
+          promptTokens: message.usage?.input_tokens ?? 0,
+          completionTokens: message.usage?.output_tokens ?? 0,
+        },
+      };
+    },
+  };
+}
+
+/**
+ * Loads fake-provider fixtures from MERGEMONK_FAKE_LLM_FIXTURES: a JSON array of
+ * { "match": "text in the system or user prompt", "response": <string or object>, "usage"?: { promptTokens, completionTokens } }.
+ * The first fixture whose match appears in the prompt wins; a fixture without match always matches. usage is the
+ * token count reported for the answer (0 by default).
+ */
+function loadFakeFixtures() {
+  const file = process.env.MERGEMONK_FAKE_LLM_FIXTURES;
+  if (!file) return [];
+  const fixtures = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  if (!Array.isArray(fixtures)) {
+    throw new Error('MERGEMONK_FAKE_LLM_FIXTURES must contain a JSON array');
+  }
+  return fixtures;
+}
+
+const FAKE_DEFAULT_REVIEW = {
+  summary: 'Fake review generated offline by the MergeMonk fake provider.',
+  qualityRating: 7,
+  qualityRatingReason: 'Deterministic rating from the fake provider.',
+  securityAssessment: 'Not assessed (fake provider).',
+  systemDesignAssessment: 'Not assessed (fake provider).',
+  scalabilityAssessment: 'Not assessed (fake provider).',
+  reviewBody: 'No real model was called.',
+  comments: [],
+  filePatches: [],
+};
+
+function createFakeProvider() {
+  const fixtures = loadFakeFixtures();
+  return {
+    name: 'fake',
+    async complete({ system, user, json = false }) {
+      const prompt = `${system}\n${user}`;
+      const fixture = fixtures.find((f) => !f.match || prompt.includes(f.match));
+      let content;
+      if (fixture) {
+        content = typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+      } else {
+        content = json ? JSON.stringify(FAKE_DEFAULT_REVIEW) : '';
+      }
+      const usage = { promptTokens: fixture?.usage?.promptTokens ?? 0, completionTokens: fixture?.usage?.completionTokens ?? 0 };
+      return { content, usage };
+    },
+  };
+}
+
+/**
+ * Creates a provider by name.
+ * @param {string} [provider] - One of PROVIDERS; defaults to MERGEMONK_LLM_PROVIDER or "openai"
+ * @returns {LLMProvider}
+ * @throws {Error} If the provider is unknown or not configured
+ */
+export function createProvider(provider = process.env.MERGEMONK_LLM_PROVIDER || DEFAULT_PROVIDER) {
+  if (!PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+  if (!isProviderConfigured(provider)) {
+    throw new Error(`LLM provider ${provider} is not configured`);
+  }
+  // Raw completions are kept in the debug trace of the job (if any) for delivery replays.
+  return traceCompletions(timeCompletions(instantiateProvider(provider)));
+}
+
+/**
+ * Records the latency of each completion in the mergemonk_llm_request_duration_seconds histogram.
+ */
+function timeCompletions(provider) {
+  return {
+    ...provider,
+    async complete(request) {
+      const startedAt = Date.now();
+      let outcome = 'error';
+      try {
+        const result = await provider.complete(request);
+        outcome = 'ok';
+        return result;
+      } finally {
+        const labels = { provider: provider.name, model: request.model, outcome };
+        llmRequestDuration.observe(labels, (Date.now() - startedAt) / 1000);
+      }
+    },
+  };
+}
+
+function instantiateProvider(provider) {
+  switch (provider) {
+    case 'openai':
+      return createOpenAIProvider('openai', { apiKey: process.env.OPENAI_API_KEY }, { jsonMode: true });
+    case 'openai-compatible':
+      return createOpenAIProvider(
+        'openai-compatible',
+        {
+          baseURL: process.env.MERGEMONK_LLM_BASE_URL,
+          // Local servers usually ignore the key, but the SDK requires one.
+          apiKey: process.env.MERGEMONK_LLM_API_KEY || 'not-needed',
+        },
+        { jsonMode: process.env.MERGEMONK_LLM_JSON_MODE !== 'false' }
+      );
+    case 'anthropic':
+      return createAnthropicProvider();
+    default:
+      return createFakeProvider();
+  }
+}
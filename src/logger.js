@@ -0,0 +1,99 @@
+/**
+ * Structured logger: one JSON object per line with the time, level, message and the correlation fields of the
+ * delivery or job being handled (deliveryId, jobId, installationId, repo, pullNumber), so lines from concurrent
+ * reviews can be told apart. The fields follow the work through async calls (AsyncLocalStorage).
+ * debug and info go to stdout, warn and error to stderr. MERGEMONK_LOG_FORMAT=text prints plain lines instead.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+import util from 'node:util';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = 'info';
+
+const context = new AsyncLocalStorage();
+let format = process.env.MERGEMONK_LOG_FORMAT === 'text' ? 'text' : 'json';
+
+/**
+ * Switches between JSON lines and plain text, e.g. for the command-line review.
+ * @param {'json'|'text'} value
+ */
+export function setLogFormat(value) {
+  format = value === 'text' ? 'text' : 'json';
+}
+
+/**
+ * Runs fn with fields added to every line it logs, on top of the fields already set. A field set to null
+ * hides the outer value.
+ * @param {Record<string, string|number|boolean|null|undefined>} fields - undefined values are ignored
+ * @param {() => T} fn
+ * @param {{ inherit?: boolean }} [options] - inherit: false starts from no fields, e.g. for a queued job
+ *   that must not carry the delivery whose queue tick happened to start it
+ * @returns {T}
+ * @template T
+ */
+export function withLogContext(fields, fn, { inherit = true } = {}) {
+  const merged = inherit ? { ...context.getStore() } : {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) merged[key] = value;
+  }
+  return context.run(merged, fn);
+}
+
+/**
+ * @returns {Record<string, string|number>} Correlation fields of the current delivery or job
+ */
+export function getLogContext() {
+  const fields = {};
+  for (const [key, value] of Object.entries(context.getStore() ?? {})) {
+    if (value !== null) fields[key] = value;
+  }
+  return fields;
+}
+
+function minimumLevel() {
+  return LEVELS[process.env.MERGEMONK_LOG_LEVEL] ?? LEVELS[DEFAULT_LEVEL];
+}
+
+function serializeError(err) {
+  const out = { name: err.name, message: err.message };
+  if (err.code !== undefined) out.code = err.code;
+  if (err.status !== undefined) out.status = err.status;
+  if (err.cause) {
+    out.cause = err.cause instanceof Error ? { message: err.cause.message, code: err.cause.code } : String(err.cause);
+  }
+  out.stack = err.stack;
+  return out;
+}
+
+function formatText(entry) {
+  const { time, level, msg, err, ...fields } = entry;
+  const tags = Object.entries(fields).map(([key, value]) => `${key}=${value}`);
+  const line = `${time} ${level.toUpperCase()} ${msg}${tags.length > 0 ? ` (${tags.join(' ')})` : ''}`;
+  return err && entry.level === 'error' ? `${line}\n${err.stack}` : line;
+}
+
+/**
+ * Arguments are formatted like console.log (util.format). An Error argument shows as its message and is
+ * added to the line as `err` (with its stack).
+ */
+function write(level, args) {
+  if (LEVELS[level] < minimumLevel()) return;
+  let error = null;
+  const parts = args.map((arg) => {
+    if (!(arg instanceof Error)) return arg;
+    error ??= arg;
+    return arg.message;
+  });
+  const entry = { time: new Date().toISOString(), level, msg: util.format(...parts), ...getLogContext() };
+  if (error) entry.err = serializeError(error);
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${format === 'text' ? formatText(entry) : JSON.stringify(entry)}\n`);
+}
+
+export const logger = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+};
@@ -0,0 +1,137 @@
+/**
+ * Prometheus metrics, kept in memory per process and served as text on GET /metrics.
+ * Counters: webhooks by event and action, posted reviews, rule-based fallbacks, patch PR outcomes.
+ * Histograms: review latency and LLM latency.
+ *
+ * @see https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const metrics = [];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Label values in labelNames order, as a Map key. Missing labels are empty strings.
+ */
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => String(labels[name] ?? '')));
+}
+
+/**
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - HELP text
+ * @param {string[]} [labelNames]
+ * @returns {{ inc: (labels?: object, value?: number) => void }}
+ */
+function createCounter(name, help, labelNames = []) {
+  const values = new Map();
+  metrics.push({
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      if (labelNames.length === 0 && values.size === 0) lines.push(`${name} 0`);
+      for (const [key, value] of values) lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      return lines;
+    },
+  });
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + value);
+    },
+  };
+}
+
+/**
+ * @param {string} name - Metric name, ending in the unit (_seconds)
+ * @param {string} help - HELP text
+ * @param {string[]} labelNames
+ * @param {number[]} buckets - Upper bounds, ascending; +Inf is added
+ * @returns {{ observe: (labels: object, value: number) => void }}
+ */
+function createHistogram(name, help, labelNames, buckets) {
+  const series = new Map(); // label key -> { counts (per bucket, not cumulative), sum, count }
+  metrics.push({
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, { counts, sum, count }] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        buckets.forEach((bound, i) => {
+          cumulative += counts[i];
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+      }
+      return lines;
+    },
+  });
+  return {
+    observe(labels, value) {
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+      const bucket = buckets.findIndex((bound) => value <= bound);
+      if (bucket !== -1) entry.counts[bucket] += 1;
+      entry.sum += value;
+      entry.count += 1;
+    },
+  };
+}
+
+export const webhooksReceived = createCounter(
+  'mergemonk_webhooks_total',
+  'Webhook deliveries received, by event and action (duplicates included).',
+  ['event', 'action']
+);
+
+export const reviewsPosted = createCounter(
+  'mergemonk_reviews_posted_total',
+  'Reviews posted on pull requests, by review mode and review event.',
+  ['mode', 'event']
+);
+
+export const reviewFallbacks = createCounter(
+  'mergemonk_review_fallbacks_total',
+  'Posted reviews where the rule-based review stood in for the AI, by reason.',
+  ['reason']
+);
+
+export const patchPrOutcomes = createCounter(
+  'mergemonk_patch_pr_total',
+  'Suggested patch deliveries, by outcome (created, updated, suggestions, not_applied, error).',
+  ['outcome']
+);
+
+export const reviewDuration = createHistogram(
+  'mergemonk_review_duration_seconds',
+  'Time to build and post a review, AI calls included.',
+  ['mode'],
+  [1, 2.5, 5, 10, 20, 30, 60, 120, 300]
+);
+
+export const llmRequestDuration = createHistogram(
+  'mergemonk_llm_request_duration_seconds',
+  'Latency of LLM completions, by provider, model and outcome (ok or error).',
+  ['provider', 'model', 'outcome'],
+  [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120]
+);
+
+/**
+ * @returns {string} All metrics in the Prometheus text exposition format
+ */
+export function renderMetrics() {
+  return `${metrics.flatMap((metric) => metric.render()).join('\n')}\n`;
+}
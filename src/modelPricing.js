@@ -0,0 +1,69 @@
+/**
+ * Price table for estimating what LLM calls cost, in USD per million tokens.
+ * Built-in prices are list prices for the default models; MERGEMONK_MODEL_PRICES (JSON) adds models or
+ * overrides them, e.g. {"gpt-4o-mini": {"input": 0.15, "output": 0.6}, "llama3.1": {"input": 0, "output": 0}}.
+ */
+
+import { logger } from './logger.js';
+
+const BUILT_IN_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  fake: { input: 0, output: 0 },
+};
+
+let cachedPrices = null;
+
+function isPrice(value) {
+  return (
+    value != null &&
+    Number.isFinite(value.input) &&
+    Number.isFinite(value.output) &&
+    value.input >= 0 &&
+    value.output >= 0
+  );
+}
+
+/**
+ * Built-in prices merged with MERGEMONK_MODEL_PRICES. Invalid entries are logged and ignored.
+ * @returns {Record<string, { input: number, output: number }>}
+ */
+export function getPriceTable() {
+  if (cachedPrices) return cachedPrices;
+  const prices = { ...BUILT_IN_PRICES };
+  const raw = process.env.MERGEMONK_MODEL_PRICES;
+  if (raw) {
+    try {
+      for (const [model, price] of Object.entries(JSON.parse(raw))) {
+        if (isPrice(price)) prices[model] = { input: price.input, output: price.output };
+        else logger.warn(`MERGEMONK_MODEL_PRICES: ignoring ${model}; expected { "input": <number>, "output": <number> }`);
+      }
+    } catch (err) {
+      logger.warn('MERGEMONK_MODEL_PRICES is not valid JSON; using built-in prices:', err.message);
+    }
+  }
+  cachedPrices = prices;
+  return prices;
+}
+
+/**
+ * @param {string} model
+ * @returns {boolean} Whether the model has a price, i.e. its cost can be estimated and counted toward USD budgets
+ */
+export function hasPrice(model) {
+  return Boolean(getPriceTable()[model]);
+}
+
+/**
+ * Estimates the cost of a model's token usage.
+ * @param {string} model
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @returns {number|null} USD, or null when the model has no price
+ */
+export function estimateCost(model, usage) {
+  const price = getPriceTable()[model];
+  if (!price) return null;
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
@@ -1,39 +1,97 @@
 /**
- * OpenAI service for PR review: summary, code quality rating, and review comments.
+ * AI service for PR review: summary, code quality rating, and review comments.
+ * Model calls go through the provider layer (OpenAI, OpenAI-compatible, Anthropic, fake).
  */
 
-import OpenAI from 'openai';
+import { resolveReviewSettings } from './repoConfig.js';
+import { createProvider, isProviderConfigured } from './llmProviders.js';
+import { redactFiles, redactSecrets } from './secretScanner.js';
+import { collectContextExcerpts } from './repoContext.js';
+import { REVIEW_SCHEMA, MERGED_REVIEW_SCHEMA, THREAD_REPLY_SCHEMA, validateResponse } from './reviewSchema.js';
+import { logger } from './logger.js';
 
-// Default: fit many files (e.g. 18+) so the AI can comment across the whole PR. Override via env if needed.
-const DEFAULT_MAX_PATCH_CHARS_PER_FILE = 3500;
-const DEFAULT_MAX_TOTAL_PATCH_CHARS = 58000;
+// Rough chars-per-token ratio for code; good enough to size batches without a tokenizer.
+const CHARS_PER_TOKEN = 4;
+const TRUNCATED_MARKER = '\n... (truncated)';
 
 /**
- * Truncates file patches so the total prompt stays within token limits.
- * Includes as many files as possible (each truncated per-file) so the AI can comment across the whole PR.
+ * @param {string} text
+ * @returns {number} Estimated token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Splits file patches into batches that each fit the token budget, so large PRs are reviewed
+ * in several calls instead of being cut off. Files are truncated only when a single file exceeds
+ * the per-file limit (or the batch budget on its own); files beyond maxBatches are skipped.
+ * Every truncated or skipped file is reported so the review can say what was not fully read.
  * @param {Array<{ filename: string, patch?: string }>} files
- * @returns {Array<{ filename: string, patch: string }>}
+ * @param {{ maxPatchCharsPerFile: number, batchTokenBudget: number, maxBatches: number }} settings - From resolveReviewSettings
+ * @returns {{ batches: Array<Array<{ filename: string, patch: string }>>, truncated: string[], skipped: Array<{ filename: string, reason: string }> }}
  */
-function truncatePatches(files) {
-  const maxPerFile = Number(process.env.MERGEMONK_MAX_PATCH_CHARS_PER_FILE) || DEFAULT_MAX_PATCH_CHARS_PER_FILE;
-  const maxTotal = Number(process.env.MERGEMONK_MAX_TOTAL_PATCH_CHARS) || DEFAULT_MAX_TOTAL_PATCH_CHARS;
-  let total = 0;
-  const out = [];
+export function planReviewBatches(files, settings) {
+  const budget = settings.batchTokenBudget;
+  const batches = [];
+  const truncated = [];
+  const skipped = [];
+  let current = [];
+  let currentTokens = 0;
+
   for (const f of files) {
     let patch = (f.patch || '').trim();
-    if (!patch) continue;
-    const remaining = maxTotal - total;
-    if (remaining <= 0) break;
-    if (patch.length > maxPerFile) {
-      patch = patch.slice(0, maxPerFile) + '\n... (truncated)';
+    if (!patch) {
+      skipped.push({ filename: f.filename, reason: 'no diff available (binary or too large for GitHub)' });
+      continue;
+    }
+    const maxChars = Math.min(settings.maxPatchCharsPerFile, budget * CHARS_PER_TOKEN);
+    if (patch.length > maxChars) {
+      patch = patch.slice(0, maxChars) + TRUNCATED_MARKER;
+      truncated.push(f.filename);
     }
-    if (patch.length > remaining) {
-      patch = patch.slice(0, remaining) + '\n... (truncated)';
+    const tokens = estimateTokens(patch);
+    if (current.length > 0 && currentTokens + tokens > budget) {
+      batches.push(current);
+      current = [];
+      currentTokens = 0;
     }
-    total += patch.length;
-    out.push({ filename: f.filename, patch });
+    current.push({ filename: f.filename, patch });
+    currentTokens += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+
+  if (batches.length > settings.maxBatches) {
+    for (const batch of batches.slice(settings.maxBatches)) {
+      for (const { filename } of batch) {
+        skipped.push({ filename, reason: 'over the review budget for this PR' });
+      }
+    }
+    batches.length = settings.maxBatches;
+  }
+
+  return { batches, truncated, skipped };
+}
+
+/**
+ * Fills the context token budget with excerpts in their priority order (see collectContextExcerpts).
+ * An excerpt that does not fit is passed over, so a smaller one further down can still be included.
+ * Secrets are redacted like in the diffs.
+ * @param {Array<{ path: string, startLine: number, endLine: number, label: string, text: string }>} excerpts
+ * @param {number} tokenBudget
+ * @returns {Array<{ path: string, startLine: number, endLine: number, label: string, text: string }>}
+ */
+function packRepoContext(excerpts, tokenBudget) {
+  const packed = [];
+  let used = 0;
+  for (const excerpt of excerpts) {
+    const text = redactSecrets(excerpt.text);
+    const tokens = estimateTokens(text);
+    if (used + tokens > tokenBudget) continue;
+    packed.push({ ...excerpt, text });
+    used += tokens;
   }
-  return out;
+  return packed;
 }
 
 const SYSTEM_PROMPT = `You are MergeMonk, a senior engineer AI that performs production-grade code reviews. Focus on security, system design, scalability, maintainability, error handling, and performance—not just style. Be specific and actionable.
@@ -51,7 +109,12 @@ Your response must be valid JSON only (no markdown fence, no extra text). Use th
     {
       "path": "exact/file/path.js",
       "line": <number>,
+      "side": "RIGHT" | "LEFT",
+      "startLine": <number, optional>,
+      "severity": "blocker" | "major" | "minor" | "nit",
+      "category": "security" | "bug" | "design" | "perf" | "style",
       "body": "Inline: security/design/scalability/bug—actionable, brief",
+      "suggestion": "Optional: replacement code for lines startLine..line (or just line) of the new file",
       "suggestedPrompt": "A single sentence or short instruction the developer can copy-paste into Cursor (or another AI) to fix this issue; e.g. 'Add input validation and sanitization here to prevent XSS' or 'Replace with a structured logger and remove PII from the log message'."
     }
   ],
@@ -64,82 +127,295 @@ Rules:
 - qualityRating 1–10: reflect security, design, and scalability, not just style.
 - securityAssessment, systemDesignAssessment, scalabilityAssessment: always fill; be specific to this diff. If a dimension is not applicable, say so briefly (e.g. "No server/DB changes; N/A for scalability.").
 - Inline comments: Add a comment for every significant issue you find across ALL files in the diff. Do NOT limit to 2–3 comments. Cover security, design, scalability, and bugs in each relevant file; multiple comments per file are expected when there are multiple issues. Use line numbers from the NEW file. Path must match a file path exactly as shown in the diff. Be actionable and brief per comment.
+- side: "RIGHT" (default) for a line of the new file; "LEFT" with the OLD file's line number for a problem caused by a removed line (e.g. a deleted check or validation).
+- startLine: only for a finding that spans several lines; the first line of the range (same side, same diff hunk, lower than line).
+- suggestion: only when the fix is small (a few lines) and entirely within startLine..line (or line) on the RIGHT side: the exact replacement code for those lines, with indentation, no diff markers or fences. Omit it otherwise.
+- severity: REQUIRED for every comment. "blocker" = must not merge (exploitable vulnerability, data loss, crash on a common path); "major" = real bug or serious design/security/performance problem that should be fixed before merge; "minor" = worth fixing but does not block; "nit" = style or small polish.
+- category: REQUIRED for every comment. "security", "bug", "design", "perf" or "style".
+- Repository context (when given) is read-only code from the PR branch: the functions around the changes and the definitions they use. Check it before reporting that something may be undefined, unvalidated or of the wrong type. Never comment on lines that are not in a diff.
 - suggestedPrompt: REQUIRED for every comment. One concise instruction the developer can paste into Cursor/Copilot/etc. to fix the issue—e.g. "Add null check and return early", "Use parameterized query instead of string concatenation", "Extract this to a constant and document the magic number". No backticks or code blocks inside suggestedPrompt; keep it one line when possible.
 - filePatches: REQUIRED when you have at least one comment. Array of { "path": "exact/filename", "patch": "unified diff string" }. For EVERY file that has at least one comment, include exactly one entry: "path" must match the file path exactly as in the diff; "patch" must be a valid unified diff for that file only (first line --- a/path, second line +++ b/path, then @@ -oldStart,oldCount +newStart,newCount @@ and lines prefixed with space/-/+). Use the exact line numbers and context from the diff you were given so the patch applies cleanly. This is used to create a follow-up PR the user can merge.
 - Output only the JSON object.`;
 
+const MERGE_SYSTEM_PROMPT = `You are MergeMonk. A large pull request was reviewed in several parts; you receive the partial reviews as JSON. Combine them into one review of the whole PR. Do not invent issues that are not in the partial reviews.
+
+Your response must be valid JSON only (no markdown fence, no extra text). Use this exact shape:
+{
+  "summary": "2–4 sentence summary of the whole PR.",
+  "qualityRating": <number 1-10, weighing the most serious findings>,
+  "qualityRatingReason": "One sentence tying the rating to security, design, and scalability.",
+  "securityAssessment": "Combined security assessment.",
+  "systemDesignAssessment": "Combined system design assessment.",
+  "scalabilityAssessment": "Combined scalability assessment.",
+  "reviewBody": "Overall narrative: 2–4 sentences with the main strengths and 1–3 concrete next steps."
+}`;
+
 /**
- * Builds the user prompt from PR metadata and file patches.
+ * Builds the user prompt from PR metadata, one batch of file patches and the repository context packed for it.
+ * @param {{ index: number, total: number, otherFiles: string[] }} [part] - Set when the PR is reviewed in several batches
+ * @param {Array<{ path: string, startLine: number, endLine: number, label: string, text: string }>} [context] - From packRepoContext
  */
-function buildUserPrompt(prTitle, prBody, files) {
-  const truncated = truncatePatches(files);
+function buildUserPrompt(prTitle, prBody, batch, part, context = []) {
   let text = `## Pull request\nTitle: ${prTitle || '(no title)'}\n\n`;
   if (prBody) text += `Description:\n${prBody.slice(0, 2000)}${prBody.length > 2000 ? '\n...' : ''}\n\n`;
+  if (part && part.total > 1) {
+    text += `This PR is reviewed in ${part.total} parts; this is part ${part.index + 1}. Review only the files shown here. Other files in the PR (not shown): ${part.otherFiles.slice(0, 100).join(', ')}${part.otherFiles.length > 100 ? ', ...' : ''}\n\n`;
+  }
   text += `## Changed files (diffs)\n\n`;
-  text += `Review all ${truncated.length} file(s) below. Add inline comments for every notable issue (security, design, scalability, bugs)—multiple comments per file are expected when there are multiple issues.\n\n`;
-  for (const { filename, patch } of truncated) {
+  text += `Review all ${batch.length} file(s) below. Add inline comments for every notable issue (security, design, scalability, bugs)—multiple comments per file are expected when there are multiple issues.\n\n`;
+  for (const { filename, patch } of batch) {
     text += `### ${filename}\n\`\`\`diff\n${patch}\n\`\`\`\n\n`;
   }
+  if (context.length > 0) {
+    text += `## Repository context (read-only)\n\n`;
+    for (const { path, startLine, endLine, label, text: code } of context) {
+      text += `### ${path}, lines ${startLine}–${endLine} (${label})\n\`\`\`\n${code}\n\`\`\`\n\n`;
+    }
+  }
   return text;
 }
 
 /**
- * Calls OpenAI to get PR summary, quality rating, and review content.
- * @param {string} prTitle - PR title
- * @param {string} prBody - PR body/description
- * @param {Array<{ filename: string, patch?: string }>} files - Files from pulls.listFiles
- * @returns {Promise<{ summary: string, qualityRating: number, qualityRatingReason: string, reviewBody: string, comments: Array<{ path: string, line: number, body: string }> }>}
+ * Wraps a provider so the token usage of every completion is added to `totals`.
+ * @param {import('./llmProviders.js').LLMProvider} provider
+ * @param {{ promptTokens: number, completionTokens: number }} totals
  */
-export async function getAIReview(prTitle, prBody, files) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not set');
-  }
+function countUsage(provider, totals) {
+  return {
+    name: provider.name,
+    async complete(request) {
+      const result = await provider.complete(request);
+      totals.promptTokens += result.usage?.promptTokens ?? 0;
+      totals.completionTokens += result.usage?.completionTokens ?? 0;
+      return result;
+    },
+  };
+}
 
-  const openai = new OpenAI({ apiKey });
-  const userPrompt = buildUserPrompt(prTitle, prBody, files);
-
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: SYSTEM_PROMPT },
-      { role: 'user', content: userPrompt },
-    ],
-    response_format: { type: 'json_object' },
-    temperature: 0.2,
-  });
+function emptyUsage() {
+  return { promptTokens: 0, completionTokens: 0 };
+}
+
+/**
+ * Strips a markdown code fence some models wrap around their output.
+ */
+function stripCodeFence(content) {
+  return content.replace(/^```[a-z]*\s*\n?/i, '').replace(/\n?```\s*$/, '');
+}
 
-  const content = completion.choices[0]?.message?.content;
-  if (!content) {
-    throw new Error('Empty response from OpenAI');
+/**
+ * Parses a model response and checks it against a schema.
+ * @returns {{ value?: object, errors: string[] }}
+ */
+function parseResponse(content, schema) {
+  if (!content?.trim()) return { errors: ['the response was empty'] };
+  let value;
+  try {
+    value = JSON.parse(stripCodeFence(content.trim()));
+  } catch (err) {
+    return { errors: [`the response is not valid JSON (${err.message})`] };
   }
+  return { value, errors: validateResponse(value, schema) };
+}
 
-  const parsed = JSON.parse(content);
+/**
+ * Sends one JSON request through the provider and returns the parsed object. When the response is not
+ * valid JSON or does not match the schema, the model gets one repair request listing the problems.
+ * @throws {Error} If the repaired response is still invalid
+ */
+async function requestJSON(provider, model, systemPrompt, userPrompt, schema) {
+  const first = await provider.complete({ model, system: systemPrompt, user: userPrompt, json: true });
+  const parsed = parseResponse(first.content, schema);
+  if (parsed.errors.length === 0) return parsed.value;
 
-  const comments = (Array.isArray(parsed.comments) ? parsed.comments : []).map((c) => ({
-    path: c.path ?? '',
-    line: typeof c.line === 'number' ? c.line : 1,
-    body: c.body ?? '',
-    suggestedPrompt: typeof c.suggestedPrompt === 'string' ? c.suggestedPrompt.trim() : '',
-  }));
+  logger.warn(`Invalid response from ${provider.name} (${parsed.errors.length} problem(s)); asking for a repair`);
+  const repairPrompt = [
+    userPrompt,
+    `## Your previous response
+\`\`\`\n${(first.content || '').slice(0, 20000)}\n\`\`\``,
+    `## Problems with it
+${parsed.errors.slice(0, 30).map((e) => `- ${e}`).join('\n')}`,
+    'Return the corrected JSON object only, in the exact shape described in the instructions.',
+  ].join('\n\n');
+  const second = await provider.complete({ model, system: systemPrompt, user: repairPrompt, json: true });
+  const repaired = parseResponse(second.content, schema);
+  if (repaired.errors.length > 0) {
+    throw new Error(`Invalid response from ${provider.name} after repair: ${repaired.errors.slice(0, 5).join('; ')}`);
+  }
+  return repaired.value;
+}
 
-  const filePatches = (Array.isArray(parsed.filePatches) ? parsed.filePatches : [])
-    .filter((fp) => fp && typeof fp.path === 'string' && typeof fp.patch === 'string')
-    .map((fp) => ({ path: fp.path.trim(), patch: fp.patch }));
+/**
+ * Trims a validated review response into the shape used by the review engine.
+ */
+function normalizeReview(parsed) {
+  const comments = (parsed.comments || []).map((c) => ({
+    path: c.path.trim(),
+    line: c.line,
+    side: c.side ?? 'RIGHT',
+    startLine: c.startLine ?? null,
+    suggestion: c.suggestion ?? null,
+    severity: c.severity,
+    category: c.category,
+    body: c.body.trim(),
+    suggestedPrompt: (c.suggestedPrompt || '').trim(),
+  }));
+  const filePatches = (parsed.filePatches || []).map((fp) => ({ path: fp.path.trim(), patch: fp.patch }));
 
   return {
-    summary: parsed.summary ?? '',
-    qualityRating: typeof parsed.qualityRating === 'number' ? parsed.qualityRating : 5,
-    qualityRatingReason: parsed.qualityRatingReason ?? '',
-    securityAssessment: parsed.securityAssessment ?? '',
-    systemDesignAssessment: parsed.systemDesignAssessment ?? '',
-    scalabilityAssessment: parsed.scalabilityAssessment ?? '',
-    reviewBody: parsed.reviewBody ?? '',
+    summary: parsed.summary,
+    qualityRating: parsed.qualityRating,
+    qualityRatingReason: parsed.qualityRatingReason,
+    securityAssessment: parsed.securityAssessment,
+    systemDesignAssessment: parsed.systemDesignAssessment,
+    scalabilityAssessment: parsed.scalabilityAssessment,
+    reviewBody: parsed.reviewBody,
     comments,
     filePatches,
   };
 }
 
+/**
+ * Combines partial reviews without the model: joins the texts and averages the ratings.
+ * Used when the merge call fails so the per-batch findings are not lost.
+ */
+function mergeReviewsLocally(partials) {
+  const join = (key) => partials.map((p) => p[key]).filter(Boolean).join('\n\n');
+  const ratings = partials.map((p) => p.qualityRating);
+  return {
+    summary: join('summary'),
+    qualityRating: Math.round(ratings.reduce((a, b) => a + b, 0) / ratings.length),
+    qualityRatingReason: join('qualityRatingReason'),
+    securityAssessment: join('securityAssessment'),
+    systemDesignAssessment: join('systemDesignAssessment'),
+    scalabilityAssessment: join('scalabilityAssessment'),
+    reviewBody: join('reviewBody'),
+  };
+}
+
+/**
+ * Reduce step: asks the model to merge the narrative parts of the partial reviews.
+ * Comments and file patches are concatenated as-is.
+ */
+async function mergeReviews(provider, model, prTitle, partials) {
+  let merged;
+  try {
+    const input = partials.map((p, i) => ({
+      part: i + 1,
+      summary: p.summary,
+      qualityRating: p.qualityRating,
+      qualityRatingReason: p.qualityRatingReason,
+      securityAssessment: p.securityAssessment,
+      systemDesignAssessment: p.systemDesignAssessment,
+      scalabilityAssessment: p.scalabilityAssessment,
+      reviewBody: p.reviewBody,
+      commentCount: p.comments.length,
+    }));
+    const userPrompt = `## Pull request\nTitle: ${prTitle || '(no title)'}\n\n## Partial reviews\n\n${JSON.stringify(input, null, 2)}`;
+    merged = normalizeReview(await requestJSON(provider, model, MERGE_SYSTEM_PROMPT, userPrompt, MERGED_REVIEW_SCHEMA));
+  } catch (err) {
+    logger.warn('Merging partial reviews failed, combining them locally:', err.message);
+    merged = mergeReviewsLocally(partials);
+  }
+  return {
+    ...merged,
+    comments: partials.flatMap((p) => p.comments),
+    filePatches: partials.flatMap((p) => p.filePatches),
+  };
+}
+
+/**
+ * Calls the configured LLM provider to get PR summary, quality rating, and review content.
+ * Large PRs are reviewed in token-budgeted batches (map) whose results are merged into one review (reduce).
+ * @param {string} prTitle - PR title
+ * @param {string} prBody - PR body/description
+ * @param {Array<{ filename: string, patch?: string }>} files - Files from pulls.listFiles
+ * @param {object} [settings] - Review settings (model, patch limits, context budget) from resolveReviewSettings
+ * @param {import('./repoContext.js').RepoContext|null} [repoContext] - Head file contents from loadRepoContext
+ * @returns {Promise<{ summary: string, qualityRating: number, qualityRatingReason: string, reviewBody: string, comments: Array<{ path: string, line: number, side: string, startLine: number|null, severity: string, category: string, body: string, suggestedPrompt: string, suggestion: string|null }>, coverage: { batches: number, truncated: string[], skipped: Array<{ filename: string, reason: string }> }, usage: { promptTokens: number, completionTokens: number } }>}
+ * @throws {Error} If the review fails; `err.usage` holds the tokens spent before the failure
+ */
+export async function getAIReview(prTitle, prBody, files, settings = resolveReviewSettings(), repoContext = null) {
+  const usage = emptyUsage();
+  try {
+    const provider = countUsage(createProvider(settings.provider), usage);
+    const review = await reviewInBatches(provider, prTitle, prBody, files, settings, repoContext);
+    return { ...review, usage };
+  } catch (err) {
+    err.usage = usage;
+    throw err;
+  }
+}
+
+/**
+ * Map/reduce over the planned batches; see getAIReview.
+ */
+async function reviewInBatches(provider, prTitle, prBody, files, settings, repoContext) {
+  // Secrets never leave our network: redact them from everything that goes into the prompt.
+  prTitle = redactSecrets(prTitle);
+  prBody = redactSecrets(prBody);
+  files = redactFiles(files);
+  const { batches, truncated, skipped } = planReviewBatches(files, settings);
+  if (batches.length === 0) {
+    throw new Error('No reviewable diffs in this PR');
+  }
+
+  const partials = [];
+  for (let i = 0; i < batches.length; i++) {
+    const shown = new Set(batches[i].map((f) => f.filename));
+    const otherFiles = files.map((f) => f.filename).filter((name) => !shown.has(name));
+    // The hunks come first; the context budget is spent on top of them, per batch.
+    const context = repoContext
+      ? packRepoContext(collectContextExcerpts(repoContext, batches[i]), settings.context.tokenBudget)
+      : [];
+    const part = { index: i, total: batches.length, otherFiles };
+    const userPrompt = buildUserPrompt(prTitle, prBody, batches[i], part, context);
+    partials.push(normalizeReview(await requestJSON(provider, settings.model, SYSTEM_PROMPT, userPrompt, REVIEW_SCHEMA)));
+  }
+
+  const review = partials.length === 1 ? partials[0] : await mergeReviews(provider, settings.model, prTitle, partials);
+  return {
+    ...review,
+    coverage: { batches: batches.length, truncated, skipped },
+  };
+}
+
+const THREAD_REPLY_SYSTEM = `You are MergeMonk, a senior engineer AI. Earlier you left an inline review comment (the "finding") on a pull request. A developer has replied in the comment thread. Answer the latest reply directly and briefly (at most ~120 words), in a collegial tone, grounded in the diff hunk shown.
+
+- If they ask why, explain the concrete risk with reference to the code.
+- If they argue the code is intentional or the finding does not apply, judge the argument on its merits. Accept it only if it is specific and convincing (e.g. the input is validated elsewhere, the behavior is required, the risk cannot occur). Otherwise explain what would still go wrong.
+- Never repeat the original finding verbatim.
+
+Your response must be valid JSON only (no markdown fence, no extra text):
+{
+  "reply": "Markdown reply to post in the thread.",
+  "verdict": "accepted" | "maintained" | "clarified"
+}
+"accepted" = the developer convinced you and the finding can be closed; "maintained" = the finding still stands; "clarified" = you answered a question without changing your position.`;
+
+/**
+ * Asks the AI to answer a developer's reply on one of MergeMonk's inline comment threads.
+ * @param {{ prTitle: string, path: string, line?: number, diffHunk: string, finding: string, thread: Array<{ author: string, body: string }> }} context
+ *   finding: the original MergeMonk comment; thread: replies after it, oldest first
+ * @param {object} [settings] - Review settings (provider, model) from resolveReviewSettings
+ * @returns {Promise<{ reply: string, verdict: 'accepted'|'maintained'|'clarified', usage: { promptTokens: number, completionTokens: number } }>}
+ */
+export async function getThreadReply(context, settings = resolveReviewSettings()) {
+  const usage = emptyUsage();
+  const provider = countUsage(createProvider(settings.provider), usage);
+  const thread = context.thread.map((c) => `**${c.author}:** ${redactSecrets(c.body)}`).join('\n\n');
+  const userPrompt = [
+    `## Pull request\nTitle: ${redactSecrets(context.prTitle) || '(no title)'}`,
+    `## File\n${context.path}${context.line ? ` (line ${context.line})` : ''}`,
+    `## Diff hunk\n\`\`\`diff\n${redactSecrets(context.diffHunk || '')}\n\`\`\``,
+    `## Your original finding\n${redactSecrets(context.finding)}`,
+    `## Thread (oldest first)\n${thread}`,
+  ].join('\n\n');
+
+  const parsed = await requestJSON(provider, settings.model, THREAD_REPLY_SYSTEM, userPrompt, THREAD_REPLY_SCHEMA);
+  return { reply: parsed.reply.trim(), verdict: parsed.verdict, usage };
+}
+
 const PATCH_GEN_SYSTEM = `You output only a single unified diff that applies the requested fixes to the given file. No other text, no markdown, no explanation.
 Rules:
 - Output starts with "--- a/<path>" and "+++ b/<path>" (use the exact path provided).
@@ -153,32 +429,31 @@ Rules:
  * @param {string} path - File path (used in diff header)
  * @param {string} fileContent - Current file content
  * @param {Array<{ line: number, body: string, suggestedPrompt: string }>} comments - Comments for this file
- * @returns {Promise<string|null>} Unified diff string or null
+ * @param {object} [settings] - Review settings (model) from resolveReviewSettings
+ * @returns {Promise<{ patch: string|null, usage: { promptTokens: number, completionTokens: number } }>} patch: unified diff, or null
  */
-export async function generatePatchForFile(path, fileContent, comments) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey || !comments.length) return null;
+export async function generatePatchForFile(path, fileContent, comments, settings = resolveReviewSettings()) {
+  if (!comments.length || !isProviderConfigured(settings.provider)) return { patch: null, usage: emptyUsage() };
 
-  const openai = new OpenAI({ apiKey });
+  const provider = createProvider(settings.provider);
+  fileContent = redactSecrets(fileContent);
   const lines = fileContent.split('\n');
   const commentList = comments
     .map((c) => `Line ${c.line}: ${c.suggestedPrompt || c.body}`)
     .join('\n');
   const userPrompt = `File path: ${path}\n\nCurrent content:\n\`\`\`\n${fileContent.slice(0, 12000)}${fileContent.length > 12000 ? '\n... (truncated)' : ''}\n\`\`\`\n\nApply these fixes (one per line):\n${commentList}\n\nOutput only the unified diff for this file.`;
 
-  const completion = await openai.chat.completions.create({
-    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-    messages: [
-      { role: 'system', content: PATCH_GEN_SYSTEM },
-      { role: 'user', content: userPrompt },
-    ],
-    temperature: 0.2,
+  const completion = await provider.complete({
+    model: settings.model,
+    system: PATCH_GEN_SYSTEM,
+    user: userPrompt,
   });
 
-  const content = completion.choices[0]?.message?.content?.trim();
-  if (!content) return null;
+  const { usage } = completion;
+  const content = completion.content?.trim();
+  if (!content) return { patch: null, usage };
   // If the model wrapped in markdown, strip the fence
-  const stripped = content.replace(/^```(?:diff)?\s*\n?/, '').replace(/\n?```\s*$/, '');
-  if (!stripped.includes('--- ') || !stripped.includes('+++ ')) return null;
-  return stripped;
+  const stripped = stripCodeFence(content);
+  if (!stripped.includes('--- ') || !stripped.includes('+++ ')) return { patch: null, usage };
+  return { patch: stripped, usage };
 }
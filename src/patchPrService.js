@@ -1,12 +1,24 @@
 /**
- * Creates a "possible patch" PR: applies AI-suggested file patches to a new branch
- * and opens a PR into the original PR's branch so the user can review and merge.
+ * Creates a "possible patch" PR: applies AI-suggested file patches to the PR's patch branch
+ * (`mergemonk/patches-<n>`, force-updated on every run) and opens or updates one PR into the original
+ * PR's branch so the user can review and merge. Older patch PRs for the same PR are closed.
+ * MergeMonk cannot push to forks, so for fork PRs the same fixes are posted as suggestion comments instead.
  */
 
-import { applyPatch } from 'diff';
+import { applyPatch, structuredPatch } from 'diff';
+import { parsePatchesForComments } from './diffUtils.js';
+import { withMarker } from './commentMarkers.js';
+import { addFingerprints, getPostedFingerprints } from './findingFingerprints.js';
+import { addToPullRequestStateSet } from './prStateStore.js';
+import { logger } from './logger.js';
 
 const PATCH_BRANCH_PREFIX = 'mergemonk/patches-';
 
+// Context lines that may differ between a patch and the file before a hunk no longer applies.
+const PATCH_FUZZ_FACTOR = 2;
+
+const SUPERSEDED_COMMENT = 'Superseded by newer MergeMonk suggested patches; closing.';
+
 /**
  * Fetches raw file content at the given ref for each path.
  * @param {object} octokit - Authenticated Octokit
@@ -16,7 +28,7 @@ const PATCH_BRANCH_PREFIX = 'mergemonk/patches-';
  * @param {string[]} paths - File paths
  * @returns {Promise<Map<string, string>>} path -> file content (utf-8). Missing/failed paths are omitted.
  */
-async function getFileContentsAtRef(octokit, owner, repo, ref, paths) {
+export async function getFileContentsAtRef(octokit, owner, repo, ref, paths) {
   const result = new Map();
   for (const path of paths) {
     try {
@@ -28,72 +40,190 @@ async function getFileContentsAtRef(octokit, owner, repo, ref, paths) {
         result.set(path, data.content || '');
       }
     } catch (err) {
-      console.warn(`Could not fetch ${path} at ${ref}:`, err.message);
+      logger.warn(`Could not fetch ${path} at ${ref}:`, err.message);
     }
   }
   return result;
 }
 
+function normalizeWhitespace(line) {
+  return line.replace(/\s+/g, ' ').trim();
+}
+
 /**
- * Applies a unified diff patch to content. Returns null if patch does not apply.
+ * Applies a unified diff patch to content: exactly first, then with fuzz (a few context lines may differ)
+ * and whitespace-insensitive line matching. Returns null if the patch does not apply.
  * @param {string} content - Original file content
  * @param {string} patchStr - Unified diff (single file)
  * @returns {string|null} Patched content or null
  */
-function applyPatchToContent(content, patchStr) {
-  const trimmed = patchStr.trim();
+export function applyPatchToContent(content, patchStr) {
+  const trimmed = (patchStr || '').trim();
   if (!trimmed) return null;
   // Ensure patch has a newline at end for applyPatch
   const patch = trimmed.endsWith('\n') ? trimmed : trimmed + '\n';
-  const out = applyPatch(content, patch);
-  return out !== false ? out : null;
+  try {
+    const exact = applyPatch(content, patch);
+    if (exact !== false) return exact;
+    const fuzzy = applyPatch(content, patch, {
+      fuzzFactor: PATCH_FUZZ_FACTOR,
+      compareLine: (lineNumber, line, operation, patchContent) =>
+        normalizeWhitespace(line) === normalizeWhitespace(patchContent),
+    });
+    return fuzzy !== false ? fuzzy : null;
+  } catch (err) {
+    // Malformed diffs (bad hunk headers, several files) throw instead of returning false
+    logger.warn('Patch could not be parsed:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Applies each file patch to the file at the PR head. When any patch for a file does not apply (jsdiff applies a
+ * patch only if all its hunks fit), the file's fix is regenerated once against the current content through
+ * regeneratePatch (if given) and applied instead; if that fails too, the patches that did apply are kept.
+ * @param {(path: string, content: string) => Promise<string|null>} [regeneratePatch]
+ * @returns {Promise<Array<{ path: string, content: string, newContent: string }>>} Files that changed
+ */
+async function applyFilePatches(octokit, owner, repo, headSha, filePatches, regeneratePatch) {
+  const paths = [...new Set(filePatches.map((fp) => fp.path))];
+  const contentMap = await getFileContentsAtRef(octokit, owner, repo, headSha, paths);
+  const changed = [];
+  for (const path of paths) {
+    const content = contentMap.get(path);
+    if (content == null) continue;
+    // Several patches for one file are applied one after another
+    let newContent = content;
+    let failed = false;
+    for (const { patch } of filePatches.filter((fp) => fp.path === path)) {
+      const patched = applyPatchToContent(newContent, patch);
+      if (patched == null) failed = true;
+      else newContent = patched;
+    }
+    if (failed && regeneratePatch) {
+      logger.warn(`Patch did not fully apply for ${path}; regenerating it against the current file`);
+      try {
+        const regenerated = await regeneratePatch(path, content);
+        newContent = (regenerated && applyPatchToContent(content, regenerated)) ?? newContent;
+      } catch (err) {
+        logger.warn(`Regenerating the patch for ${path} failed:`, err.message);
+      }
+    }
+    if (newContent === content) {
+      logger.warn(`Patch did not apply for ${path}, skipping`);
+      continue;
+    }
+    changed.push({ path, content, newContent });
+  }
+  return changed;
+}
+
+/**
+ * @param {object} pr - PR object from pulls.get
+ * @returns {boolean} true when the PR head lives in another repository (a fork)
+ */
+export function isForkPullRequest(pr, owner, repo) {
+  const headRepo = pr.head?.repo;
+  // A deleted fork has no head repo; it cannot be pushed to either
+  if (!headRepo) return true;
+  const headRepoFull = headRepo.full_name || `${headRepo.owner?.login}/${headRepo.name}`;
+  return headRepoFull !== `${owner}/${repo}`;
+}
+
+/**
+ * Points the branch at sha, creating it or force-updating it.
+ */
+async function forceUpdateBranch(octokit, owner, repo, branchName, sha) {
+  try {
+    await octokit.git.updateRef({ owner, repo, ref: `heads/${branchName}`, sha, force: true });
+  } catch (err) {
+    if (err.status !== 404 && err.status !== 422) throw err;
+    await octokit.git.createRef({ owner, repo, ref: `refs/heads/${branchName}`, sha });
+  }
+}
+
+/**
+ * Closes open patch PRs for this PR other than keepNumber (e.g. the per-commit
+ * `mergemonk/patches-<n>-<sha>` PRs of earlier versions) and deletes their branches. With keepNumber null,
+ * the `mergemonk/patches-<n>` PR is closed too (its branch is kept; it is force-updated on the next patch).
+ * @param {number|null} keepNumber
+ * @param {string} [reason] - Comment posted on each closed PR
+ */
+async function closeSupersededPatchPullRequests(octokit, owner, repo, pr, keepNumber, reason = SUPERSEDED_COMMENT) {
+  const open = await octokit.paginate(octokit.pulls.list, {
+    owner,
+    repo,
+    state: 'open',
+    base: pr.head.ref,
+    per_page: 100,
+  });
+  const prefix = `${PATCH_BRANCH_PREFIX}${pr.number}`;
+  const superseded = open.filter(
+    (p) =>
+      p.number !== keepNumber &&
+      p.head?.repo?.full_name === `${owner}/${repo}` &&
+      (p.head.ref === prefix || p.head.ref.startsWith(`${prefix}-`))
+  );
+  for (const old of superseded) {
+    try {
+      await octokit.pulls.update({ owner, repo, pull_number: old.number, state: 'closed' });
+      await octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: old.number,
+        body: reason,
+      });
+      if (old.head.ref !== prefix) {
+        await octokit.git.deleteRef({ owner, repo, ref: `heads/${old.head.ref}` });
+      }
+    } catch (err) {
+      logger.warn(`Patch PR: could not close superseded #${old.number}:`, err.message);
+    }
+  }
 }
 
 /**
- * Creates a new branch from headSha, applies filePatches to the repo, and opens a PR into the original PR's branch.
- * Only runs when the PR head is in the same repo (not a fork). Patches that fail to apply are skipped.
+ * Commits the applied patches on top of the PR head to `mergemonk/patches-<n>` (force-updated) and opens
+ * a PR into the original PR's branch, or reuses the open one. Superseded patch PRs are closed, and so are all
+ * open patch PRs for this PR when none of the patches applies.
+ * Only runs when the PR head is in the same repo (not a fork); use createPatchSuggestions for forks.
  *
  * @param {object} octokit - Authenticated Octokit (installation auth)
  * @param {string} owner - Repo owner
  * @param {string} repo - Repo name
  * @param {object} pr - PR object from pulls.get (must have head.sha, head.ref, head.repo, base.ref, number, title)
  * @param {Array<{ path: string, patch: string }>} filePatches - Per-file unified diffs from the AI
- * @returns {Promise<{ pullRequestUrl?: string, branch?: string }|null>} Created PR info or null if skipped/failed
+ * @param {{ regeneratePatch?: (path: string, content: string) => Promise<string|null> }} [options]
+ *   regeneratePatch: produces a fresh diff for a file whose patch did not apply
+ * @returns {Promise<{ pullRequestUrl: string, branch: string, created: boolean }|null>} Patch PR info, or null if skipped/failed
  */
-export async function createPatchPullRequest(octokit, owner, repo, pr, filePatches) {
+export async function createPatchPullRequest(octokit, owner, repo, pr, filePatches, options = {}) {
   if (!filePatches || filePatches.length === 0) return null;
 
-  const headRepo = pr.head?.repo;
   const headRef = pr.head?.ref;
   const headSha = pr.head?.sha;
-  if (!headRepo || !headRef || !headSha) {
-    console.warn('Patch PR: missing pr.head.repo/ref/sha');
+  if (!pr.head?.repo || !headRef || !headSha) {
+    logger.warn('Patch PR: missing pr.head.repo/ref/sha');
     return null;
   }
 
   // We can only push to the same repo (no push access to forks)
-  const headRepoFull = headRepo.full_name || `${headRepo.owner?.login}/${headRepo.name}`;
-  if (headRepoFull !== `${owner}/${repo}`) {
-    console.warn('Patch PR: skipping because PR head is in a fork');
+  if (isForkPullRequest(pr, owner, repo)) {
+    logger.warn('Patch PR: skipping because PR head is in a fork');
     return null;
   }
 
-  const paths = [...new Set(filePatches.map((fp) => fp.path))];
-  const contentMap = await getFileContentsAtRef(octokit, owner, repo, headSha, paths);
-  if (contentMap.size === 0) {
-    console.warn('Patch PR: could not fetch any file contents');
+  const changed = await applyFilePatches(octokit, owner, repo, headSha, filePatches, options.regeneratePatch);
+  if (changed.length === 0) {
+    logger.warn('Patch PR: no patches applied successfully');
+    // Open patch PRs were made for an earlier head; their fixes are not current anymore
+    const reason = `MergeMonk's suggested patches no longer apply to ${headSha.slice(0, 7)}; closing.`;
+    await closeSupersededPatchPullRequests(octokit, owner, repo, pr, null, reason);
     return null;
   }
 
   const treeEntries = [];
-  for (const { path, patch } of filePatches) {
-    const content = contentMap.get(path);
-    if (content == null) continue;
-    const newContent = applyPatchToContent(content, patch);
-    if (newContent == null) {
-      console.warn(`Patch PR: patch did not apply for ${path}, skipping`);
-      continue;
-    }
+  for (const { path, newContent } of changed) {
     const { data: blob } = await octokit.git.createBlob({
       owner,
       repo,
@@ -103,13 +233,7 @@ export async function createPatchPullRequest(octokit, owner, repo, pr, filePatch
     treeEntries.push({ path, mode: '100644', type: 'blob', sha: blob.sha });
   }
 
-  if (treeEntries.length === 0) {
-    console.warn('Patch PR: no patches applied successfully');
-    return null;
-  }
-
-  const shortSha = headSha.slice(0, 7);
-  const branchName = `${PATCH_BRANCH_PREFIX}${pr.number}-${shortSha}`;
+  const branchName = `${PATCH_BRANCH_PREFIX}${pr.number}`;
 
   const { data: baseCommit } = await octokit.git.getCommit({ owner, repo, commit_sha: headSha });
   const { data: newTree } = await octokit.git.createTree({
@@ -121,27 +245,135 @@ export async function createPatchPullRequest(octokit, owner, repo, pr, filePatch
   const { data: newCommit } = await octokit.git.createCommit({
     owner,
     repo,
-    message: `MergeMonk: suggested patches for #${pr.number}`,
+    message: `MergeMonk: suggested patches for #${pr.number} at ${headSha.slice(0, 7)}`,
     tree: newTree.sha,
     parents: [headSha],
   });
-  await octokit.git.createRef({
+  await forceUpdateBranch(octokit, owner, repo, branchName, newCommit.sha);
+
+  const prBody = `This PR applies **MergeMonk**-suggested patches for [#${pr.number} ${pr.title}](/${owner}/${repo}/pull/${pr.number}) at ${headSha.slice(0, 7)}.\n\nReview the changes and merge into this branch to incorporate the fixes. MergeMonk updates this PR when the original branch changes.`;
+  const { data: existing } = await octokit.pulls.list({
     owner,
     repo,
-    ref: `refs/heads/${branchName}`,
-    sha: newCommit.sha,
+    state: 'open',
+    head: `${owner}:${branchName}`,
   });
+  let patchPr = existing.find((p) => p.base?.ref === headRef);
+  const created = !patchPr;
+  if (patchPr) {
+    await octokit.pulls.update({ owner, repo, pull_number: patchPr.number, body: prBody });
+  } else {
+    ({ data: patchPr } = await octokit.pulls.create({
+      owner,
+      repo,
+      title: `MergeMonk suggested patches for #${pr.number}`,
+      head: branchName,
+      base: headRef,
+      body: prBody,
+    }));
+  }
+  await closeSupersededPatchPullRequests(octokit, owner, repo, pr, patchPr.number);
 
-  const prBody = `This PR applies **MergeMonk**-suggested patches for [#${pr.number} ${pr.title}](/${owner}/${repo}/pull/${pr.number}).\n\nReview the changes and merge into this branch to incorporate the fixes.`;
-  const { data: patchPr } = await octokit.pulls.create({
+  logger.info(`Patch PR ${created ? 'created' : 'updated'}: ${patchPr.html_url} (${branchName} -> ${headRef})`);
+  return { pullRequestUrl: patchPr.html_url, branch: branchName, created };
+}
+
+/**
+ * Turns the difference between a file and its patched version into suggestion comments on the PR head.
+ * Each change becomes one comment replacing the changed lines; a pure insertion is anchored on the line
+ * above it (or below it at the top of the file). Changes on lines outside the PR diff are skipped,
+ * because GitHub only accepts comments inside diff hunks.
+ */
+function toSuggestionComments(path, content, newContent, hunks) {
+  const lines = content.split('\n');
+  const comments = [];
+  for (const h of structuredPatch(path, path, content, newContent, '', '', { context: 0 }).hunks) {
+    const added = h.lines.filter((l) => l.startsWith('+')).map((l) => l.slice(1));
+    let start = h.oldStart;
+    let end = h.oldStart + h.oldLines - 1;
+    let suggestion = added;
+    if (h.oldLines === 0) {
+      // Insertion before line oldStart
+      if (h.oldStart > 1) {
+        start = end = h.oldStart - 1;
+        suggestion = [lines[start - 1], ...added];
+      } else {
+        start = end = 1;
+        suggestion = [...added, lines[0]];
+      }
+    }
+    const hunk = hunks.find((hk) => hk.RIGHT.has(start) && hk.RIGHT.has(end));
+    if (!hunk) continue;
+    comments.push({
+      path,
+      line: end,
+      startLine: start < end ? start : null,
+      ruleId: 'suggested-patch',
+      body: `Suggested fix from MergeMonk:\n\n\`\`\`suggestion\n${suggestion.join('\n')}\n\`\`\``,
+    });
+  }
+  return comments;
+}
+
+/**
+ * Fork fallback: applies the file patches to the PR head and posts the changes as suggestion comments
+ * in one review, so the author can apply them from the PR page.
+ * @param {object} octokit - Authenticated Octokit (installation auth)
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {object} pr - PR object from pulls.get
+ * @param {Array<{ filename: string, patch?: string }>} prFiles - PR files (from pulls.listFiles)
+ * @param {Array<{ path: string, patch: string }>} filePatches - Per-file unified diffs from the AI
+ * @param {{ regeneratePatch?: (path: string, content: string) => Promise<string|null> }} [options]
+ * @returns {Promise<number>} Number of suggestions posted
+ */
+export async function createPatchSuggestions(octokit, owner, repo, pr, prFiles, filePatches, options = {}) {
+  const headSha = pr.head?.sha;
+  if (!filePatches?.length || !headSha) return 0;
+
+  // File contents come from the base repo's view of the PR head commit, which includes fork commits.
+  const changed = await applyFilePatches(octokit, owner, repo, headSha, filePatches, options.regeneratePatch);
+  const patchMap = parsePatchesForComments(prFiles);
+  const suggestions = addFingerprints(
+    changed.flatMap(({ path, content, newContent }) =>
+      toSuggestionComments(path, content, newContent, patchMap.get(path)?.hunks || [])
+    ),
+    prFiles
+  );
+  // Suggestions already posted on an earlier run (same code, same spot) are not repeated
+  const posted = await getPostedFingerprints(octokit, owner, repo, pr.number);
+  const fresh = suggestions.filter((s) => !s.fingerprint || !posted.has(s.fingerprint));
+  if (fresh.length === 0) {
+    logger.warn('Patch suggestions: no new changes fall inside the PR diff');
+    return 0;
+  }
+  const comments = fresh.map((s) => {
+    const comment = { path: s.path, line: s.line, side: 'RIGHT', body: withMarker(s.body, s.fingerprint) };
+    if (s.startLine) {
+      comment.start_line = s.startLine;
+      comment.start_side = 'RIGHT';
+    }
+    return comment;
+  });
+
+  await octokit.pulls.createReview({
     owner,
     repo,
-    title: `MergeMonk suggested patches for #${pr.number}`,
-    head: branchName,
-    base: headRef,
-    body: prBody,
+    pull_number: pr.number,
+    commit_id: headSha,
+    event: 'COMMENT',
+    body: withMarker(
+      'MergeMonk cannot push a patch branch to a fork, so its suggested fixes are below as suggestions. Use **Commit suggestion** to apply them.'
+    ),
+    comments,
   });
-
-  console.log(`Patch PR created: ${patchPr.html_url} (${branchName} -> ${headRef})`);
-  return { pullRequestUrl: patchPr.html_url, branch: branchName };
+  await addToPullRequestStateSet(
+    owner,
+    repo,
+    pr.number,
+    'postedFingerprints',
+    fresh.map((s) => s.fingerprint).filter(Boolean)
+  );
+  logger.info(`Posted ${comments.length} patch suggestion(s) on ${owner}/${repo}#${pr.number}`);
+  return comments.length;
 }
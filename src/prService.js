@@ -3,90 +3,716 @@
  * Optionally creates a "possible patch" PR with AI-suggested fixes for the user to review and merge.
  */
 
-import { parsePatchesForComments, commentsToPositions } from './diffUtils.js';
+import { minimatch } from 'minimatch';
+import { parsePatchesForComments, resolveCommentLocations } from './diffUtils.js';
 import { runAIReview, runReview } from './reviewEngine.js';
-import { createPatchPullRequest } from './patchPrService.js';
+import { createPatchPullRequest, createPatchSuggestions, isForkPullRequest } from './patchPrService.js';
 import { generatePatchForFile } from './openaiService.js';
+import { loadRepoContext } from './repoContext.js';
+import { CONFIG_PATH, loadRepoConfig, resolveReviewSettings, isPathIncluded } from './repoConfig.js';
+import { isSeverity, meetsSeverity } from './severity.js';
+import { getPullRequestState, updatePullRequestState, addToPullRequestStateSet } from './prStateStore.js';
+import { getInstallationSettings } from './installationSettings.js';
+import { isProviderConfigured } from './llmProviders.js';
+import { scanFilesForSecrets } from './secretScanner.js';
+import { withMarker } from './commentMarkers.js';
+import { recordReview } from './reviewHistoryStore.js';
+import { recordUsage, findExhaustedBudget, describeExhaustedBudget } from './usageStore.js';
+import { estimateCost } from './modelPricing.js';
+import { addFingerprints, getPostedFingerprints, getAcceptedFingerprints } from './findingFingerprints.js';
+import { findBlockingReviews, dismissReviews, findStillOpenFindings } from './staleReviewService.js';
+import { startCheckRun, completeCheckRun, failCheckRun, skipCheckRun } from './checkRunService.js';
+import { uploadSarif } from './sarif.js';
+import { logger } from './logger.js';
+import { reviewsPosted, reviewFallbacks, reviewDuration, patchPrOutcomes } from './metrics.js';
+
+// Findings at or above this severity make the review request changes.
+const BLOCKING_SEVERITY = 'major';
+
+// Larger fixes are left to the suggested prompt / patch PR instead of a suggestion block.
+const MAX_SUGGESTION_LINES = 15;
+
+const CONFIG_ERROR_MARKER = '<!-- mergemonk:config-errors -->';
+
+/**
+ * Posts `.mergemonk.yml` validation errors as a PR comment, unless the same report is already there.
+ */
+async function reportConfigErrors(octokit, owner, repo, pullNumber, errors) {
+  const body = [
+    CONFIG_ERROR_MARKER,
+    `⚠️ **MergeMonk:** \`${CONFIG_PATH}\` has problems; the invalid settings were ignored and defaults used instead.`,
+    '',
+    ...errors.map((e) => `- ${e}`),
+  ].join('\n');
+  const existing = await octokit.paginate(octokit.issues.listComments, {
+    owner,
+    repo,
+    issue_number: pullNumber,
+    per_page: 100,
+  });
+  if (existing.some((c) => c.body === body)) return;
+  await octokit.issues.createComment({ owner, repo, issue_number: pullNumber, body });
+}
+
+/**
+ * Returns the AI budget limit this task has used up, or null. A failed check never blocks the AI.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number }} task
+ */
+async function checkBudget(task, settings) {
+  try {
+    return await findExhaustedBudget(task, settings.budget, settings.model);
+  } catch (err) {
+    logger.warn('Failed to check the AI budget:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Saves the tokens an AI task used. Returns the usage with its estimated cost, or null when nothing was used.
+ * A dry run changes no state: its usage is returned but not saved, so it does not count toward the budget.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number }} task
+ * @param {'review'|'patch'} kind
+ * @param {{ dryRun?: boolean }} [options]
+ */
+async function saveUsage(task, kind, settings, usage, { dryRun = false } = {}) {
+  if (!usage) return null;
+  if (dryRun) return { ...usage, costUsd: estimateCost(settings.model, usage) };
+  let costUsd = null;
+  try {
+    costUsd = await recordUsage({ ...task, kind, provider: settings.provider, model: settings.model }, usage);
+  } catch (err) {
+    logger.warn('Failed to record token usage:', err.message);
+  }
+  return { ...usage, costUsd };
+}
+
+/**
+ * Fetches the head versions of the changed and imported files for the AI prompt. Without them the review
+ * still runs on the diffs alone.
+ * @param {{ owner: string, repo: string }} task
+ * @returns {Promise<import('./repoContext.js').RepoContext|null>}
+ */
+async function loadContextForReview(octokit, pr, files, settings, task) {
+  try {
+    return await loadRepoContext(octokit, task.owner, task.repo, pr.head?.sha, files, settings);
+  } catch (err) {
+    logger.warn('Failed to load repository context, reviewing the diffs only:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Decides what to review. When an earlier head SHA was reviewed and the new head descends from it,
+ * only the compare diff between the two is reviewed (restricted to files in the PR). Anything else
+ * (first review, force-push, unreachable SHA, or options.full) reviews the whole PR.
+ * earlierFindings are the findings still open after the last review; a full review looks at them again.
+ * @returns {Promise<{ mode: 'full'|'incremental'|'unchanged', files: Array<object>, baseSha?: string, earlierFindings: Array<object> }>}
+ */
+async function selectFilesToReview(octokit, owner, repo, pr, prFiles, options) {
+  const headSha = pr.head?.sha;
+  const state = options.full ? null : await getPullRequestState(owner, repo, pr.number);
+  const lastSha = state?.lastReviewedSha;
+  if (!lastSha || !headSha) return { mode: 'full', files: prFiles, earlierFindings: [] };
+  const earlierFindings = state.openFindings ?? [];
+  if (lastSha === headSha) return { mode: 'unchanged', files: [], earlierFindings };
+
+  let comparison;
+  try {
+    ({ data: comparison } = await octokit.repos.compareCommitsWithBasehead({
+      owner,
+      repo,
+      basehead: `${lastSha}...${headSha}`,
+    }));
+  } catch (err) {
+    // The old SHA is gone after a force-push and history rewrite
+    logger.warn(`Compare ${lastSha.slice(0, 7)}...${headSha.slice(0, 7)} failed; reviewing full PR:`, err.message);
+    return { mode: 'full', files: prFiles, earlierFindings: [] };
+  }
+  if (comparison.status !== 'ahead') {
+    // diverged/behind: the branch was rewritten, so the previous review no longer describes it
+    return { mode: 'full', files: prFiles, earlierFindings: [] };
+  }
+
+  // Merges from the base branch also show up in the compare; keep only files that are part of this PR.
+  const prPaths = new Set(prFiles.map((f) => f.filename));
+  const files = (comparison.files || []).filter((f) => prPaths.has(f.filename) && f.patch);
+  return { mode: 'incremental', files, baseSha: lastSha, earlierFindings };
+}
+
+/**
+ * The findings of earlier reviews still open after this one (see findStillOpenFindings). When that cannot be
+ * checked they all count as open, so a check run never passes for lack of data.
+ * @param {Array<object>} newFindings - Findings of the review being posted
+ */
+async function loadStillOpenFindings(octokit, owner, repo, pullNumber, selection, newFindings) {
+  try {
+    return await findStillOpenFindings(octokit, owner, repo, pullNumber, selection.earlierFindings, {
+      changedPaths: new Set(selection.files.map((f) => f.filename)),
+      newFindings,
+    });
+  } catch (err) {
+    logger.warn(`Could not check earlier findings on ${owner}/${repo}#${pullNumber}:`, err.message);
+    return selection.earlierFindings;
+  }
+}
+
+/**
+ * What is kept of a finding in pull_request_state.openFindings: enough for a check run annotation and a
+ * code scanning result.
+ */
+function toStoredFinding(f) {
+  const { path, line, side, startLine, severity, category, ruleId, body, fingerprint } = f;
+  return { path, line, side, startLine, severity, category, ruleId, body, fingerprint };
+}
+
+/**
+ * Runs a check run for the head SHA that only reports findings from earlier reviews, for a push with nothing
+ * new to review.
+ */
+async function publishOpenFindingsCheckRun(octokit, owner, repo, headSha, openFindings, settings) {
+  const checkRunId = await startCheckRun(octokit, owner, repo, headSha);
+  if (!checkRunId) return;
+  const body =
+    openFindings.length > 0
+      ? `No new changes to review. ${openFindings.length} finding(s) from earlier reviews are still open.`
+      : 'No new changes to review, and no findings from earlier reviews are open.';
+  try {
+    await completeCheckRun(octokit, owner, repo, checkRunId, { body, findings: openFindings, thresholds: settings.checkRun });
+  } catch (err) {
+    await failCheckRun(octokit, owner, repo, checkRunId, err);
+  }
+}
+
+/**
+ * Uploads every open finding of the PR for the head SHA to code scanning. Code scanning takes each upload as the
+ * full set of results for the ref, so after an incremental review the earlier findings that are still open are
+ * uploaded with the new ones; leaving them out would mark them as fixed. Failures are logged.
+ */
+async function uploadOpenFindings(octokit, owner, repo, pullNumber, headSha, openFindings) {
+  try {
+    const ref = `refs/pull/${pullNumber}/head`;
+    const uploadId = await uploadSarif(octokit, owner, repo, { commitSha: headSha, ref, findings: openFindings });
+    logger.info(`Uploaded ${openFindings.length} finding(s) to code scanning for ${owner}/${repo}#${pullNumber} (${uploadId})`);
+  } catch (err) {
+    logger.warn(`Failed to upload SARIF for ${owner}/${repo}#${pullNumber}:`, err.message);
+  }
+}
+
+/**
+ * Publishes a neutral MergeMonk check run for a head SHA that is not reviewed (automatic reviews paused or
+ * turned off), when check runs are enabled for the repo, so a required check does not stay pending.
+ * Failures are logged.
+ * @param {{ headSha: string, defaultBranch?: string, installationId?: number, reason: string }} skipped
+ */
+export async function publishSkippedCheckRun(octokit, owner, repo, { headSha, defaultBranch, installationId, reason }) {
+  try {
+    const { config: repoConfig } = defaultBranch
+      ? await loadRepoConfig(octokit, owner, repo, defaultBranch)
+      : { config: {} };
+    const settings = resolveReviewSettings(repoConfig, await getInstallationSettings(installationId));
+    if (settings.checkRun.enabled) await skipCheckRun(octokit, owner, repo, headSha, reason);
+  } catch (err) {
+    logger.warn(`Could not publish a skipped check run for ${owner}/${repo}@${headSha.slice(0, 7)}:`, err.message);
+  }
+}
+
+/**
+ * Fetches the PR and its files, loads `.mergemonk.yml` (reporting config errors on the PR) and
+ * resolves the review settings. Files are filtered by the config's path globs and by options.paths.
+ * With options.headSha older than the PR head, pr.head.sha is that commit and the files are its diff against
+ * the base branch (atHead: false).
+ * @returns {Promise<{ pr: object, prFiles: Array<object>, settings: object, atHead: boolean }>}
+ */
+async function loadPullRequestContext(octokit, owner, repo, pullNumber, options) {
+  // listFiles returns 30 files per page; paginate so large PRs are reviewed in full.
+  let [{ data: pr }, allFiles] = await Promise.all([
+    octokit.pulls.get({ owner, repo, pull_number: pullNumber }),
+    octokit.paginate(octokit.pulls.listFiles, { owner, repo, pull_number: pullNumber, per_page: 100 }),
+  ]);
+  const atHead = !options.headSha || options.headSha === pr.head?.sha;
+  if (!atHead) {
+    let comparison;
+    try {
+      ({ data: comparison } = await octokit.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${pr.base.sha}...${options.headSha}`,
+      }));
+    } catch (err) {
+      throw new Error(`Commit ${options.headSha.slice(0, 7)} of ${owner}/${repo}#${pullNumber} cannot be compared: ${err.message}`);
+    }
+    pr = { ...pr, head: { ...pr.head, sha: options.headSha } };
+    allFiles = comparison.files || [];
+  }
+
+  // Per-repo overrides from .mergemonk.yml on the default branch, merged over env defaults.
+  const defaultBranch = pr.base?.repo?.default_branch;
+  const { config: repoConfig, errors: configErrors } = defaultBranch
+    ? await loadRepoConfig(octokit, owner, repo, defaultBranch)
+    : { config: {}, errors: [] };
+  if (configErrors.length > 0 && !options.dryRun) {
+    try {
+      await reportConfigErrors(octokit, owner, repo, pullNumber, configErrors);
+    } catch (err) {
+      logger.warn('Failed to report config errors:', err.message);
+    }
+  }
+  const installationSettings = await getInstallationSettings(options.installationId);
+  const settings = resolveReviewSettings(repoConfig, installationSettings);
+  let prFiles = allFiles.filter((f) => isPathIncluded(f.filename, settings));
+  if (options.paths?.length) {
+    prFiles = prFiles.filter((f) => options.paths.some((glob) => minimatch(f.filename, glob, { dot: true })));
+  }
+  return { pr, prFiles, settings, atHead };
+}
+
+/**
+ * Delivers the AI's file patches: as the suggested patch PR (linked from the original PR when it is first
+ * opened) or, for fork PRs that MergeMonk cannot push to, as suggestion comments. A patch that does not
+ * apply to the PR head is regenerated from the review comments on that file.
+ * @param {Array<{ path: string, body: string }>} comments - Review comments, used to regenerate failed patches
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number }} task - Tokens used to regenerate patches are saved under it
+ * The outcome is counted in mergemonk_patch_pr_total.
+ * @returns {Promise<string|null>} Patch PR URL or a description of the posted suggestions; null if nothing could be applied
+ */
+async function openPatchPullRequest(octokit, owner, repo, pr, prFiles, filePatches, comments, settings, task) {
+  const regeneratePatch = async (path, content) => {
+    const { patch, usage } = await generatePatchForFile(path, content, comments.filter((c) => c.path === path), settings);
+    await saveUsage(task, 'patch', settings, usage);
+    return patch;
+  };
+  const outcome = (name, result) => {
+    patchPrOutcomes.inc({ outcome: name });
+    return result;
+  };
+
+  try {
+    if (isForkPullRequest(pr, owner, repo)) {
+      const count = await createPatchSuggestions(octokit, owner, repo, pr, prFiles, filePatches, { regeneratePatch });
+      return count > 0 ? outcome('suggestions', `${count} suggestion comment(s)`) : outcome('not_applied', null);
+    }
+
+    const patchPr = await createPatchPullRequest(octokit, owner, repo, pr, filePatches, { regeneratePatch });
+    if (!patchPr?.pullRequestUrl) return outcome('not_applied', null);
+    // The patch PR is reused on later pushes, so it is only announced once.
+    if (patchPr.created) {
+      await octokit.issues.createComment({
+        owner,
+        repo,
+        issue_number: pr.number,
+        body: `MergeMonk created a [suggested patch PR](${patchPr.pullRequestUrl}) you can review and merge into this branch. It is updated when this branch changes.`,
+      });
+    }
+    return outcome(patchPr.created ? 'created' : 'updated', patchPr.pullRequestUrl);
+  } catch (err) {
+    patchPrOutcomes.inc({ outcome: 'error' });
+    throw err;
+  }
+}
+
+/**
+ * Turns a resolved finding into a createReview comment. A small AI fix becomes a ```suggestion``` block the
+ * author can apply with one click, but only on new-file lines whose location was not moved or narrowed,
+ * since a suggestion replaces exactly the commented lines.
+ * @param {{ path: string, line: number, side: string, startLine?: number, snapped: boolean, originalLine?: number, rangeDropped?: boolean, body: string, suggestion?: string|null, fingerprint?: string|null }} c - From resolveCommentLocations
+ * @returns {{ path: string, line: number, side: string, start_line?: number, start_side?: string, body: string }}
+ */
+function toReviewComment(c) {
+  let body = c.body;
+  if (c.snapped) {
+    body += `\n\n_This finding is about line ${c.originalLine}, which is outside the diff; shown on the nearest changed line._`;
+  }
+  const suggestionLines = c.suggestion != null ? c.suggestion.split('\n').length : 0;
+  const canSuggest = c.side === 'RIGHT' && !c.snapped && !c.rangeDropped;
+  if (canSuggest && suggestionLines > 0 && suggestionLines <= MAX_SUGGESTION_LINES) {
+    body += `\n\n\`\`\`suggestion\n${c.suggestion.replace(/\n$/, '')}\n\`\`\``;
+  }
+  const comment = { path: c.path, line: c.line, side: c.side, body: withMarker(body, c.fingerprint) };
+  if (c.startLine) {
+    comment.start_line = c.startLine;
+    comment.start_side = c.side;
+  }
+  return comment;
+}
 
 /**
- * Fetches PR details and changed files, runs AI review (or fallback), and posts the review.
+ * Fetches PR details and changed files, loads the repo's `.mergemonk.yml`, runs AI review (or fallback), and posts the review.
  * @param {Octokit} octokit - Authenticated Octokit instance
  * @param {string} owner - Repo owner
  * @param {string} repo - Repo name
  * @param {number} pullNumber - PR number
+ * @param {{ full?: boolean, paths?: string[], headSha?: string, installationId?: number, dryRun?: boolean }} [options] - full: ignore the last reviewed SHA and review the whole PR;
+ *   paths: only review files matching these globs; headSha: review the PR as of this commit (e.g. a replayed delivery's head);
+ *   a commit other than the PR head is reviewed like a path-limited review (no state change, code scanning upload or
+ *   patch PR); installationId: used to load per-installation settings (LLM provider and model);
+ *   dryRun: build the review but post nothing (no review, check run, code scanning upload or patch PR) and change no state
+ * @returns {Promise<{ review: object, mode: string, fallbackReason: string|null, usage: object|null, dismissReviewIds: number[] }|undefined>}
+ *   With dryRun: the createReview request that would have been sent
  */
-export async function reviewPullRequest(octokit, owner, repo, pullNumber) {
-  const [{ data: pr }, { data: files }] = await Promise.all([
-    octokit.pulls.get({ owner, repo, pull_number: pullNumber }),
-    octokit.pulls.listFiles({ owner, repo, pull_number: pullNumber }),
-  ]);
+export async function reviewPullRequest(octokit, owner, repo, pullNumber, options = {}) {
+  const { pr, prFiles, settings, atHead } = await loadPullRequestContext(octokit, owner, repo, pullNumber, options);
+  // A review limited to some paths (or of an older commit) does not cover the head SHA, so it never moves the
+  // incremental baseline.
+  const tracksHead = !options.paths?.length && atHead;
+
+  const headSha = pr.head?.sha;
+  const selection = await selectFilesToReview(octokit, owner, repo, pr, prFiles, { ...options, full: options.full || !atHead });
+  if (selection.mode !== 'full' && selection.files.length === 0) {
+    logger.info(`No new changes to review for ${owner}/${repo}#${pullNumber} at ${headSha?.slice(0, 7)}`);
+    if (options.dryRun || !headSha) return;
+    // The head still gets a check run and a code scanning upload, made of the earlier findings that are still open.
+    const openFindings = await loadStillOpenFindings(octokit, owner, repo, pullNumber, selection, []);
+    if (tracksHead) {
+      await updatePullRequestState(owner, repo, pullNumber, { lastReviewedSha: headSha, openFindings });
+    }
+    if (settings.checkRun.enabled) {
+      await publishOpenFindingsCheckRun(octokit, owner, repo, headSha, openFindings, settings);
+    }
+    if (settings.codeScanning.enabled && tracksHead) {
+      await uploadOpenFindings(octokit, owner, repo, pullNumber, headSha, openFindings);
+    }
+    return;
+  }
+
+  const startCheck = settings.checkRun.enabled && headSha && !options.dryRun;
+  const checkRunId = startCheck ? await startCheckRun(octokit, owner, repo, headSha) : null;
+  try {
+    return await postReview(octokit, owner, repo, pr, prFiles, selection, settings, {
+      tracksHead,
+      atHead,
+      checkRunId,
+      installationId: options.installationId,
+      dryRun: options.dryRun === true,
+    });
+  } catch (err) {
+    if (checkRunId) await failCheckRun(octokit, owner, repo, checkRunId, err);
+    throw err;
+  }
+}
 
+/**
+ * Runs the AI review (when a provider is configured and the AI budget allows), rule checks and secret scanning
+ * over the files. fallbackReason says why the rule-based review stood in for the AI ('no-provider', 'budget' or
+ * 'ai-error'; null when the AI ran). usage is the AI's token usage and estimated cost, null when it did not run; on a dry run it is
+ * reported but not saved.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number }} task
+ * @returns {Promise<{ body: string, comments: Array<object>, filePatches: Array<{ path: string, patch: string }>, qualityRating: number|null, assessments: object|null, fallbackReason: string|null, usage: { promptTokens: number, completionTokens: number, costUsd: number|null }|null }>}
+ */
+async function buildReview(octokit, pr, files, settings, task, { dryRun = false } = {}) {
   const prTitle = pr.title || '';
   const prBody = pr.body || '';
 
   let body;
   let comments;
-
   let filePatches = [];
-  if (process.env.OPENAI_API_KEY) {
+  let qualityRating = null;
+  let assessments = null;
+  let fallbackReason = null;
+  let usage = null;
+  // Rule checks always run; with an LLM they are added next to the AI findings, without one they are the review.
+  const ruleResult = runReview(files, settings.rules);
+  const aiAvailable = isProviderConfigured(settings.provider);
+  const exhausted = aiAvailable ? await checkBudget(task, settings) : null;
+  if (exhausted) {
+    logger.info(`AI budget exhausted for ${task.owner}/${task.repo}#${task.pullNumber}; using rule-based review`);
+    body = `> ⚠️ **AI review skipped:** ${describeExhaustedBudget(exhausted, settings.model)}, so this is a rule-based review only.\n\n${ruleResult.body}`;
+    comments = ruleResult.comments;
+    fallbackReason = 'budget';
+  } else if (aiAvailable) {
     try {
-      const result = await runAIReview(prTitle, prBody, files);
+      const repoContext = await loadContextForReview(octokit, pr, files, settings, task);
+      const result = await runAIReview(prTitle, prBody, files, settings, repoContext);
+      usage = await saveUsage(task, 'review', settings, result.usage, { dryRun });
       body = result.body;
-      comments = result.comments;
+      comments = [...result.comments, ...ruleResult.comments];
       filePatches = result.filePatches || [];
+      ({ qualityRating, assessments } = result);
+      if (ruleResult.comments.length > 0) {
+        const ruleIds = [...new Set(ruleResult.comments.map((c) => c.ruleId))];
+        body += `\n\n### Rule checks\n${ruleResult.comments.length} finding(s) from MergeMonk rules (${ruleIds.map((id) => `\`${id}\``).join(', ')}) are included as inline comments.`;
+      }
     } catch (err) {
-      console.warn('AI review failed, using rule-based fallback:', err.message);
-      const result = runReview(files);
-      body = result.body;
-      comments = result.comments;
+      logger.warn('AI review failed, using rule-based fallback:', err.message);
+      usage = await saveUsage(task, 'review', settings, err.usage, { dryRun });
+      body = ruleResult.body;
+      comments = ruleResult.comments;
+      fallbackReason = 'ai-error';
     }
   } else {
-    const result = runReview(files);
-    body = result.body;
-    comments = result.comments;
+    body = ruleResult.body;
+    comments = ruleResult.comments;
+    fallbackReason = 'no-provider';
+  }
+
+  // Secret findings are posted whether or not the AI ran; they were redacted from the prompt.
+  const disabledRules = new Set(settings.rules.disable);
+  const secretFindings = scanFilesForSecrets(files).filter((f) => !disabledRules.has(f.ruleId));
+  if (secretFindings.length > 0) {
+    body = `### 🔒 Possible secrets detected\n${secretFindings.length} possible secret(s) were found in added lines (see inline comments) and redacted before the diff was sent to the AI. Rotate them; removing them from the branch is not enough.\n\n${body}`;
+    comments = [...secretFindings, ...comments];
+  }
+
+  return { body, comments, filePatches, qualityRating, assessments, fallbackReason, usage };
+}
+
+/**
+ * Lists findings that cannot be posted inline because their line is too far from the diff (see
+ * resolveCommentLocations), one line each with the start of the finding's text.
+ * @param {Array<{ path: string, line: number, side: string, body: string }>} findings
+ * @returns {string} Markdown section for the review body
+ */
+export function formatUnplacedFindings(findings) {
+  const items = findings.map((f) => {
+    const text = f.body.split('\n\n---')[0].replace(/\s+/g, ' ').trim();
+    const where = f.side === 'LEFT' ? `removed line ${f.line}` : `line ${f.line}`;
+    return `- \`${f.path}\` ${where}: ${text}`;
+  });
+  return `### Findings outside the diff\nThese are about lines too far from the changed code to comment on inline:\n${items.join('\n')}`;
+}
+
+/**
+ * Builds the review for the selected files, posts it, and publishes the check run and code scanning results when enabled.
+ * A dry run stops before anything is posted and returns the review instead.
+ */
+async function postReview(octokit, owner, repo, pr, prFiles, selection, settings, context) {
+  const { tracksHead, atHead, checkRunId, installationId, dryRun } = context;
+  const pullNumber = pr.number;
+  const headSha = pr.head?.sha;
+  const files = selection.files;
+  const startedAt = Date.now();
+  const task = { installationId, owner, repo, pullNumber };
+  const built = await buildReview(octokit, pr, files, settings, task, { dryRun });
+  let { body } = built;
+  const { comments, filePatches } = built;
+
+  if (selection.mode === 'incremental') {
+    body = `_Incremental review of changes since ${selection.baseSha.slice(0, 7)} (${files.length} file(s))._\n\n${body}`;
+  }
+
+  // Comment lines must lie inside a diff hunk; lines just outside one are moved to the nearest valid line, and
+  // findings too far from any are listed in the review body instead.
+  // Locations always refer to the full PR diff, also when only the new commits were reviewed.
+  const patchMap = parsePatchesForComments(prFiles);
+  const located = resolveCommentLocations(
+    (comments || []).filter((c) => meetsSeverity(c.severity, settings.minSeverity)),
+    patchMap
+  );
+  const unplaced = located.filter((c) => c.unplaced);
+  if (unplaced.length > 0) body += `\n\n${formatUnplacedFindings(unplaced)}`;
+  // Findings accepted in their thread are not reported again.
+  let acceptedFingerprints = new Set();
+  try {
+    acceptedFingerprints = await getAcceptedFingerprints(owner, repo, pullNumber);
+  } catch (err) {
+    logger.warn('Failed to load accepted findings:', err.message);
   }
+  const visibleComments = addFingerprints(
+    located.filter((c) => !c.unplaced),
+    prFiles
+  ).filter((c) => !c.fingerprint || !acceptedFingerprints.has(c.fingerprint));
 
-  // GitHub expects "position" (1-based index in diff), not "line". Resolve and filter invalid comments.
-  const patchMap = parsePatchesForComments(files);
-  const positionComments = commentsToPositions(comments || [], patchMap);
+  // Findings already posted on this PR (same fingerprint) are not posted again, even when their line moved.
+  let postedFingerprints = new Set();
+  try {
+    postedFingerprints = await getPostedFingerprints(octokit, owner, repo, pullNumber);
+  } catch (err) {
+    logger.warn('Failed to load posted findings:', err.message);
+  }
+  const seen = new Set(postedFingerprints);
+  const newComments = visibleComments.filter((c) => {
+    if (!c.fingerprint) return true;
+    if (seen.has(c.fingerprint)) return false;
+    seen.add(c.fingerprint);
+    return true;
+  });
+  const repeated = visibleComments.length - newComments.length;
+  if (repeated > 0) {
+    body += `\n\n_${repeated} finding(s) MergeMonk already posted on this PR are not repeated._`;
+  }
+
+  // Block merge only when there are blocker/major findings: REQUEST_CHANGES keeps the PR from merging until approved.
+  // Set MERGEMONK_REQUEST_CHANGES=false (or review.event: comment in .mergemonk.yml) to only comment without blocking.
+  const hasBlockingFindings = visibleComments.some(
+    (c) => isSeverity(c.severity) && meetsSeverity(c.severity, BLOCKING_SEVERITY)
+  );
+  let event = settings.reviewEvent === 'request_changes' && hasBlockingFindings ? 'REQUEST_CHANGES' : 'COMMENT';
 
-  // Block merge until review is addressed: use REQUEST_CHANGES so PR cannot be merged until approved.
-  // Set MERGEMONK_REQUEST_CHANGES=false to only comment without blocking.
-  const requestChanges = process.env.MERGEMONK_REQUEST_CHANGES !== 'false';
-  const event = requestChanges ? 'REQUEST_CHANGES' : 'COMMENT';
+  // Earlier blocking reviews whose findings are all addressed are dismissed once the new review is posted.
+  // Path-limited reviews do not see the whole PR, so they leave earlier reviews alone.
+  let blockingReviews = [];
+  if (tracksHead && headSha) {
+    try {
+      blockingReviews = await findBlockingReviews(octokit, owner, repo, pullNumber, visibleComments);
+    } catch (err) {
+      logger.warn('Failed to check earlier MergeMonk reviews:', err.message);
+    }
+  }
+  const addressedReviewIds = blockingReviews.filter((r) => r.addressed).map((r) => r.id);
+  if (blockingReviews.length > 0 && addressedReviewIds.length === blockingReviews.length && visibleComments.length === 0) {
+    event = 'COMMENT';
+    body = `### ✅ All previously flagged issues addressed\nEvery finding from MergeMonk's earlier review(s) has been fixed or resolved, so they were dismissed and no longer block merging.\n\n${body}`;
+  }
 
   const review = {
     owner,
     repo,
     pull_number: pullNumber,
     event,
-    body,
+    body: withMarker(body),
   };
+  if (headSha) review.commit_id = headSha;
+
+  if (newComments.length > 0) {
+    review.comments = newComments.map(toReviewComment);
+  }
 
-  if (positionComments.length > 0) {
-    review.comments = positionComments;
+  if (dryRun) {
+    logger.info(`Dry run for ${owner}/${repo}#${pullNumber}: ${event} with ${newComments.length} comment(s), not posted`);
+    return {
+      review,
+      mode: selection.mode,
+      fallbackReason: built.fallbackReason,
+      usage: built.usage,
+      dismissReviewIds: addressedReviewIds,
+    };
   }
 
+  // An incremental review only sees the new commits, so findings of earlier reviews that are still open are
+  // added for the check run and code scanning, and kept for the next push.
+  const openFindings =
+    selection.mode === 'full'
+      ? visibleComments
+      : [...visibleComments, ...(await loadStillOpenFindings(octokit, owner, repo, pullNumber, selection, visibleComments))];
+  const earlierOpen = openFindings.length - visibleComments.length;
+
   await octokit.pulls.createReview(review);
+  const latencyMs = Date.now() - startedAt;
+  reviewsPosted.inc({ mode: selection.mode, event });
+  reviewDuration.observe({ mode: selection.mode }, latencyMs / 1000);
+  if (built.fallbackReason) reviewFallbacks.inc({ reason: built.fallbackReason });
+  try {
+    await recordReview({
+      installationId,
+      owner,
+      repo,
+      pullNumber,
+      headSha: headSha ?? null,
+      mode: selection.mode,
+      event,
+      provider: settings.provider,
+      model: settings.model,
+      qualityRating: built.qualityRating,
+      assessments: built.assessments,
+      findings: visibleComments,
+      postedFindings: newComments.length,
+      latencyMs,
+      fallbackUsed: built.fallbackReason !== null,
+      fallbackReason: built.fallbackReason,
+      usage: built.usage,
+    });
+  } catch (err) {
+    logger.warn('Failed to record review history:', err.message);
+  }
+  // The review is posted: nothing after this point may throw, or the queue would retry the job and post it twice.
+  try {
+    if (headSha && tracksHead) {
+      await updatePullRequestState(owner, repo, pullNumber, {
+        lastReviewedSha: headSha,
+        lastReviewedAt: new Date(),
+        openFindings: openFindings.map(toStoredFinding),
+      });
+    }
+    await addToPullRequestStateSet(
+      owner,
+      repo,
+      pullNumber,
+      'postedFingerprints',
+      newComments.map((c) => c.fingerprint).filter(Boolean)
+    );
+  } catch (err) {
+    logger.warn(`Failed to save the review state of ${owner}/${repo}#${pullNumber}:`, err.message);
+  }
+  if (addressedReviewIds.length > 0) {
+    try {
+      const dismissed = await dismissReviews(octokit, owner, repo, pullNumber, addressedReviewIds, headSha);
+      logger.info(`Dismissed ${dismissed} addressed MergeMonk review(s) on ${owner}/${repo}#${pullNumber}`);
+    } catch (err) {
+      logger.warn('Failed to dismiss addressed reviews:', err.message);
+    }
+  }
 
-  // Create a "possible patch" PR when the AI returned file patches and the feature is enabled.
-  if (
-    filePatches.length > 0 &&
-    process.env.MERGEMONK_CREATE_PATCH_PR !== 'false'
-  ) {
+  if (checkRunId) {
     try {
-      const patchPr = await createPatchPullRequest(octokit, owner, repo, pr, filePatches);
-      if (patchPr?.pullRequestUrl) {
-        // Optionally add a comment to the original PR linking to the patch PR.
-        await octokit.issues.createComment({
-          owner,
-          repo,
-          issue_number: pullNumber,
-          body: `MergeMonk created a [suggested patch PR](${patchPr.pullRequestUrl}) you can review and merge into this branch.`,
-        });
-      }
+      const checkBody =
+        earlierOpen > 0 ? `${body}\n\n_${earlierOpen} finding(s) from earlier reviews are still open and count toward this check._` : body;
+      await completeCheckRun(octokit, owner, repo, checkRunId, {
+        body: checkBody,
+        findings: openFindings,
+        thresholds: settings.checkRun,
+      });
+    } catch (err) {
+      logger.warn('Failed to complete check run:', err.message);
+    }
+  }
+
+  // A path-limited review does not know the findings in the other files, so it is not uploaded.
+  if (settings.codeScanning.enabled && headSha) {
+    if (tracksHead) {
+      await uploadOpenFindings(octokit, owner, repo, pullNumber, headSha, openFindings);
+    } else {
+      logger.info(`Not uploading the path-limited review of ${owner}/${repo}#${pullNumber} to code scanning`);
+    }
+  }
+
+  // Create a "possible patch" PR when the AI returned file patches and the feature is enabled. Patches of an
+  // older commit would not apply to the branch.
+  if (filePatches.length > 0 && settings.createPatchPr && atHead) {
+    try {
+      await openPatchPullRequest(octokit, owner, repo, pr, prFiles, filePatches, comments, settings, task);
     } catch (err) {
-      console.warn('Failed to create patch PR:', err.message);
+      logger.warn('Failed to create patch PR:', err.message);
     }
   }
 }
+
+/**
+ * Creates the suggested patch PR on demand (`@mergemonk patch`): runs the AI review to get file patches
+ * without posting a review. Ignores patchPr.enabled since it was explicitly requested.
+ * @param {Octokit} octokit - Authenticated Octokit instance
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {{ installationId?: number }} [options]
+ * @returns {Promise<string>} Patch PR URL, or a description of the suggestion comments for fork PRs
+ * @throws {Error} If no LLM provider is configured, the AI budget is used up, or no patch could be produced
+ */
+export async function createSuggestedPatch(octokit, owner, repo, pullNumber, options = {}) {
+  const { pr, prFiles, settings } = await loadPullRequestContext(octokit, owner, repo, pullNumber, options);
+  if (!isProviderConfigured(settings.provider)) {
+    throw new Error('No LLM provider is configured, so MergeMonk cannot generate patches');
+  }
+  const task = { installationId: options.installationId, owner, repo, pullNumber };
+  const exhausted = await checkBudget(task, settings);
+  if (exhausted) {
+    throw new Error(describeExhaustedBudget(exhausted, settings.model));
+  }
+  const repoContext = await loadContextForReview(octokit, pr, prFiles, settings, task);
+  let review;
+  try {
+    review = await runAIReview(pr.title || '', pr.body || '', prFiles, settings, repoContext);
+  } catch (err) {
+    // A failed attempt still cost tokens.
+    await saveUsage(task, 'patch', settings, err.usage);
+    throw err;
+  }
+  await saveUsage(task, 'patch', settings, review.usage);
+  const { filePatches, comments } = review;
+  if (!filePatches?.length) {
+    throw new Error('The AI did not suggest any patches for this PR');
+  }
+  const result = await openPatchPullRequest(octokit, owner, repo, pr, prFiles, filePatches, comments, settings, task);
+  if (!result) {
+    throw new Error('None of the suggested patches could be applied to the PR branch');
+  }
+  return result;
+}
@@ -0,0 +1,102 @@
+/**
+ * Per-pull-request review state in MongoDB (e.g. the head SHA MergeMonk last reviewed, fingerprints of posted findings,
+ * the findings still open after the last review).
+ */
+
+import { getDB } from './db.js';
+
+const PR_STATE_COLLECTION = 'pull_request_state';
+
+function stateId(owner, repo, pullNumber) {
+  return `${owner}/${repo}#${pullNumber}`;
+}
+
+/**
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<object|null>} Stored state, or null if none (or MongoDB is not configured)
+ */
+export async function getPullRequestState(owner, repo, pullNumber) {
+  const db = getDB();
+  if (!db) return null;
+  return db.collection(PR_STATE_COLLECTION).findOne({ _id: stateId(owner, repo, pullNumber) });
+}
+
+/**
+ * Merges fields into the stored state for a PR (creating it if needed). No-op without MongoDB.
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {object} fields - Fields to set
+ * @returns {Promise<boolean>} false when there is no MongoDB to save to
+ */
+export async function updatePullRequestState(owner, repo, pullNumber, fields) {
+  const db = getDB();
+  if (!db) return false;
+  await db.collection(PR_STATE_COLLECTION).updateOne(
+    { _id: stateId(owner, repo, pullNumber) },
+    {
+      $set: { ...fields, updatedAt: new Date() },
+      $setOnInsert: { owner, repo, pullNumber },
+    },
+    { upsert: true }
+  );
+  return true;
+}
+
+/**
+ * Appends a value to an array field of the PR state (creating the state if needed). No-op without MongoDB.
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {string} field - Array field, e.g. "acceptedFindings"
+ * @param {unknown} value
+ */
+export async function appendToPullRequestState(owner, repo, pullNumber, field, value) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(PR_STATE_COLLECTION).updateOne(
+    { _id: stateId(owner, repo, pullNumber) },
+    {
+      $push: { [field]: value },
+      $set: { updatedAt: new Date() },
+      $setOnInsert: { owner, repo, pullNumber },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Adds values to a set-like array field of the PR state (creating the state if needed). No-op without MongoDB.
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {string} field - Array field, e.g. "postedFingerprints"
+ * @param {unknown[]} values - Values already in the array are not added again
+ */
+export async function addToPullRequestStateSet(owner, repo, pullNumber, field, values) {
+  const db = getDB();
+  if (!db || values.length === 0) return;
+  await db.collection(PR_STATE_COLLECTION).updateOne(
+    { _id: stateId(owner, repo, pullNumber) },
+    {
+      $addToSet: { [field]: { $each: values } },
+      $set: { updatedAt: new Date() },
+      $setOnInsert: { owner, repo, pullNumber },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Deletes the state of every PR in the owner's repositories (data retention after uninstall).
+ * @param {string} owner - Account login
+ * @returns {Promise<number>} Deleted states
+ */
+export async function deleteOwnerPullRequestStates(owner) {
+  const db = getDB();
+  if (!db) return 0;
+  const { deletedCount } = await db.collection(PR_STATE_COLLECTION).deleteMany({ owner });
+  return deletedCount;
+}
@@ -0,0 +1,332 @@
+/**
+ * Per-repository configuration from `.mergemonk.yml` on the default branch.
+ * Values from the file override the global env defaults for reviews of that repo.
+ */
+
+import YAML from 'yaml';
+import { minimatch } from 'minimatch';
+import { SEVERITIES, CATEGORIES } from './severity.js';
+import { DEFAULT_PROVIDER, getDefaultModel } from './llmProviders.js';
+import { findUnsafePattern, MAX_CUSTOM_PATTERN_LENGTH } from './rules.js';
+
+export const CONFIG_PATH = '.mergemonk.yml';
+
+const DEFAULT_MAX_PATCH_CHARS_PER_FILE = 12000;
+const DEFAULT_BATCH_TOKEN_BUDGET = 15000;
+const DEFAULT_MAX_BATCHES = 6;
+const DEFAULT_CONTEXT_TOKEN_BUDGET = 4000;
+const DEFAULT_CHECK_FAIL_ON = 'major';
+const DEFAULT_CHECK_NEUTRAL_ON = 'minor';
+
+export const REVIEW_EVENTS = Object.freeze(['request_changes', 'comment']);
+
+/**
+ * Schema for `.mergemonk.yml`. Each leaf is a type name, { enum: [...] }, or
+ * { list: <item schema>, required: [...] } for a list of mappings.
+ */
+const CONFIG_SCHEMA = {
+  // Model name for the installation's LLM provider
+  model: 'string',
+  review: {
+    event: { enum: REVIEW_EVENTS },
+    minSeverity: { enum: SEVERITIES },
+  },
+  patchPr: {
+    enabled: 'boolean',
+  },
+  checkRun: {
+    enabled: 'boolean',
+    // Lowest severity that makes the check fail / neutral
+    failOn: { enum: SEVERITIES },
+    neutralOn: { enum: SEVERITIES },
+  },
+  codeScanning: {
+    // Upload findings as SARIF to GitHub code scanning
+    enabled: 'boolean',
+  },
+  // Code around the changes and imported definitions, sent to the AI next to the diffs
+  context: {
+    enabled: 'boolean',
+    tokenBudget: 'positiveInteger',
+  },
+  limits: {
+    maxPatchCharsPerFile: 'positiveInteger',
+    batchTokenBudget: 'positiveInteger',
+    maxBatches: 'positiveInteger',
+  },
+  paths: {
+    include: 'stringArray',
+    ignore: 'stringArray',
+  },
+  rules: {
+    // Rule ids to turn off, e.g. [todo-comment, no-console-log]
+    disable: 'stringArray',
+    custom: {
+      list: {
+        id: 'string',
+        pattern: 'regex',
+        ignoreCase: 'boolean',
+        message: 'string',
+        severity: { enum: SEVERITIES },
+        category: { enum: CATEGORIES },
+        files: 'stringArray',
+        suggestedPrompt: 'string',
+      },
+      required: ['id', 'pattern', 'message'],
+    },
+  },
+};
+
+function describeLeaf(leaf) {
+  if (leaf.enum) return `one of ${leaf.enum.join(', ')}`;
+  if (leaf === 'positiveInteger') return 'a positive integer';
+  if (leaf === 'stringArray') return 'a list of strings';
+  if (leaf === 'regex') {
+    return `a valid RE2 regular expression of at most ${MAX_CUSTOM_PATTERN_LENGTH} characters (no backreferences or lookarounds)`;
+  }
+  return `a ${leaf}`;
+}
+
+function matchesLeaf(leaf, value) {
+  if (leaf.enum) return leaf.enum.includes(value);
+  switch (leaf) {
+    case 'string':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'positiveInteger':
+      return Number.isInteger(value) && value > 0;
+    case 'stringArray':
+      return Array.isArray(value) && value.every((v) => typeof v === 'string' && v.trim() !== '');
+    case 'regex':
+      return typeof value === 'string' && value !== '' && findUnsafePattern(value) === null;
+    default:
+      return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value != null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a list of mappings. Items with any error are dropped as a whole.
+ */
+function validateList(value, rule, keyPath) {
+  if (!Array.isArray(value)) {
+    return { items: [], errors: [`\`${keyPath}\` must be a list`] };
+  }
+  const items = [];
+  const errors = [];
+  value.forEach((item, i) => {
+    const itemPath = `${keyPath}[${i}]`;
+    const result = validateRepoConfig(item, rule.list, itemPath);
+    const missing = isPlainObject(item) ? (rule.required || []).filter((k) => item[k] === undefined) : [];
+    errors.push(...result.errors, ...missing.map((k) => `\`${itemPath}.${k}\` is required`));
+    if (result.errors.length === 0 && missing.length === 0) items.push(result.config);
+  });
+  return { items, errors };
+}
+
+/**
+ * Validates a parsed config against the schema. Invalid and unknown keys are reported and left out.
+ * @param {unknown} raw - Parsed YAML
+ * @param {object} [schema]
+ * @param {string} [prefix] - Key path for error messages
+ * @returns {{ config: object, errors: string[] }}
+ */
+export function validateRepoConfig(raw, schema = CONFIG_SCHEMA, prefix = '') {
+  const config = {};
+  const errors = [];
+  if (raw == null) return { config, errors };
+  if (!isPlainObject(raw)) {
+    errors.push(`\`${prefix || 'root'}\` must be a mapping`);
+    return { config, errors };
+  }
+  for (const [key, value] of Object.entries(raw)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const rule = schema[key];
+    if (rule === undefined) {
+      errors.push(`Unknown key \`${keyPath}\``);
+      continue;
+    }
+    const isNested = isPlainObject(rule) && !rule.enum && !rule.list;
+    if (rule.list) {
+      const list = validateList(value, rule, keyPath);
+      config[key] = list.items;
+      errors.push(...list.errors);
+    } else if (isNested) {
+      const nested = validateRepoConfig(value, rule, keyPath);
+      config[key] = nested.config;
+      errors.push(...nested.errors);
+    } else if (matchesLeaf(rule, value)) {
+      config[key] = value;
+    } else {
+      errors.push(`\`${keyPath}\` must be ${describeLeaf(rule)}`);
+    }
+  }
+  return { config, errors };
+}
+
+/**
+ * Loads and validates `.mergemonk.yml` from the given ref (the repo's default branch).
+ * A missing file yields an empty config. YAML and schema errors are returned, not thrown.
+ * @param {object} octokit - Authenticated Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {string} ref - Branch to read from
+ * @returns {Promise<{ config: object, errors: string[] }>}
+ */
+export async function loadRepoConfig(octokit, owner, repo, ref) {
+  let text;
+  try {
+    const { data } = await octokit.repos.getContent({ owner, repo, path: CONFIG_PATH, ref });
+    if (Array.isArray(data)) {
+      return { config: {}, errors: [`\`${CONFIG_PATH}\` is a directory`] };
+    }
+    text = data.encoding === 'base64' ? Buffer.from(data.content || '', 'base64').toString('utf-8') : data.content || '';
+  } catch (err) {
+    if (err.status === 404) return { config: {}, errors: [] };
+    throw err;
+  }
+
+  return parseRepoConfig(text);
+}
+
+/**
+ * Parses and validates the text of a `.mergemonk.yml` (also used by the CLI for a local file).
+ * @param {string} text
+ * @returns {{ config: object, errors: string[] }}
+ */
+export function parseRepoConfig(text) {
+  let raw;
+  try {
+    raw = YAML.parse(text);
+  } catch (err) {
+    return { config: {}, errors: [`Could not parse YAML: ${err.message}`] };
+  }
+  return validateRepoConfig(raw);
+}
+
+/**
+ * Picks the model: installation settings, then repo config, then env, then the provider's default.
+ * While any AI budget is set the repo's model is ignored, so a repo cannot move to a dearer or unpriced model
+ * than the operator budgeted for. OPENAI_MODEL only applies to OpenAI-style providers.
+ */
+function resolveModel(provider, repoConfig, installationSettings, budget) {
+  const envModel =
+    process.env.MERGEMONK_LLM_MODEL ||
+    (provider === 'openai' || provider === 'openai-compatible' ? process.env.OPENAI_MODEL : undefined);
+  const budgeted = Object.values(budget).some((limit) => limit != null);
+  const repoModel = budgeted ? undefined : repoConfig.model;
+  return installationSettings.llm?.model || repoModel || envModel || getDefaultModel(provider);
+}
+
+function envSeverity(name, fallback) {
+  const value = process.env[name];
+  return SEVERITIES.includes(value) ? value : fallback;
+}
+
+function envLimit(name) {
+  const value = Number(process.env[name]);
+  return process.env[name] && Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+/**
+ * AI spending limits: the installation's stored budget, else the env defaults. null means no limit.
+ * Set by the operator, never by the repo, so `.mergemonk.yml` cannot raise them.
+ */
+function resolveBudget(installationSettings) {
+  const stored = installationSettings.budget || {};
+  const pick = (key, envName) => (Number.isFinite(stored[key]) ? stored[key] : envLimit(envName));
+  return {
+    monthlyCostUsd: pick('monthlyCostUsd', 'MERGEMONK_MONTHLY_BUDGET_USD'),
+    monthlyTokens: pick('monthlyTokens', 'MERGEMONK_MONTHLY_TOKEN_BUDGET'),
+    pullRequestCostUsd: pick('pullRequestCostUsd', 'MERGEMONK_PR_BUDGET_USD'),
+    pullRequestTokens: pick('pullRequestTokens', 'MERGEMONK_PR_TOKEN_BUDGET'),
+  };
+}
+
+/**
+ * A repo limit that costs AI tokens (batch size, batch count, context size) can only lower the operator's value.
+ */
+function repoLimit(repoValue, operatorValue) {
+  return repoValue != null ? Math.min(repoValue, operatorValue) : operatorValue;
+}
+
+/**
+ * Merges a validated repo config and the installation's settings over the env defaults.
+ * Precedence for model, review event and patch PRs: installation settings (set by the operator, e.g. through the
+ * admin API), then repo config, then env. The repo's model only counts while no AI budget is set.
+ * Ignored paths from the installation and the repo are combined. The repo's batch and context token limits are
+ * capped at the env values, so a repo cannot raise its own spend.
+ * The LLM provider is chosen per installation (or MERGEMONK_LLM_PROVIDER), never by the repo.
+ * @param {object} [repoConfig] - From loadRepoConfig
+ * @param {object} [installationSettings] - From getInstallationSettings
+ * @returns {{ provider: string, model: string, reviewEvent: string, minSeverity: string, createPatchPr: boolean, checkRun: { enabled: boolean, failOn: string, neutralOn: string }, codeScanning: { enabled: boolean }, budget: { monthlyCostUsd: number|null, monthlyTokens: number|null, pullRequestCostUsd: number|null, pullRequestTokens: number|null }, context: { enabled: boolean, tokenBudget: number }, maxPatchCharsPerFile: number, batchTokenBudget: number, maxBatches: number, include: string[], ignore: string[], rules: { disable: string[], custom: object[] } }}
+ */
+export function resolveReviewSettings(repoConfig = {}, installationSettings = {}) {
+  const envReviewEvent = process.env.MERGEMONK_REQUEST_CHANGES === 'false' ? 'comment' : 'request_changes';
+  const provider = installationSettings.llm?.provider || process.env.MERGEMONK_LLM_PROVIDER || DEFAULT_PROVIDER;
+  const budget = resolveBudget(installationSettings);
+  return {
+    provider,
+    model: resolveModel(provider, repoConfig, installationSettings, budget),
+    reviewEvent: installationSettings.review?.event ?? repoConfig.review?.event ?? envReviewEvent,
+    minSeverity: repoConfig.review?.minSeverity ?? SEVERITIES[0],
+    createPatchPr:
+      installationSettings.patchPr?.enabled ??
+      repoConfig.patchPr?.enabled ??
+      process.env.MERGEMONK_CREATE_PATCH_PR !== 'false',
+    checkRun: {
+      enabled: repoConfig.checkRun?.enabled ?? process.env.MERGEMONK_CHECK_RUN === 'true',
+      failOn: repoConfig.checkRun?.failOn ?? envSeverity('MERGEMONK_CHECK_FAIL_ON', DEFAULT_CHECK_FAIL_ON),
+      neutralOn: repoConfig.checkRun?.neutralOn ?? envSeverity('MERGEMONK_CHECK_NEUTRAL_ON', DEFAULT_CHECK_NEUTRAL_ON),
+    },
+    codeScanning: {
+      enabled: repoConfig.codeScanning?.enabled ?? process.env.MERGEMONK_CODE_SCANNING === 'true',
+    },
+    budget,
+    context: {
+      enabled: repoConfig.context?.enabled ?? process.env.MERGEMONK_REPO_CONTEXT !== 'false',
+      tokenBudget: repoLimit(
+        repoConfig.context?.tokenBudget,
+        Number(process.env.MERGEMONK_CONTEXT_TOKEN_BUDGET) || DEFAULT_CONTEXT_TOKEN_BUDGET
+      ),
+    },
+    maxPatchCharsPerFile:
+      repoConfig.limits?.maxPatchCharsPerFile ??
+      (Number(process.env.MERGEMONK_MAX_PATCH_CHARS_PER_FILE) || DEFAULT_MAX_PATCH_CHARS_PER_FILE),
+    // MERGEMONK_MAX_TOTAL_PATCH_CHARS predates batching; it is still honored as a (chars / 4) token budget.
+    batchTokenBudget: repoLimit(
+      repoConfig.limits?.batchTokenBudget,
+      Number(process.env.MERGEMONK_BATCH_TOKEN_BUDGET) ||
+        Math.floor(Number(process.env.MERGEMONK_MAX_TOTAL_PATCH_CHARS) / 4) ||
+        DEFAULT_BATCH_TOKEN_BUDGET
+    ),
+    maxBatches: repoLimit(
+      repoConfig.limits?.maxBatches,
+      Number(process.env.MERGEMONK_MAX_REVIEW_BATCHES) || DEFAULT_MAX_BATCHES
+    ),
+    include: repoConfig.paths?.include ?? [],
+    ignore: [...(installationSettings.paths?.ignore ?? []), ...(repoConfig.paths?.ignore ?? [])],
+    rules: {
+      disable: repoConfig.rules?.disable ?? [],
+      custom: repoConfig.rules?.custom ?? [],
+    },
+  };
+}
+
+/**
+ * Returns true when the path passes the include/ignore globs (an empty include list includes everything).
+ * @param {string} path
+ * @param {{ include: string[], ignore: string[], rules: { disable: string[], custom: object[] } }} settings
+ * @returns {boolean}
+ */
+export function isPathIncluded(path, settings) {
+  const opts = { dot: true };
+  if (settings.include.length > 0 && !settings.include.some((glob) => minimatch(path, glob, opts))) {
+    return false;
+  }
+  return !settings.ignore.some((glob) => minimatch(path, glob, opts));
+}
@@ -0,0 +1,300 @@
+/**
+ * Repository context for the AI review: the head versions of the changed files and of the repository files
+ * they import, so the model sees the function around a change and the definitions it calls, not just the hunks.
+ * Excerpts are picked here; openaiService packs them into each prompt under the context token budget.
+ */
+
+import path from 'node:path';
+import { getFileContentsAtRef } from './patchPrService.js';
+import { getDiffLines, getChangedLines } from './diffUtils.js';
+import { isPathIncluded } from './repoConfig.js';
+import { logger } from './logger.js';
+
+// Head versions fetched per review (one API call each): changed files, then the files they import.
+const MAX_CHANGED_FILES = 40;
+const MAX_RELATED_FILES = 20;
+// Longer blocks are cut to a window of this many lines around the change.
+const MAX_EXCERPT_LINES = 120;
+
+const JS_SOURCE = /\.[cm]?[jt]sx?$/;
+// Tried in this order when an import has no extension (or names the .js output of a TypeScript source).
+const RESOLVE_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts', '.cts'];
+
+// Lines that open a function, method, class or type in the common languages.
+const BLOCK_START_PATTERNS = [
+  /^\s*(?:export\s+)?(?:default\s+)?(?:async\s+)?function\b/,
+  /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:class|interface|enum)\s+[\w$]+/,
+  /^\s*(?:export\s+)?(?:const|let|var)\s+[\w$]+\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|\(|[\w$]+\s*=>)/,
+  /^\s*(?:(?:static|async|get|set|public|private|protected|override|readonly)\s+)*(?!(?:if|for|while|switch|catch|with|return|else)\b)[\w$]+\s*\([^)]*\)\s*(?::\s*[^{]+)?\{\s*$/,
+  /^\s*(?:async\s+)?def\s+\w+/,
+  /^\s*func\s/,
+  /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?fn\s+\w+/,
+  /^\s*(?:(?:public|private|protected|internal|static|final|abstract|override|suspend)\s+)+[\w<>[\],.? ]+\s+\w+\s*\(/,
+];
+
+const IMPORT_PATTERN = /^\s*import\s+(?:type\s+)?([\w$*{}\s,]+?)\s+from\s+['"]([^'"]+)['"]/gm;
+const REQUIRE_PATTERN = /\b(?:const|let|var)\s+(\{[^}]*\}|[\w$]+)\s*=\s*require\(\s*['"]([^'"]+)['"]\s*\)/g;
+
+/**
+ * @typedef {object} RepoContext
+ * @property {Map<string, string>} contents - Path -> content at the PR head, for changed and imported files
+ * @property {Map<string, Array<{ path: string, imported: string, local: string }>>} imports - Changed path ->
+ *   its imports that resolve to a repository file; imported is the exported name, 'default' or '*'
+ */
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function mentions(text, name) {
+  return new RegExp(`(?<![\\w$.])${escapeRegExp(name)}(?![\\w$])`).test(text);
+}
+
+/**
+ * Parses the clause of an import statement: `a`, `{ b, c as d }`, `* as ns` or a combination.
+ */
+function parseImportClause(clause) {
+  const bindings = [];
+  const named = clause.match(/\{([^}]*)\}/);
+  for (const part of named ? named[1].split(',') : []) {
+    const [imported, local = imported] = part.trim().replace(/^type\s+/, '').split(/\s+as\s+/);
+    if (imported) bindings.push({ imported, local });
+  }
+  const rest = clause.replace(/\{[^}]*\}/, '');
+  const namespace = rest.match(/\*\s*as\s+([\w$]+)/);
+  if (namespace) bindings.push({ imported: '*', local: namespace[1] });
+  const defaultName = rest.match(/^\s*([\w$]+)/);
+  if (defaultName) bindings.push({ imported: 'default', local: defaultName[1] });
+  return bindings;
+}
+
+/**
+ * Finds the ES imports and CommonJS requires of a JS/TS file.
+ * @returns {Array<{ specifier: string, imported: string, local: string }>}
+ */
+function parseImports(content) {
+  const bindings = [];
+  for (const [, clause, specifier] of content.matchAll(IMPORT_PATTERN)) {
+    bindings.push(...parseImportClause(clause).map((b) => ({ ...b, specifier })));
+  }
+  for (const [, target, specifier] of content.matchAll(REQUIRE_PATTERN)) {
+    if (!target.startsWith('{')) {
+      bindings.push({ specifier, imported: '*', local: target });
+      continue;
+    }
+    for (const part of target.slice(1, -1).split(',')) {
+      const [imported, local = imported] = part.split(':').map((s) => s.trim());
+      if (imported) bindings.push({ specifier, imported, local });
+    }
+  }
+  return bindings;
+}
+
+/**
+ * Resolves a relative import to a file in the repository. Packages and path aliases are not followed.
+ * @returns {string|null}
+ */
+function resolveImport(fromPath, specifier, repoPaths) {
+  if (!specifier.startsWith('.')) return null;
+  const base = path.posix.join(path.posix.dirname(fromPath), specifier);
+  const stem = base.replace(/\.[cm]?jsx?$/, '');
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((ext) => stem + ext),
+    ...RESOLVE_EXTENSIONS.map((ext) => `${base}/index${ext}`),
+  ];
+  return candidates.find((candidate) => repoPaths.has(candidate)) ?? null;
+}
+
+/**
+ * Lists the files of the repository at a ref (one API call), to resolve imports without probing each candidate.
+ * @returns {Promise<Set<string>>}
+ */
+async function listRepoPaths(octokit, owner, repo, ref) {
+  const { data } = await octokit.git.getTree({ owner, repo, tree_sha: ref, recursive: 'true' });
+  if (data.truncated) logger.warn(`File tree of ${owner}/${repo} is truncated; some imports may not resolve`);
+  return new Set(data.tree.filter((entry) => entry.type === 'blob').map((entry) => entry.path));
+}
+
+/**
+ * Fetches the head versions of the changed files and of the repository files whose imports (relative
+ * import/require in JS and TS) the diffs use. Imported files outside the include/ignore globs are not fetched,
+ * so an ignored path never reaches the model as context. Returns null when repository context is turned off.
+ * @param {object} octokit - Authenticated Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {string} ref - PR head SHA
+ * @param {Array<{ filename: string, status?: string, patch?: string }>} files - Files under review
+ * @param {{ context: { enabled: boolean }, include: string[], ignore: string[] }} settings - From resolveReviewSettings
+ * @returns {Promise<RepoContext|null>}
+ */
+export async function loadRepoContext(octokit, owner, repo, ref, files, settings) {
+  if (!settings.context.enabled || !ref) return null;
+  const changed = files.filter((f) => f.patch && f.status !== 'removed').slice(0, MAX_CHANGED_FILES);
+  const contents = await getFileContentsAtRef(octokit, owner, repo, ref, changed.map((f) => f.filename));
+  const imports = new Map();
+
+  // Only imports whose local name appears in the diff are worth a fetch.
+  const used = changed
+    .filter((f) => JS_SOURCE.test(f.filename) && contents.has(f.filename))
+    .map((f) => {
+      const diffText = [...getDiffLines(f.patch).values()].join('\n');
+      const bindings = parseImports(contents.get(f.filename)).filter(
+        (b) => b.specifier.startsWith('.') && mentions(diffText, b.local)
+      );
+      return { filename: f.filename, bindings };
+    })
+    .filter(({ bindings }) => bindings.length > 0);
+  if (used.length === 0) return { contents, imports };
+
+  let repoPaths;
+  try {
+    repoPaths = await listRepoPaths(octokit, owner, repo, ref);
+  } catch (err) {
+    logger.warn(`Could not list the files of ${owner}/${repo} at ${ref}:`, err.message);
+    return { contents, imports };
+  }
+  const related = new Set();
+  for (const { filename, bindings } of used) {
+    const resolved = [];
+    for (const { specifier, imported, local } of bindings) {
+      const target = resolveImport(filename, specifier, repoPaths);
+      if (!target || target === filename || !isPathIncluded(target, settings)) continue;
+      if (!contents.has(target) && !related.has(target)) {
+        if (related.size >= MAX_RELATED_FILES) continue;
+        related.add(target);
+      }
+      resolved.push({ path: target, imported, local });
+    }
+    if (resolved.length > 0) imports.set(filename, resolved);
+  }
+  for (const [relatedPath, content] of await getFileContentsAtRef(octokit, owner, repo, ref, [...related])) {
+    contents.set(relatedPath, content);
+  }
+  return { contents, imports };
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+/**
+ * Last line (0-based) of the block opened at `start`: the line that closes it (`}`, `)`, `end`) at the same
+ * indentation, else the last line before the next one that is not indented deeper.
+ */
+function findBlockEnd(lines, start) {
+  const indent = indentOf(lines[start]);
+  for (let i = start + 1; i < lines.length; i++) {
+    if (isBlank(lines[i]) || indentOf(lines[i]) > indent) continue;
+    const trimmed = lines[i].trim();
+    if (/^(?:[}\])]|end\b)/.test(trimmed)) {
+      // `) {` or `):` ends a parameter list spread over several lines; the body follows.
+      if (/[{([:]\s*$/.test(trimmed)) continue;
+      return i;
+    }
+    let end = i - 1;
+    while (end > start && isBlank(lines[end])) end--;
+    return end;
+  }
+  return lines.length - 1;
+}
+
+/**
+ * Finds the innermost function, method, class or type around a line, by walking up to less indented lines.
+ * @returns {{ start: number, end: number }|null} 0-based line range
+ */
+function findEnclosingBlock(lines, index) {
+  let indent = isBlank(lines[index]) ? Infinity : indentOf(lines[index]) + 1;
+  for (let i = index; i >= 0; i--) {
+    if (isBlank(lines[i]) || indentOf(lines[i]) >= indent) continue;
+    indent = indentOf(lines[i]);
+    if (BLOCK_START_PATTERNS.some((pattern) => pattern.test(lines[i]))) {
+      const end = findBlockEnd(lines, i);
+      if (end >= index) return { start: i, end };
+    }
+    if (indent === 0) break;
+  }
+  return null;
+}
+
+/**
+ * Finds where a file defines an exported name ('default' for the default export).
+ * @returns {{ start: number, end: number }|null} 0-based line range
+ */
+function findDefinition(lines, name) {
+  const pattern =
+    name === 'default'
+      ? /^\s*(?:export\s+default\b|module\.exports\s*=)/
+      : new RegExp(
+          `^\\s*(?:export\\s+)?(?:declare\\s+)?(?:(?:async\\s+)?function\\*?\\s+|(?:abstract\\s+)?class\\s+|(?:const|let|var|interface|type|enum)\\s+|(?:module\\.)?exports\\.)${escapeRegExp(name)}(?![\\w$])`
+        );
+  const start = lines.findIndex((line) => pattern.test(line));
+  return start === -1 ? null : { start, end: findBlockEnd(lines, start) };
+}
+
+/**
+ * Names a diff uses from one import: the binding itself, or the members read from a namespace import.
+ */
+function usedImportNames(binding, diffText) {
+  if (binding.imported !== '*') return mentions(diffText, binding.local) ? [binding.imported] : [];
+  const members = diffText.matchAll(new RegExp(`(?<![\\w$.])${escapeRegExp(binding.local)}\\.([\\w$]+)`, 'g'));
+  return [...new Set([...members].map((m) => m[1]))];
+}
+
+/**
+ * Picks the context excerpts for one review batch, most useful first: the blocks enclosing each change
+ * (unless the hunk already shows them in full), then the definitions of the imported names the hunks use.
+ * @param {RepoContext} context - From loadRepoContext
+ * @param {Array<{ filename: string, patch: string }>} batch - One batch from planReviewBatches
+ * @returns {Array<{ kind: 'enclosing'|'definition', path: string, startLine: number, endLine: number, label: string, text: string }>}
+ */
+export function collectContextExcerpts(context, batch) {
+  const enclosing = [];
+  const definitions = [];
+  const taken = [];
+  const add = (list, kind, filePath, lines, { start, end }, label) => {
+    if (taken.some((t) => t.path === filePath && t.start <= start && t.end >= end)) return;
+    taken.push({ path: filePath, start, end });
+    const text = lines.slice(start, end + 1).join('\n');
+    list.push({ kind, path: filePath, startLine: start + 1, endLine: end + 1, label, text });
+  };
+
+  for (const { filename, patch } of batch) {
+    const shown = getDiffLines(patch);
+    const content = context.contents.get(filename);
+    if (content != null) {
+      const lines = content.split('\n');
+      for (const line of getChangedLines(patch)) {
+        const index = Math.min(line, lines.length) - 1;
+        const block = findEnclosingBlock(lines, index);
+        if (!block) continue;
+        let shownInFull = true;
+        for (let i = block.start + 1; i <= block.end + 1 && shownInFull; i++) shownInFull = shown.has(i);
+        if (shownInFull) continue;
+        if (block.end - block.start >= MAX_EXCERPT_LINES) {
+          block.start = Math.max(block.start, index - Math.floor(MAX_EXCERPT_LINES / 2));
+          block.end = Math.min(block.end, block.start + MAX_EXCERPT_LINES - 1);
+        }
+        add(enclosing, 'enclosing', filename, lines, block, 'around the change');
+      }
+    }
+
+    const diffText = [...shown.values()].join('\n');
+    for (const binding of context.imports.get(filename) || []) {
+      const lines = context.contents.get(binding.path)?.split('\n');
+      if (!lines) continue;
+      for (const name of usedImportNames(binding, diffText)) {
+        const block = findDefinition(lines, name);
+        if (!block) continue;
+        block.end = Math.min(block.end, block.start + MAX_EXCERPT_LINES - 1);
+        const label = name === 'default' ? `default export, used in ${filename}` : `\`${name}\`, used in ${filename}`;
+        add(definitions, 'definition', binding.path, lines, block, label);
+      }
+    }
+  }
+  return [...enclosing, ...definitions];
+}
@@ -3,16 +3,19 @@
  */
 
 import { getAIReview } from './openaiService.js';
+import { runRules } from './rules.js';
 
 /**
- * Runs AI review when OPENAI_API_KEY is set. Returns summary, quality rating, and inline comments.
+ * Runs AI review when an LLM provider is configured. Returns summary, quality rating, and inline comments.
  * @param {string} prTitle - PR title
  * @param {string} prBody - PR body
  * @param {Array<{ filename: string, patch?: string }>} files - Files from pulls.listFiles
- * @returns {Promise<{ body: string, comments: Array<{ path: string, line: number, body: string }> }>}
+ * @param {object} [settings] - Review settings from resolveReviewSettings
+ * @param {import('./repoContext.js').RepoContext|null} [repoContext] - Head file contents from loadRepoContext
+ * @returns {Promise<{ body: string, comments: Array<{ path: string, line: number, side: string, startLine: number|null, severity: string, category: string, body: string, suggestion: string|null }>, filePatches: Array<{ path: string, patch: string }>, qualityRating: number, assessments: { security: string, systemDesign: string, scalability: string }, usage: { promptTokens: number, completionTokens: number } }>}
  */
-export async function runAIReview(prTitle, prBody, files) {
-  const result = await getAIReview(prTitle, prBody, files);
+export async function runAIReview(prTitle, prBody, files, settings, repoContext = null) {
+  const result = await getAIReview(prTitle, prBody, files, settings, repoContext);
   const sections = [
     `## MergeMonk AI Review`,
     ``,
@@ -35,77 +38,78 @@ export async function runAIReview(prTitle, prBody, files) {
     ``,
     `### Overall`,
     result.reviewBody,
+    formatCoverage(result.coverage),
   ].filter(Boolean).join('\n');
 
   // Append a copy-paste prompt for Cursor/AI to each comment so the author can fix the issue quickly.
   const comments = (result.comments || []).map((c) => {
-    let body = c.body || '';
+    let body = `**${c.severity}** · ${c.category}\n\n${c.body}`;
     const prompt = c.suggestedPrompt?.trim();
     if (prompt) {
       body += `\n\n---\n**Suggested prompt for Cursor/AI:** *(copy into Cursor to fix)*\n\n${prompt}`;
     }
-    return { path: c.path, line: c.line, body };
+    return {
+      path: c.path,
+      line: c.line,
+      side: c.side,
+      startLine: c.startLine,
+      severity: c.severity,
+      category: c.category,
+      body,
+      suggestion: c.suggestion,
+    };
   });
 
   return {
     body: sections,
     comments,
     filePatches: result.filePatches || [],
+    qualityRating: result.qualityRating,
+    assessments: {
+      security: result.securityAssessment,
+      systemDesign: result.systemDesignAssessment,
+      scalability: result.scalabilityAssessment,
+    },
+    usage: result.usage,
   };
 }
 
 /**
- * Rule-based fallback: warns on console.log, generic summary otherwise.
- * @param {Array<{ filename: string, patch?: string }>} files - Files from octokit.pulls.listFiles
- * @returns {{ body: string, comments: Array<{ path: string, line: number, body: string }> }}
+ * Describes how much of the PR the AI actually read: number of passes, truncated and skipped files.
+ * Returns an empty string when every file was reviewed in full in a single pass.
+ * @param {{ batches: number, truncated: string[], skipped: Array<{ filename: string, reason: string }> }} [coverage]
+ * @returns {string}
  */
-export function runReview(files) {
-  const comments = [];
-  let hasConsoleLog = false;
-
-  for (const file of files) {
-    const patch = file.patch || '';
-    if (!patch) continue;
-
-    const lines = patch.split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      if (line.startsWith('+') && line.includes('console.log')) {
-        hasConsoleLog = true;
-        // Approximate line number in the file (patch line numbers appear as @@ -x,y +a,b)
-        const lineNum = inferLineNumber(lines, i);
-        const suggestedPrompt = 'Replace this console.log with a proper logger (e.g. logger.debug or logger.info) or remove it for production.';
-        comments.push({
-          path: file.filename,
-          line: lineNum,
-          body: `⚠️ **MergeMonk:** Consider removing \`console.log\` before merging. Use a proper logger or remove for production.\n\n---\n**Suggested prompt for Cursor/AI:** *(copy into Cursor to fix)*\n\n${suggestedPrompt}`,
-        });
-      }
-    }
+function formatCoverage(coverage) {
+  if (!coverage) return '';
+  const { batches, truncated, skipped } = coverage;
+  if (batches <= 1 && truncated.length === 0 && skipped.length === 0) return '';
+  const lines = ['', '### Review coverage'];
+  if (batches > 1) lines.push(`This PR was reviewed in ${batches} passes.`);
+  if (truncated.length > 0) {
+    lines.push('', '**Truncated** (only the beginning of the diff was reviewed):');
+    lines.push(...truncated.map((f) => `- \`${f}\``));
   }
+  if (skipped.length > 0) {
+    lines.push('', '**Not reviewed:**');
+    lines.push(...skipped.map((f) => `- \`${f.filename}\` – ${f.reason}`));
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Rule-based review: runs the rule engine over added lines. Used as the fallback when no LLM is available;
+ * prService also runs it next to the AI review.
+ * @param {Array<{ filename: string, patch?: string }>} files - Files from octokit.pulls.listFiles
+ * @param {{ disable?: string[], custom?: Array<object> }} [ruleSettings] - From resolveReviewSettings().rules
+ * @returns {{ body: string, comments: Array<{ path: string, line: number, severity: string, ruleId: string, body: string }> }}
+ */
+export function runReview(files, ruleSettings) {
+  const comments = runRules(files, ruleSettings);
 
-  const body = hasConsoleLog
+  const body = comments.length > 0
     ? 'MergeMonk found potential issues. Please check the comments below.'
     : 'MergeMonk reviewed this PR. No automated issues detected.';
 
   return { body, comments };
 }
-
-/**
- * Infers the line number in the new file from patch context.
- * Patches use @@ -oldStart,oldCount +newStart,newCount; we use newStart + count of added lines in this hunk.
- */
-function inferLineNumber(lines, currentIndex) {
-  let newStart = 1;
-  let addedInHunk = 0;
-  for (let i = 0; i <= currentIndex; i++) {
-    const hunkMatch = lines[i].match(/^@@ -(\d+),?\d* \+(\d+),?\d* @@/);
-    if (hunkMatch) {
-      newStart = parseInt(hunkMatch[2], 10);
-      addedInHunk = 0;
-    } else if (lines[i].startsWith('+') && !lines[i].startsWith('+++')) {
-      addedInHunk++;
-    }
-  }
-  return newStart + addedInHunk - 1;
-}
@@ -0,0 +1,196 @@
+/**
+ * Review history in MongoDB: one record per posted review (rating, assessments, findings, model,
+ * latency, fallback, token usage), plus the queries behind the read API.
+ */
+
+import { getDB } from './db.js';
+
+const REVIEW_HISTORY_COLLECTION = 'review_history';
+
+export const STATS_INTERVALS = Object.freeze(['day', 'week', 'month']);
+
+/**
+ * Creates indexes for per-repo and per-installation queries. Safe to call on every startup.
+ */
+export async function ensureReviewHistoryIndexes() {
+  const db = getDB();
+  if (!db) return;
+  const history = db.collection(REVIEW_HISTORY_COLLECTION);
+  await history.createIndex({ owner: 1, repo: 1, createdAt: -1 });
+  await history.createIndex({ installationId: 1, createdAt: -1 });
+}
+
+/**
+ * Saves a posted review. No-op without MongoDB.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number, headSha?: string, mode: string, event: string, provider: string, model: string, qualityRating: number|null, assessments: { security: string, systemDesign: string, scalability: string }|null, findings: Array<{ path: string, line: number, severity?: string, category?: string, ruleId?: string }>, postedFindings: number, latencyMs: number, fallbackUsed: boolean, fallbackReason?: string|null, usage?: { promptTokens: number, completionTokens: number, costUsd: number|null }|null }} record
+ */
+export async function recordReview(record) {
+  const db = getDB();
+  if (!db) return;
+  await db.collection(REVIEW_HISTORY_COLLECTION).insertOne({
+    ...record,
+    installationId: record.installationId ?? null,
+    usage: record.usage ?? null,
+    findings: record.findings.map((f) => ({
+      path: f.path,
+      line: f.line,
+      severity: f.severity ?? null,
+      category: f.category ?? null,
+      ruleId: f.ruleId ?? null,
+    })),
+    createdAt: new Date(),
+  });
+}
+
+function dateRange(since, until) {
+  const range = {};
+  if (since) range.$gte = since;
+  if (until) range.$lte = until;
+  return Object.keys(range).length > 0 ? { createdAt: range } : {};
+}
+
+/**
+ * Lists the repositories MergeMonk reviewed for an installation, most recently reviewed first.
+ * @param {number} installationId
+ * @returns {Promise<Array<{ owner: string, repo: string, reviewCount: number, averageRating: number|null, lastReviewedAt: Date }>|null>} null without MongoDB
+ */
+export async function listInstallationRepos(installationId) {
+  const db = getDB();
+  if (!db) return null;
+  return db
+    .collection(REVIEW_HISTORY_COLLECTION)
+    .aggregate([
+      { $match: { installationId } },
+      {
+        $group: {
+          _id: { owner: '$owner', repo: '$repo' },
+          reviewCount: { $sum: 1 },
+          averageRating: { $avg: '$qualityRating' },
+          lastReviewedAt: { $max: '$createdAt' },
+        },
+      },
+      { $sort: { lastReviewedAt: -1 } },
+      { $project: { _id: 0, owner: '$_id.owner', repo: '$_id.repo', reviewCount: 1, averageRating: 1, lastReviewedAt: 1 } },
+    ])
+    .toArray();
+}
+
+/**
+ * Lists a repository's reviews, newest first.
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ since?: Date, until?: Date, page: number, perPage: number }} query
+ * @returns {Promise<{ reviews: Array<object>, total: number }|null>} null without MongoDB
+ */
+export async function listRepoReviews(owner, repo, { since, until, page, perPage }) {
+  const db = getDB();
+  if (!db) return null;
+  const filter = { owner, repo, ...dateRange(since, until) };
+  const history = db.collection(REVIEW_HISTORY_COLLECTION);
+  const [reviews, total] = await Promise.all([
+    history
+      .find(filter, { projection: { _id: 0 } })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * perPage)
+      .limit(perPage)
+      .toArray(),
+    history.countDocuments(filter),
+  ]);
+  return { reviews, total };
+}
+
+/**
+ * Rating and finding trends for a repository, bucketed by day, week or month.
+ * @param {string} owner
+ * @param {string} repo
+ * @param {{ since?: Date, until?: Date, interval: 'day'|'week'|'month' }} query
+ * @returns {Promise<{ totals: object, ratings: Array<object>, categories: Array<object> }|null>} null without MongoDB
+ */
+export async function getRepoStats(owner, repo, { since, until, interval }) {
+  const db = getDB();
+  if (!db) return null;
+  const match = { $match: { owner, repo, ...dateRange(since, until) } };
+  const period = { $dateTrunc: { date: '$createdAt', unit: interval } };
+  const history = db.collection(REVIEW_HISTORY_COLLECTION);
+
+  const [totals] = await history
+    .aggregate([
+      match,
+      {
+        $group: {
+          _id: null,
+          reviews: { $sum: 1 },
+          averageRating: { $avg: '$qualityRating' },
+          fallbackReviews: { $sum: { $cond: ['$fallbackUsed', 1, 0] } },
+          averageLatencyMs: { $avg: '$latencyMs' },
+          totalTokens: { $sum: { $add: [{ $ifNull: ['$usage.promptTokens', 0] }, { $ifNull: ['$usage.completionTokens', 0] }] } },
+          costUsd: { $sum: { $ifNull: ['$usage.costUsd', 0] } },
+        },
+      },
+      { $project: { _id: 0 } },
+    ])
+    .toArray();
+
+  const ratings = await history
+    .aggregate([
+      match,
+      {
+        $group: {
+          _id: period,
+          reviews: { $sum: 1 },
+          averageRating: { $avg: '$qualityRating' },
+          minRating: { $min: '$qualityRating' },
+          maxRating: { $max: '$qualityRating' },
+        },
+      },
+      { $sort: { _id: 1 } },
+      { $project: { _id: 0, period: '$_id', reviews: 1, averageRating: 1, minRating: 1, maxRating: 1 } },
+    ])
+    .toArray();
+
+  const categoryRows = await history
+    .aggregate([
+      match,
+      { $unwind: '$findings' },
+      {
+        $group: {
+          _id: { period, category: { $ifNull: ['$findings.category', 'other'] } },
+          count: { $sum: 1 },
+        },
+      },
+      { $sort: { '_id.period': 1 } },
+    ])
+    .toArray();
+  // One row per period: { period, security: 3, bug: 1, ... }
+  const byPeriod = new Map();
+  for (const { _id, count } of categoryRows) {
+    const key = _id.period.toISOString();
+    if (!byPeriod.has(key)) byPeriod.set(key, { period: _id.period });
+    byPeriod.get(key)[_id.category] = count;
+  }
+
+  return {
+    totals: totals ?? {
+      reviews: 0,
+      averageRating: null,
+      fallbackReviews: 0,
+      averageLatencyMs: null,
+      totalTokens: 0,
+      costUsd: 0,
+    },
+    ratings,
+    categories: [...byPeriod.values()],
+  };
+}
+
+/**
+ * Deletes an installation's review history (data retention after uninstall).
+ * @param {number} installationId
+ * @returns {Promise<number>} Deleted records
+ */
+export async function deleteInstallationReviews(installationId) {
+  const db = getDB();
+  if (!db) return 0;
+  const { deletedCount } = await db.collection(REVIEW_HISTORY_COLLECTION).deleteMany({ installationId });
+  return deletedCount;
+}
@@ -0,0 +1,402 @@
+/**
+ * Durable review queue backed by MongoDB, with an in-process worker pool.
+ * The webhook records a job and replies 202; workers claim jobs, run them, and retry with exponential backoff.
+ * Jobs that keep failing end up in the "dead" state. A running job renews its lock while it runs; jobs left
+ * "running" by a crashed or restarted process are returned to the queue once their lock times out.
+ */
+
+import os from 'node:os';
+import { getDB } from './db.js';
+import { logger, withLogContext } from './logger.js';
+
+const JOBS_COLLECTION = 'review_jobs';
+
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_INSTALLATION_CONCURRENCY = 1;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BACKOFF_MS = 30_000;
+const DEFAULT_POLL_MS = 2_000;
+const DEFAULT_LOCK_TIMEOUT_MS = 2 * 60_000;
+// Locks are renewed (and expired locks looked for) this many times per lock timeout.
+const HEARTBEATS_PER_LOCK_TIMEOUT = 4;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+export const JOB_STATUS = Object.freeze({
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  DONE: 'done',
+  DEAD: 'dead',
+});
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+let handler = null;
+let pollTimer = null;
+let ticking = false;
+let stopping = false;
+let running = 0;
+const runningByInstallation = new Map();
+const inFlight = new Set();
+
+function getQueueConfig() {
+  return {
+    concurrency: Number(process.env.MERGEMONK_WORKER_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    installationConcurrency:
+      Number(process.env.MERGEMONK_INSTALLATION_CONCURRENCY) || DEFAULT_INSTALLATION_CONCURRENCY,
+    maxAttempts: Number(process.env.MERGEMONK_JOB_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    backoffMs: Number(process.env.MERGEMONK_JOB_BACKOFF_MS) || DEFAULT_BACKOFF_MS,
+    pollMs: Number(process.env.MERGEMONK_JOB_POLL_MS) || DEFAULT_POLL_MS,
+    lockTimeoutMs: Number(process.env.MERGEMONK_JOB_LOCK_TIMEOUT_MS) || DEFAULT_LOCK_TIMEOUT_MS,
+  };
+}
+
+/**
+ * Creates indexes used by job claiming and lookups. Safe to call on every startup.
+ */
+export async function ensureQueueIndexes() {
+  const db = getDB();
+  if (!db) return;
+  const jobs = db.collection(JOBS_COLLECTION);
+  await jobs.createIndex({ status: 1, runAt: 1 });
+  await jobs.createIndex({ installationId: 1, owner: 1, repo: 1, pullNumber: 1, status: 1 });
+  // At most one coalescing job per PR and type may wait in the queue, also when webhooks arrive at the same time.
+  await jobs.createIndex(
+    { installationId: 1, owner: 1, repo: 1, pullNumber: 1, type: 1 },
+    {
+      name: 'one_queued_coalesced_job',
+      unique: true,
+      partialFilterExpression: { status: JOB_STATUS.QUEUED, coalesced: true },
+    }
+  );
+}
+
+/**
+ * Upserts the queued coalescing job of a PR. Two upserts racing for the same PR can both try to insert; the
+ * unique index lets one win, and the loser updates the job the winner inserted.
+ */
+async function upsertCoalescedJob(jobs, filter, update) {
+  try {
+    return await jobs.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+    return jobs.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'after' });
+  }
+}
+
+/**
+ * Update (aggregation pipeline) for a queued job limited to some paths (options.paths, empty for the whole PR):
+ * the paths of the waiting job and the new one are combined, so `@mergemonk review a/**` followed by
+ * `@mergemonk review b/**` reviews both. If either asks for the whole PR, the job reviews the whole PR.
+ * Values are wrapped in $literal so a `$` in a glob or command text is not read as a field path.
+ */
+function mergePathsUpdate(job, now) {
+  const paths = job.options.paths;
+  const isNew = { $eq: [{ $type: '$createdAt' }, 'missing'] };
+  const waitingPaths = { $ifNull: ['$options.paths', []] };
+  const mergedPaths =
+    paths.length === 0
+      ? { $literal: [] }
+      : {
+          $cond: [
+            isNew,
+            { $literal: paths },
+            {
+              $cond: [
+                { $eq: [{ $size: waitingPaths }, 0] },
+                { $literal: [] },
+                { $setUnion: [waitingPaths, { $literal: paths }] },
+              ],
+            },
+          ],
+        };
+  return [
+    {
+      $set: {
+        deliveryId: { $literal: job.deliveryId ?? null },
+        headSha: { $literal: job.headSha ?? null },
+        options: { $mergeObjects: [{ $literal: job.options }, { paths: mergedPaths }] },
+        updatedAt: now,
+        attempts: { $ifNull: ['$attempts', 0] },
+        runAt: { $ifNull: ['$runAt', now] },
+        createdAt: { $ifNull: ['$createdAt', now] },
+      },
+    },
+  ];
+}
+
+/**
+ * Records a review job. A job of the same type still waiting in the queue for the same PR is updated in place
+ * (newer head SHA / delivery) instead of adding a second job, so bursts of pushes produce one review. Path-limited
+ * jobs (options.paths) keep the paths of the job they are merged into (see mergePathsUpdate).
+ * Pass coalesce: false for jobs that must each run (e.g. replies to different comments). Jobs waiting for a retry
+ * are not coalescing targets either (see markJobFailed).
+ * Without MongoDB the job runs in the background of this process (not durable).
+ * @param {{ installationId: number, owner: string, repo: string, pullNumber: number, type?: string, deliveryId?: string, headSha?: string, options?: object, coalesce?: boolean }} job
+ * @returns {Promise<string|null>} Job id, or null when running without MongoDB
+ */
+export async function enqueueReviewJob(job) {
+  const { installationId, owner, repo, pullNumber } = job;
+  const type = job.type || 'review';
+  const db = getDB();
+  if (!db) {
+    if (!handler) throw new Error('Review workers not started');
+    logger.warn('MONGODB_URI not set; running review job in-process without a durable queue');
+    runJob({ ...job, _id: null, type, attempts: 1 }, false);
+    return null;
+  }
+
+  const now = new Date();
+  if (job.coalesce === false) {
+    const { insertedId } = await db.collection(JOBS_COLLECTION).insertOne({
+      installationId,
+      owner,
+      repo,
+      pullNumber,
+      type,
+      deliveryId: job.deliveryId ?? null,
+      headSha: job.headSha ?? null,
+      options: job.options ?? {},
+      status: JOB_STATUS.QUEUED,
+      coalesced: false,
+      attempts: 0,
+      runAt: now,
+      createdAt: now,
+      updatedAt: now,
+    });
+    setImmediate(tick);
+    return String(insertedId);
+  }
+
+  const filter = { installationId, owner, repo, pullNumber, type, status: JOB_STATUS.QUEUED, coalesced: true };
+  const value = await upsertCoalescedJob(
+    db.collection(JOBS_COLLECTION),
+    filter,
+    Array.isArray(job.options?.paths)
+      ? mergePathsUpdate(job, now)
+      : {
+          $set: {
+            deliveryId: job.deliveryId ?? null,
+            headSha: job.headSha ?? null,
+            options: job.options ?? {},
+            updatedAt: now,
+          },
+          $setOnInsert: {
+            ...filter,
+            attempts: 0,
+            runAt: now,
+            createdAt: now,
+          },
+        }
+  );
+  setImmediate(tick);
+  return value?._id ? String(value._id) : null;
+}
+
+/**
+ * Atomically claims the oldest runnable job whose installation is below its concurrency limit.
+ * @returns {Promise<object|null>}
+ */
+async function claimNextJob(installationConcurrency) {
+  const db = getDB();
+  if (!db) return null;
+  const saturated = [...runningByInstallation.entries()]
+    .filter(([, count]) => count >= installationConcurrency)
+    .map(([id]) => id);
+  const now = new Date();
+  return db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    {
+      status: JOB_STATUS.QUEUED,
+      runAt: { $lte: now },
+      ...(saturated.length > 0 ? { installationId: { $nin: saturated } } : {}),
+    },
+    {
+      $set: { status: JOB_STATUS.RUNNING, lockedAt: now, lockedBy: workerId },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Returns jobs whose lock expired (the process running them died or restarted) to the queue. They keep their own
+ * queue entry (coalesced: false), so they never clash with a job queued for the same PR in the meantime.
+ * @returns {Promise<number>} Number of recovered jobs
+ */
+export async function recoverStaleJobs() {
+  const db = getDB();
+  if (!db) return 0;
+  const { lockTimeoutMs } = getQueueConfig();
+  const cutoff = new Date(Date.now() - lockTimeoutMs);
+  const result = await db.collection(JOBS_COLLECTION).updateMany(
+    { status: JOB_STATUS.RUNNING, lockedAt: { $lt: cutoff } },
+    { $set: { status: JOB_STATUS.QUEUED, coalesced: false, runAt: new Date() }, $unset: { lockedAt: '', lockedBy: '' } }
+  );
+  if (result.modifiedCount > 0) {
+    logger.info(`Recovered ${result.modifiedCount} unfinished review job(s)`);
+  }
+  return result.modifiedCount;
+}
+
+async function markJobDone(job) {
+  const db = getDB();
+  if (!db || !job._id) return;
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id },
+    { $set: { status: JOB_STATUS.DONE, finishedAt: new Date() }, $unset: { lockedAt: '', lockedBy: '' } }
+  );
+}
+
+async function markJobFailed(job, err) {
+  const db = getDB();
+  if (!db || !job._id) return;
+  const { maxAttempts, backoffMs } = getQueueConfig();
+  const lastError = err?.message || String(err);
+  if (job.attempts >= maxAttempts) {
+    await db.collection(JOBS_COLLECTION).updateOne(
+      { _id: job._id },
+      {
+        $set: { status: JOB_STATUS.DEAD, lastError, finishedAt: new Date() },
+        $unset: { lockedAt: '', lockedBy: '' },
+      }
+    );
+    logger.error(`Review job ${job._id} moved to dead-letter after ${job.attempts} attempt(s): ${lastError}`);
+    return;
+  }
+  const delay = backoffMs * 2 ** (job.attempts - 1);
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: job._id },
+    {
+      // A retry keeps its own queue entry, like a recovered job (see recoverStaleJobs).
+      $set: { status: JOB_STATUS.QUEUED, coalesced: false, lastError, runAt: new Date(Date.now() + delay) },
+      $unset: { lockedAt: '', lockedBy: '' },
+    }
+  );
+  logger.warn(`Review job ${job._id} failed (attempt ${job.attempts}); retrying in ${Math.round(delay / 1000)}s: ${lastError}`);
+}
+
+/**
+ * Correlation fields for the log lines of a job.
+ */
+function jobLogFields(job) {
+  return {
+    jobId: job._id ? String(job._id) : undefined,
+    jobType: job.type,
+    deliveryId: job.deliveryId ?? undefined,
+    installationId: job.installationId,
+    repo: `${job.owner}/${job.repo}`,
+    pullNumber: job.pullNumber,
+    dryRun: job.options?.dryRun ? true : undefined,
+  };
+}
+
+/**
+ * Renews the lock of a running job until the returned function is called, so a long review is not taken for
+ * abandoned. Failed renewals are logged; the job keeps running.
+ * @returns {() => void} Stops the renewal
+ */
+function keepJobLocked(job) {
+  const db = getDB();
+  if (!db || !job._id) return () => {};
+  const { lockTimeoutMs } = getQueueConfig();
+  const timer = setInterval(() => {
+    db.collection(JOBS_COLLECTION)
+      .updateOne({ _id: job._id, status: JOB_STATUS.RUNNING, lockedBy: workerId }, { $set: { lockedAt: new Date() } })
+      .catch((err) => logger.warn(`Failed to renew the lock of review job ${job._id}:`, err.message));
+  }, lockTimeoutMs / HEARTBEATS_PER_LOCK_TIMEOUT);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+function runJob(job, durable = true) {
+  running += 1;
+  runningByInstallation.set(job.installationId, (runningByInstallation.get(job.installationId) || 0) + 1);
+  const run = async () => {
+    const stopLockRenewal = durable ? keepJobLocked(job) : () => {};
+    try {
+      await handler(job);
+      if (durable) await markJobDone(job);
+    } catch (err) {
+      if (durable) await markJobFailed(job, err);
+      else logger.error('Review job failed:', err.message);
+    } finally {
+      stopLockRenewal();
+    }
+  };
+  // Jobs get their own log fields, not those of the delivery or job whose queue tick started them.
+  const promise = withLogContext(jobLogFields(job), run, { inherit: false })
+    .catch((err) => logger.error('Review queue bookkeeping failed:', err.message))
+    .finally(() => {
+      running -= 1;
+      const left = (runningByInstallation.get(job.installationId) || 1) - 1;
+      if (left > 0) runningByInstallation.set(job.installationId, left);
+      else runningByInstallation.delete(job.installationId);
+      inFlight.delete(promise);
+      if (!stopping) setImmediate(tick);
+    });
+  inFlight.add(promise);
+}
+
+async function tick() {
+  if (ticking || stopping || !handler) return;
+  ticking = true;
+  try {
+    const { concurrency, installationConcurrency } = getQueueConfig();
+    while (!stopping && running < concurrency) {
+      const job = await claimNextJob(installationConcurrency);
+      if (!job) break;
+      runJob(job);
+    }
+  } catch (err) {
+    logger.error('Review queue poll failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Starts the worker pool. Recovers stale jobs first, then polls for runnable jobs.
+ * @param {(job: object) => Promise<void>} jobHandler - Runs one job; throwing schedules a retry
+ */
+export async function startReviewWorkers(jobHandler) {
+  handler = jobHandler;
+  stopping = false;
+  const { pollMs, lockTimeoutMs } = getQueueConfig();
+  if (!getDB()) return;
+  await recoverStaleJobs();
+  let lastRecovery = Date.now();
+  pollTimer = setInterval(() => {
+    if (Date.now() - lastRecovery >= lockTimeoutMs / HEARTBEATS_PER_LOCK_TIMEOUT) {
+      lastRecovery = Date.now();
+      recoverStaleJobs().catch((err) => logger.error('Review job recovery failed:', err.message));
+    }
+    tick();
+  }, pollMs);
+  setImmediate(tick);
+}
+
+/**
+ * Stops claiming new jobs and waits for in-flight jobs to finish.
+ */
+export async function stopReviewWorkers() {
+  stopping = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  await Promise.allSettled([...inFlight]);
+}
+
+/**
+ * Deletes all of an installation's jobs that are not running (data retention after uninstall).
+ * @param {number} installationId
+ * @returns {Promise<number>} Deleted jobs
+ */
+export async function deleteInstallationJobs(installationId) {
+  const db = getDB();
+  if (!db) return 0;
+  const { deletedCount } = await db
+    .collection(JOBS_COLLECTION)
+    .deleteMany({ installationId, status: { $ne: JOB_STATUS.RUNNING } });
+  return deletedCount;
+}
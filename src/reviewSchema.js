@@ -0,0 +1,112 @@
+/**
+ * Schemas for the JSON the model returns (review, merged review, thread reply).
+ * Responses are checked strictly; the error list is sent back to the model in a repair request.
+ * Unknown keys are ignored. A leaf is a type name, { enum }, or { type } / { enum } with optional: true;
+ * { list } is an array of objects.
+ */
+
+import { SEVERITIES, CATEGORIES } from './severity.js';
+
+const COMMENT_SCHEMA = {
+  path: 'nonEmptyString',
+  line: 'positiveInteger',
+  side: { enum: ['RIGHT', 'LEFT'], optional: true },
+  startLine: { type: 'positiveInteger', optional: true },
+  severity: { enum: SEVERITIES },
+  category: { enum: CATEGORIES },
+  body: 'nonEmptyString',
+  suggestedPrompt: 'string',
+  suggestion: { type: 'string', optional: true },
+};
+
+const FILE_PATCH_SCHEMA = {
+  path: 'nonEmptyString',
+  patch: 'nonEmptyString',
+};
+
+const NARRATIVE_SCHEMA = {
+  summary: 'nonEmptyString',
+  qualityRating: 'rating',
+  qualityRatingReason: 'string',
+  securityAssessment: 'string',
+  systemDesignAssessment: 'string',
+  scalabilityAssessment: 'string',
+  reviewBody: 'nonEmptyString',
+};
+
+export const REVIEW_SCHEMA = {
+  ...NARRATIVE_SCHEMA,
+  comments: { list: COMMENT_SCHEMA },
+  filePatches: { list: FILE_PATCH_SCHEMA, optional: true },
+};
+
+export const MERGED_REVIEW_SCHEMA = NARRATIVE_SCHEMA;
+
+export const THREAD_REPLY_SCHEMA = {
+  reply: 'nonEmptyString',
+  verdict: { enum: ['accepted', 'maintained', 'clarified'] },
+};
+
+function describe(type) {
+  if (type.type) return describe(type.type);
+  if (type.enum) return `one of ${type.enum.join(', ')}`;
+  return {
+    string: 'a string',
+    nonEmptyString: 'a non-empty string',
+    positiveInteger: 'a positive integer',
+    rating: 'a number from 1 to 10',
+  }[type];
+}
+
+function matches(type, value) {
+  if (type.type) return matches(type.type, value);
+  if (type.enum) return type.enum.includes(value);
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'nonEmptyString':
+      return typeof value === 'string' && value.trim() !== '';
+    case 'positiveInteger':
+      return Number.isInteger(value) && value > 0;
+    case 'rating':
+      return typeof value === 'number' && value >= 1 && value <= 10;
+    default:
+      return false;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validates a parsed model response against a schema.
+ * @param {unknown} value - Parsed JSON
+ * @param {object} schema - REVIEW_SCHEMA, MERGED_REVIEW_SCHEMA or THREAD_REPLY_SCHEMA
+ * @param {string} [prefix] - Key path prefix for error messages
+ * @returns {string[]} Problems found; empty when the response is valid
+ */
+export function validateResponse(value, schema, prefix = '') {
+  if (!isPlainObject(value)) return [`${prefix || 'response'} must be a JSON object`];
+  const errors = [];
+  for (const [key, type] of Object.entries(schema)) {
+    const keyPath = `${prefix}${key}`;
+    const field = value[key];
+    if (type.list) {
+      if (field === undefined && type.optional) continue;
+      if (!Array.isArray(field)) {
+        errors.push(`\`${keyPath}\` must be an array`);
+        continue;
+      }
+      field.forEach((item, i) => errors.push(...validateResponse(item, type.list, `${keyPath}[${i}].`)));
+      continue;
+    }
+    if (field === undefined || field === null) {
+      if (type.optional) continue;
+      errors.push(`\`${keyPath}\` is missing`);
+    } else if (!matches(type, field)) {
+      errors.push(`\`${keyPath}\` must be ${describe(type)}`);
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,252 @@
+/**
+ * Rule engine: a registry of checks that run over the added lines of each file's diff.
+ * A rule declares an id, severity, file globs, a matcher, a message and a suggested prompt.
+ * Built-in packs are registered at load time; repos add their own regex rules in `.mergemonk.yml`.
+ */
+
+import { minimatch } from 'minimatch';
+import { RE2JS } from 're2js';
+import { getAddedLines } from './diffUtils.js';
+
+/**
+ * @typedef {object} Rule
+ * @property {string} id - Stable identifier, e.g. "no-debugger"
+ * @property {string} pack - Pack the rule belongs to ("general", "tests", "security", "lint", "custom")
+ * @property {string} severity - nit | minor | major | blocker
+ * @property {string} [category] - security | bug | design | perf | style
+ * @property {string[]} [files] - Globs the rule applies to (default: all files)
+ * @property {RegExp} [pattern] - Matches an added line (used when match is not given)
+ * @property {(content: string, ctx: { path: string, line: number }) => boolean} [match] - Matcher over one added line
+ * @property {string} message - Shown in the inline comment
+ * @property {string} suggestedPrompt - Copy-paste prompt for Cursor/AI
+ */
+
+const CODE_FILES = ['**/*.{js,jsx,mjs,cjs,ts,tsx,vue,svelte}'];
+const TEST_FILES = [
+  '**/*.{test,spec}.{js,jsx,mjs,cjs,ts,tsx}',
+  '**/{test,tests,__tests__,spec}/**/*.{js,jsx,mjs,cjs,ts,tsx}',
+];
+
+// Custom patterns come from the repo, so they are untrusted: with JavaScript's backtracking engine a regex like
+// (a|a)*b takes exponential time and would stall the worker. They run on RE2JS instead, in linear time.
+export const MAX_CUSTOM_PATTERN_LENGTH = 200;
+
+const SQL_STATEMENT = /\b(select\s.+\sfrom|insert\s+into|update\s+\w+\s+set|delete\s+from)\b/i;
+
+/** @type {Rule[]} */
+const BUILT_IN_RULES = [
+  {
+    id: 'no-console-log',
+    pack: 'general',
+    severity: 'minor',
+    category: 'style',
+    files: CODE_FILES,
+    pattern: /\bconsole\.log\s*\(/,
+    message: 'Consider removing `console.log` before merging. Use a proper logger or remove for production.',
+    suggestedPrompt: 'Replace this console.log with a proper logger (e.g. logger.debug or logger.info) or remove it for production.',
+  },
+  {
+    id: 'no-debugger',
+    pack: 'general',
+    severity: 'major',
+    category: 'bug',
+    files: CODE_FILES,
+    pattern: /^\s*debugger\s*;?\s*$/,
+    message: '`debugger` statement left in the code; it pauses execution whenever dev tools are open.',
+    suggestedPrompt: 'Remove this debugger statement.',
+  },
+  {
+    id: 'no-eval',
+    pack: 'security',
+    severity: 'major',
+    category: 'security',
+    files: CODE_FILES,
+    pattern: /(^|[^\w.])eval\s*\(|\bnew\s+Function\s*\(/,
+    message: '`eval` / `new Function` executes arbitrary code and is a code-injection risk.',
+    suggestedPrompt: 'Replace eval/new Function with explicit parsing or a lookup table so no dynamic code is executed.',
+  },
+  {
+    id: 'sql-string-concat',
+    pack: 'security',
+    severity: 'major',
+    category: 'security',
+    match: (content) =>
+      SQL_STATEMENT.test(content) && (/['"]\s*\+|\+\s*['"]/.test(content) || /`[^`]*\$\{/.test(content)),
+    message: 'SQL built by string concatenation or interpolation is open to SQL injection.',
+    suggestedPrompt: 'Use a parameterized query (placeholders and bound values) instead of building the SQL string.',
+  },
+  {
+    id: 'todo-comment',
+    pack: 'general',
+    severity: 'nit',
+    category: 'style',
+    pattern: /\b(TODO|FIXME|XXX|HACK)\b/,
+    message: 'New TODO/FIXME added. Track it in an issue or resolve it before merging.',
+    suggestedPrompt: 'Resolve this TODO/FIXME or replace it with a link to a tracking issue.',
+  },
+  {
+    id: 'no-lint-disable',
+    pack: 'lint',
+    severity: 'minor',
+    category: 'style',
+    pattern: /eslint-disable|@ts-ignore|@ts-nocheck|#\s*noqa\b|#\s*type:\s*ignore|\/\/\s*nolint\b|@SuppressWarnings/,
+    message: 'A lint or type-check rule is disabled here. Fix the underlying issue or explain why it must be suppressed.',
+    suggestedPrompt: 'Fix the lint/type error instead of suppressing it; if suppression is required, scope it to the single rule and add a comment explaining why.',
+  },
+  {
+    id: 'no-focused-tests',
+    pack: 'tests',
+    severity: 'major',
+    category: 'bug',
+    files: TEST_FILES,
+    pattern: /\b(describe|it|test|context|suite)\.only\s*\(|(^|[^\w.])f(it|describe)\s*\(/,
+    message: 'Focused test (`.only` / `fit` / `fdescribe`) makes the runner skip every other test.',
+    suggestedPrompt: 'Remove .only (or fit/fdescribe) so the whole test suite runs.',
+  },
+  {
+    id: 'no-skipped-tests',
+    pack: 'tests',
+    severity: 'minor',
+    category: 'bug',
+    files: TEST_FILES,
+    pattern: /\b(describe|it|test|context|suite)\.skip\s*\(|(^|[^\w.])x(it|describe)\s*\(/,
+    message: 'Skipped test added. Skipped tests tend to stay skipped.',
+    suggestedPrompt: 'Fix and re-enable this test, or remove it and open an issue to track it.',
+  },
+];
+
+const registry = new Map();
+
+/**
+ * Adds a rule to the global registry (replacing any rule with the same id).
+ * @param {Rule} rule
+ */
+export function registerRule(rule) {
+  if (!rule?.id || (!rule.pattern && typeof rule.match !== 'function')) {
+    throw new Error('A rule needs an id and a pattern or match function');
+  }
+  registry.set(rule.id, rule);
+}
+
+/**
+ * @returns {Rule[]} All registered rules
+ */
+export function getRegisteredRules() {
+  return [...registry.values()];
+}
+
+for (const rule of BUILT_IN_RULES) registerRule(rule);
+
+/**
+ * Compiles a custom rule pattern for RE2JS, which matches in time linear in the line length whatever the pattern.
+ * @param {string} pattern - Regex source from `.mergemonk.yml`
+ * @param {boolean} [ignoreCase]
+ * @returns {RE2JS}
+ * @throws {Error} If the pattern is too long, invalid, or uses syntax RE2 has no linear-time match for
+ */
+function compileCustomPattern(pattern, ignoreCase = false) {
+  if (pattern.length > MAX_CUSTOM_PATTERN_LENGTH) throw new Error(`longer than ${MAX_CUSTOM_PATTERN_LENGTH} characters`);
+  return RE2JS.compile(pattern, ignoreCase ? RE2JS.CASE_INSENSITIVE : 0);
+}
+
+/**
+ * Checks that a custom rule pattern can be run: at most MAX_CUSTOM_PATTERN_LENGTH characters and RE2 syntax
+ * (no backreferences or lookarounds).
+ * @param {string} pattern - Regex source from `.mergemonk.yml`
+ * @returns {string|null} Why the pattern is rejected, or null when it can be run
+ */
+export function findUnsafePattern(pattern) {
+  try {
+    compileCustomPattern(pattern);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Turns `.mergemonk.yml` custom rules ({ id, pattern, message, ... }) into rules matched with RE2JS. Patterns that
+ * cannot be run (see findUnsafePattern) are left out; the config validation reports them to the repo.
+ * @param {Array<{ id: string, pattern: string, message: string, ignoreCase?: boolean, severity?: string, files?: string[], suggestedPrompt?: string }>} custom
+ * @returns {Rule[]}
+ */
+function buildCustomRules(custom) {
+  const rules = [];
+  for (const r of custom) {
+    let pattern;
+    try {
+      pattern = compileCustomPattern(r.pattern, r.ignoreCase);
+    } catch {
+      continue;
+    }
+    rules.push({
+      id: r.id,
+      pack: 'custom',
+      severity: r.severity || 'minor',
+      category: r.category,
+      files: r.files,
+      match: (content) => pattern.test(content),
+      message: r.message,
+      suggestedPrompt: r.suggestedPrompt || '',
+    });
+  }
+  return rules;
+}
+
+function appliesToPath(rule, path) {
+  if (!rule.files || rule.files.length === 0) return true;
+  return rule.files.some((glob) => minimatch(path, glob, { dot: true }));
+}
+
+function matchesLine(rule, content, ctx) {
+  if (typeof rule.match === 'function') return rule.match(content, ctx);
+  rule.pattern.lastIndex = 0;
+  return rule.pattern.test(content);
+}
+
+/**
+ * Formats a rule finding as an inline comment body.
+ * @param {Rule} rule
+ * @returns {string}
+ */
+function formatRuleComment(rule) {
+  let body = `⚠️ **MergeMonk** (\`${rule.id}\`): ${rule.message}`;
+  if (rule.suggestedPrompt) {
+    body += `\n\n---\n**Suggested prompt for Cursor/AI:** *(copy into Cursor to fix)*\n\n${rule.suggestedPrompt}`;
+  }
+  return body;
+}
+
+/**
+ * Runs the registered rules (plus repo custom rules, minus disabled ones) over the added lines of each file.
+ * @param {Array<{ filename: string, patch?: string }>} files - Files from pulls.listFiles
+ * @param {{ disable?: string[], custom?: Array<object> }} [ruleSettings] - From resolveReviewSettings().rules
+ * @returns {Array<{ path: string, line: number, severity: string, category?: string, ruleId: string, body: string }>}
+ */
+export function runRules(files, ruleSettings = {}) {
+  const disabled = new Set(ruleSettings.disable || []);
+  const rules = [...getRegisteredRules(), ...buildCustomRules(ruleSettings.custom || [])].filter(
+    (r) => !disabled.has(r.id)
+  );
+
+  const findings = [];
+  for (const file of files) {
+    if (!file.patch) continue;
+    const fileRules = rules.filter((r) => appliesToPath(r, file.filename));
+    if (fileRules.length === 0) continue;
+    for (const { line, content } of getAddedLines(file.patch)) {
+      for (const rule of fileRules) {
+        if (!matchesLine(rule, content, { path: file.filename, line })) continue;
+        findings.push({
+          path: file.filename,
+          line,
+          severity: rule.severity,
+          category: rule.category,
+          ruleId: rule.id,
+          body: formatRuleComment(rule),
+        });
+      }
+    }
+  }
+  return findings;
+}
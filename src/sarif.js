@@ -0,0 +1,146 @@
+/**
+ * SARIF 2.1.0 output for review findings (AI, rule and secret findings alike), for tools that read static
+ * analysis results, and its upload to GitHub code scanning. Rule findings keep their rule id; AI findings
+ * get one rule per category (`ai-security`, ...). Security findings carry a `security-severity`, so code
+ * scanning lists them as security alerts next to other scanners.
+ *
+ * @see https://docs.oasis-open.org/sarif/sarif/v2.1.0/sarif-v2.1.0.html
+ * @see https://docs.github.com/code-security/code-scanning/integrating-with-code-scanning/sarif-support-for-code-scanning
+ */
+
+import fs from 'node:fs';
+import { gzipSync } from 'node:zlib';
+import { SEVERITIES, isSeverity } from './severity.js';
+import { stripMarkers } from './commentMarkers.js';
+import { getRegisteredRules } from './rules.js';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+const SARIF_LEVELS = {
+  blocker: 'error',
+  major: 'error',
+  minor: 'warning',
+  nit: 'note',
+};
+
+// Code scanning maps scores to critical (9.0+), high (7.0+), medium (4.0+) and low.
+const SECURITY_SEVERITY_SCORES = {
+  blocker: '9.0',
+  major: '7.0',
+  minor: '4.0',
+  nit: '1.0',
+};
+
+// Key of the fingerprint in partialFingerprints; bump the version if fingerprintFinding ever changes.
+const FINGERPRINT_KEY = 'mergemonkFindingHash/v1';
+
+const { version: TOOL_VERSION } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'));
+
+/**
+ * Findings without a severity are treated as minor.
+ */
+function severityOf(finding) {
+  return isSeverity(finding.severity) ? finding.severity : 'minor';
+}
+
+function ruleIdOf(finding) {
+  return finding.ruleId || `ai-${finding.category || 'finding'}`;
+}
+
+/**
+ * Rule description: the registered rule's message, else a generic one (repo custom rules, secrets, AI findings).
+ */
+function describeRule(finding) {
+  if (!finding.ruleId) return `MergeMonk AI review: ${finding.category || 'finding'}`;
+  const registered = getRegisteredRules().find((rule) => rule.id === finding.ruleId);
+  if (registered) return registered.message;
+  if (finding.ruleId.startsWith('secret-')) return `Possible secret committed (${finding.ruleId.slice('secret-'.length)})`;
+  return `MergeMonk rule ${finding.ruleId}`;
+}
+
+function toLocation(finding) {
+  const physicalLocation = { artifactLocation: { uri: finding.path } };
+  // Findings on removed lines have no place in the new file; they point at the file only.
+  if (finding.side !== 'LEFT' && Number.isInteger(finding.line)) {
+    physicalLocation.region = { startLine: finding.startLine ?? finding.line, endLine: finding.line };
+  }
+  return { physicalLocation };
+}
+
+/**
+ * Serializes findings as a SARIF 2.1.0 log with one run. Findings with a `fingerprint` (from addFingerprints)
+ * get it as a partial fingerprint, so code scanning tracks them across commits even when their line moves.
+ * @param {Array<{ path: string, line: number, side?: string, startLine?: number|null, severity?: string, category?: string, ruleId?: string, body: string, fingerprint?: string|null }>} findings
+ * @returns {object} SARIF log, ready for JSON.stringify
+ */
+export function toSarif(findings) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const securitySeverities = new Map(); // rule id -> most severe security finding
+  const results = findings.map((finding) => {
+    const severity = severityOf(finding);
+    const ruleId = ruleIdOf(finding);
+    const message = stripMarkers(finding.body).trim();
+    if (!ruleIndexes.has(ruleId)) {
+      ruleIndexes.set(ruleId, rules.length);
+      rules.push({
+        id: ruleId,
+        shortDescription: { text: describeRule(finding) },
+        defaultConfiguration: { level: SARIF_LEVELS[severity] },
+        properties: { tags: finding.category ? [finding.category] : [] },
+      });
+    }
+    if (finding.category === 'security') {
+      const worst = securitySeverities.get(ruleId);
+      if (!worst || SEVERITIES.indexOf(severity) > SEVERITIES.indexOf(worst)) securitySeverities.set(ruleId, severity);
+    }
+    const result = {
+      ruleId,
+      ruleIndex: ruleIndexes.get(ruleId),
+      level: SARIF_LEVELS[severity],
+      message: { text: message, markdown: message },
+      locations: [toLocation(finding)],
+      properties: { severity, ...(finding.category ? { category: finding.category } : {}) },
+    };
+    if (finding.fingerprint) result.partialFingerprints = { [FINGERPRINT_KEY]: finding.fingerprint };
+    return result;
+  });
+  // AI rules cover findings of every severity; the rule's security severity is that of its worst finding.
+  for (const [ruleId, severity] of securitySeverities) {
+    rules[ruleIndexes.get(ruleId)].properties['security-severity'] = SECURITY_SEVERITY_SCORES[severity];
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'MergeMonk', version: TOOL_VERSION, rules } },
+        results,
+      },
+    ],
+  };
+}
+
+/**
+ * Uploads findings to GitHub code scanning as the analysis of a commit. Each upload replaces MergeMonk's
+ * previous results for the ref, so it must contain every current finding. Needs the `security_events: write`
+ * permission (and GitHub Advanced Security on private repositories).
+ * @param {object} octokit - Authenticated Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {{ commitSha: string, ref: string, findings: Array<object> }} analysis - ref: e.g. refs/pull/<n>/head
+ * @returns {Promise<string>} SARIF upload id, to check processing with codeScanning.getSarif
+ */
+export async function uploadSarif(octokit, owner, repo, { commitSha, ref, findings }) {
+  const sarif = gzipSync(JSON.stringify(toSarif(findings))).toString('base64');
+  const { data } = await octokit.codeScanning.uploadSarif({
+    owner,
+    repo,
+    commit_sha: commitSha,
+    ref,
+    sarif,
+    tool_name: 'MergeMonk',
+  });
+  return data.id;
+}
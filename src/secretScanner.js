@@ -0,0 +1,189 @@
+/**
+ * Secret detection for PR diffs: known provider token formats plus an entropy heuristic.
+ * Findings on added lines become blocker inline comments; every match (added, removed or context line)
+ * is redacted before diffs or file contents are sent to the LLM.
+ */
+
+import { getAddedLines } from './diffUtils.js';
+
+/**
+ * Known token formats. Order matters: more specific patterns first so overlapping matches get the precise label.
+ */
+const SECRET_PATTERNS = [
+  { type: 'private-key', label: 'private key', pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g },
+  { type: 'aws-access-key-id', label: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA)[0-9A-Z]{16}\b/g },
+  {
+    type: 'aws-secret-access-key',
+    label: 'AWS secret access key',
+    pattern: /(?<=aws_?secret_?(?:access_?)?key\W{1,5})[A-Za-z0-9/+=]{40}\b/gi,
+  },
+  { type: 'github-token', label: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,255}|github_pat_[A-Za-z0-9_]{82})\b/g },
+  { type: 'gitlab-token', label: 'GitLab token', pattern: /\bglpat-[A-Za-z0-9_-]{20}\b/g },
+  { type: 'slack-token', label: 'Slack token', pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/g },
+  { type: 'slack-webhook', label: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/[A-Za-z0-9/_-]+/g },
+  { type: 'stripe-key', label: 'Stripe secret key', pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{16,}\b/g },
+  { type: 'google-api-key', label: 'Google API key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { type: 'anthropic-key', label: 'Anthropic API key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}\b/g },
+  { type: 'openai-key', label: 'OpenAI API key', pattern: /\bsk-(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}T3BlbkFJ[A-Za-z0-9_-]{20,}\b|\bsk-[A-Za-z0-9]{48}\b/g },
+  { type: 'sendgrid-key', label: 'SendGrid API key', pattern: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}\b/g },
+  { type: 'twilio-key', label: 'Twilio API key', pattern: /\bSK[0-9a-f]{32}\b/g },
+  { type: 'npm-token', label: 'npm token', pattern: /\bnpm_[A-Za-z0-9]{36}\b/g },
+  { type: 'jwt', label: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\b/g },
+  {
+    type: 'connection-string-password',
+    label: 'password in a connection string',
+    pattern: /(?<=[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s@/'"]{6,}(?=@)/gi,
+  },
+];
+
+// A PEM private key spans several lines: the block from BEGIN through END (or to the end of the text when the
+// END line is missing, e.g. in a truncated patch) is redacted as a whole, not just the header line.
+const PRIVATE_KEY_BLOCK = /-----BEGIN ((?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?)-----[\s\S]*?(?:-----END \1-----|$)/g;
+
+// Values assigned to names like these are checked with a lower entropy threshold.
+const SECRET_NAME_HINT = /(?:secret|token|passw(?:or)?d|pwd|api_?key|apikey|access_?key|private_?key|credential|auth)/i;
+// Quoted string or bare value after = / : that could be a credential.
+const CANDIDATE_VALUE = /(?:["'`]([A-Za-z0-9+/=_\-.]{20,})["'`]|[=:]\s*([A-Za-z0-9+/=_\-.]{20,})\b)/g;
+const ENTROPY_WITH_HINT = 3.5;
+const ENTROPY_WITHOUT_HINT = 4.8;
+
+// Files made of hashes/checksums that would trip the entropy check.
+const IGNORED_FILES = /(?:^|\/)(?:package-lock\.json|npm-shrinkwrap\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|Gemfile\.lock|poetry\.lock|composer\.lock|go\.sum)$/;
+
+/**
+ * Shannon entropy in bits per character.
+ * @param {string} value
+ * @returns {number}
+ */
+export function shannonEntropy(value) {
+  if (!value) return 0;
+  const counts = new Map();
+  for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Finds secrets in one line of text.
+ * @param {string} text
+ * @returns {Array<{ type: string, label: string, start: number, end: number, value: string }>} Non-overlapping matches
+ */
+export function findSecretsInText(text) {
+  const matches = [];
+  const overlaps = (start, end) => matches.some((m) => start < m.end && end > m.start);
+
+  for (const { type, label, pattern } of SECRET_PATTERNS) {
+    pattern.lastIndex = 0;
+    for (const m of text.matchAll(pattern)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (!overlaps(start, end)) matches.push({ type, label, start, end, value: m[0] });
+    }
+  }
+
+  const threshold = SECRET_NAME_HINT.test(text) ? ENTROPY_WITH_HINT : ENTROPY_WITHOUT_HINT;
+  CANDIDATE_VALUE.lastIndex = 0;
+  for (const m of text.matchAll(CANDIDATE_VALUE)) {
+    const value = m[1] || m[2];
+    const start = m.index + m[0].indexOf(value);
+    const end = start + value.length;
+    if (overlaps(start, end)) continue;
+    // Paths, dotted identifiers and URLs are long but not secrets
+    if (/^[a-z_.\-/]+$/i.test(value) || (value.includes('/') && !/[+=]/.test(value))) continue;
+    if (shannonEntropy(value) >= threshold) {
+      matches.push({ type: 'high-entropy-string', label: 'high-entropy string (possible credential)', start, end, value });
+    }
+  }
+
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Replaces each line of a private key block with a marker. Lines keep their diff prefix (+, - or space) so a
+ * redacted patch still has the same lines.
+ */
+function redactPrivateKeyBlocks(text) {
+  return text.replace(PRIVATE_KEY_BLOCK, (block) =>
+    block
+      .split('\n')
+      .map((line, i) => {
+        const prefix = i > 0 && !line.startsWith('-----END') && /^[+ -]/.test(line) ? line[0] : '';
+        return `${prefix}[REDACTED:private-key]`;
+      })
+      .join('\n')
+  );
+}
+
+/**
+ * Replaces every secret in the text with a [REDACTED:<type>] marker. Private keys are redacted from the
+ * BEGIN line through the END line.
+ * @param {string} text - Any text (patch, file content, PR description)
+ * @returns {string}
+ */
+export function redactSecrets(text) {
+  if (!text) return text;
+  return redactPrivateKeyBlocks(text)
+    .split('\n')
+    .map((line) => {
+      const matches = findSecretsInText(line);
+      if (matches.length === 0) return line;
+      let out = '';
+      let last = 0;
+      for (const m of matches) {
+        out += line.slice(last, m.start) + `[REDACTED:${m.type}]`;
+        last = m.end;
+      }
+      return out + line.slice(last);
+    })
+    .join('\n');
+}
+
+/**
+ * Returns a copy of the files with secrets redacted from their patches.
+ * @param {Array<{ filename: string, patch?: string }>} files
+ * @returns {Array<{ filename: string, patch?: string }>}
+ */
+export function redactFiles(files) {
+  return files.map((f) => (f.patch ? { ...f, patch: redactSecrets(f.patch) } : f));
+}
+
+/**
+ * Describes a detected secret by type and length only: even a few characters of a short or low-entropy secret
+ * narrow a guess, and the comment is visible to everyone who can read the PR.
+ */
+function describeSecret(match) {
+  return `${match.type}, ${match.value.length} characters`;
+}
+
+/**
+ * Scans the added lines of each file's patch and returns inline comments for detected secrets.
+ * @param {Array<{ filename: string, patch?: string }>} files - Files from pulls.listFiles
+ * @returns {Array<{ path: string, line: number, severity: string, category: string, ruleId: string, body: string }>}
+ */
+export function scanFilesForSecrets(files) {
+  const findings = [];
+  for (const file of files) {
+    if (!file.patch || IGNORED_FILES.test(file.filename)) continue;
+    for (const { line, content } of getAddedLines(file.patch)) {
+      for (const m of findSecretsInText(content)) {
+        findings.push({
+          path: file.filename,
+          line,
+          severity: 'blocker',
+          category: 'security',
+          ruleId: `secret-${m.type}`,
+          body:
+            `🔒 **MergeMonk** (\`secret-${m.type}\`): Possible ${m.label} committed (${describeSecret(m)}). ` +
+            `Anything pushed to the repository should be treated as leaked: revoke/rotate it, then load it from the environment or a secret manager.` +
+            `\n\n---\n**Suggested prompt for Cursor/AI:** *(copy into Cursor to fix)*\n\n` +
+            `Remove the hardcoded credential on this line and read it from an environment variable or secret manager instead.`,
+        });
+      }
+    }
+  }
+  return findings;
+}
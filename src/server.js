@@ -1,18 +1,43 @@
 /**
  * MergeMonk – GitHub App backend.
- * Express server; POST /webhook handles GitHub pull_request events and posts reviews.
+ * Express server; POST /webhook handles GitHub pull_request events and posts reviews. GET /metrics serves
+ * Prometheus metrics (metrics.js) and GET /health reports whether MongoDB is reachable.
  */
 
 import 'dotenv/config';
 import express from 'express';
-import { verifyWebhookSignature, handleWebhook } from './webhook.js';
-import { connectDB, closeDB } from './db.js';
+import { verifyWebhookSignature, parseWebhookPayload, handleWebhook, runReviewJob } from './webhook.js';
+import { connectDB, closeDB, checkDBHealth } from './db.js';
+import { ensureDeliveryIndexes } from './deliveryStore.js';
+import { ensureQueueIndexes, startReviewWorkers, stopReviewWorkers } from './reviewQueue.js';
+import { ensureReviewHistoryIndexes } from './reviewHistoryStore.js';
+import { ensureUsageIndexes } from './usageStore.js';
+import { ensureInstallationIndexes } from './installationStore.js';
+import { ensureApiTokenIndexes } from './apiTokenStore.js';
+import { startDataRetention, stopDataRetention } from './dataRetention.js';
+import { apiRouter } from './api.js';
+import { tokensMatch } from './apiUtils.js';
+import { renderMetrics } from './metrics.js';
+import { logger } from './logger.js';
 
 const app = express();
 const PORT = Number(process.env.PORT) || 3000;
 
-// GitHub sends JSON payloads; we need raw body for signature verification.
-// For a placeholder verification we parse JSON first; in production use express.raw() for /webhook and verify before parsing.
+// Webhook endpoint: keep the raw body for signature verification, then parse and handle the event.
+// Registered before express.json() so the signed bytes are never re-serialized.
+app.post(
+  '/webhook',
+  express.raw({ type: '*/*', limit: '25mb' }),
+  verifyWebhookSignature,
+  parseWebhookPayload,
+  (req, res) => {
+    handleWebhook(req, res).catch((err) => {
+      logger.error('Webhook handler error:', err);
+      if (!res.headersSent) res.status(500).json({ error: 'Internal error' });
+    });
+  }
+);
+
 app.use(express.json());
 
 // Health check for Railway and load balancers
@@ -20,27 +45,46 @@ app.get('/', (req, res) => {
   res.json({ name: 'MergeMonk', status: 'ok' });
 });
 
-app.get('/health', (req, res) => {
-  res.status(200).send('ok');
+// 503 when MongoDB is configured but does not answer: queued reviews cannot run without it.
+app.get('/health', async (req, res) => {
+  const mongodb = await checkDBHealth();
+  const healthy = mongodb.status !== 'unreachable';
+  res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'degraded', mongodb });
 });
 
-// Webhook endpoint: verify signature (scaffold), then handle event
-app.post('/webhook', verifyWebhookSignature, (req, res) => {
-  handleWebhook(req, res).catch((err) => {
-    console.error('Webhook handler error:', err);
-    if (!res.headersSent) res.status(500).json({ error: 'Internal error' });
-  });
+// Prometheus scrape endpoint; with MERGEMONK_METRICS_TOKEN set, the scraper must send it as a bearer token.
+app.get('/metrics', (req, res) => {
+  const token = process.env.MERGEMONK_METRICS_TOKEN;
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (token && !(match && tokensMatch(match[1].trim(), token))) {
+    return res.status(401).json({ error: 'Invalid or missing metrics token' });
+  }
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
 });
 
+// Review history / usage read API and admin API (bearer token, see api.js)
+app.use('/api', apiRouter);
+
 async function start() {
   await connectDB();
+  await ensureDeliveryIndexes();
+  await ensureQueueIndexes();
+  await ensureReviewHistoryIndexes();
+  await ensureUsageIndexes();
+  await ensureInstallationIndexes();
+  await ensureApiTokenIndexes();
+  await startReviewWorkers(runReviewJob);
+  startDataRetention();
   const server = app.listen(PORT, () => {
-    console.log(`MergeMonk listening on port ${PORT}`);
+    logger.info(`MergeMonk listening on port ${PORT}`);
   });
 
   const shutdown = async () => {
+    stopDataRetention();
     server.close(() => {
-      closeDB().then(() => process.exit(0));
+      stopReviewWorkers()
+        .then(() => closeDB())
+        .then(() => process.exit(0));
     });
   };
   process.on('SIGINT', shutdown);
@@ -48,15 +92,7 @@ async function start() {
 }
 
 start().catch((err) => {
-  console.error('Startup failed');
-  console.error('  Error: %s', err.message);
-  if (err.name) console.error('  Name: %s', err.name);
-  if (err.code) console.error('  Code: %s', err.code);
-  if (err.cause) {
-    const c = err.cause;
-    console.error('  Cause: %s', c.message || c);
-    if (c.code) console.error('  Cause code: %s', c.code);
-  }
-  if (err.stack) console.error(err.stack);
+  // The error's name, code, cause and stack are in the log line's `err` field.
+  logger.error('Startup failed:', err);
   process.exit(1);
 });
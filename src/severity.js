@@ -0,0 +1,28 @@
+/**
+ * Finding severities, lowest to highest, and finding categories.
+ * Severities are used for minimum-severity filters and blocking decisions.
+ */
+
+export const SEVERITIES = Object.freeze(['nit', 'minor', 'major', 'blocker']);
+
+export const CATEGORIES = Object.freeze(['security', 'bug', 'design', 'perf', 'style']);
+
+/**
+ * @param {string} severity
+ * @returns {boolean}
+ */
+export function isSeverity(severity) {
+  return SEVERITIES.includes(severity);
+}
+
+/**
+ * Returns true when severity is at or above min. Findings without a known severity always pass,
+ * so a filter never hides something that could not be classified.
+ * @param {string|undefined} severity - Finding severity
+ * @param {string} min - Minimum severity
+ * @returns {boolean}
+ */
+export function meetsSeverity(severity, min) {
+  if (!isSeverity(severity) || !isSeverity(min)) return true;
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(min);
+}
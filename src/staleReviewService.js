@@ -0,0 +1,173 @@
+/**
+ * Earlier MergeMonk reviews on a PR. After a new push, MergeMonk's old "Request changes" reviews would keep
+ * blocking merge even when everything was fixed; this finds the ones whose findings are all addressed so
+ * they can be dismissed. It also tells which earlier findings are still open, so an incremental review's
+ * check run does not pass just because the new commits are clean.
+ */
+
+import { getFingerprint, isMergeMonkComment } from './commentMarkers.js';
+import { listReviewThreads } from './threadService.js';
+import { getAcceptedFingerprints } from './findingFingerprints.js';
+import { hasWriteAccess } from './commands.js';
+import { logger } from './logger.js';
+
+// A new finding this close to an old one in the same file counts as the same issue still being there.
+const NEARBY_LINES = 3;
+
+/**
+ * An earlier finding is addressed when it was accepted in its thread, when its thread was resolved by someone with
+ * write access, or when its line changed (GitHub marks the comment outdated) and the new review does not flag it again: same fingerprint,
+ * or the same file near that line.
+ */
+function isFindingAddressed(comment, { resolvedRootIds, acceptedFingerprints }, newFindings) {
+  const fingerprint = getFingerprint(comment.body);
+  if (resolvedRootIds.has(comment.id) || (fingerprint && acceptedFingerprints.has(fingerprint))) return true;
+  if (comment.position != null) return false;
+  if (fingerprint && newFindings.some((f) => f.fingerprint === fingerprint)) return false;
+  const line = comment.line ?? comment.original_line;
+  return !newFindings.some((f) => f.path === comment.path && Math.abs(f.line - line) <= NEARBY_LINES);
+}
+
+/**
+ * Loads what closes a finding without a code change: root comment ids of threads resolved by someone with write
+ * access, and fingerprints accepted in their thread (see threadService.js). Anyone who can comment on the PR can
+ * resolve a thread, so a thread resolved by anyone else (the PR author without write access, say) closes nothing.
+ * Failing to load either is logged and counts as none.
+ */
+async function loadClosedFindings(octokit, owner, repo, pullNumber) {
+  let resolvedRootIds = new Set();
+  try {
+    const threads = (await listReviewThreads(octokit, owner, repo, pullNumber)).filter((t) => t.isResolved && t.resolvedBy);
+    const writers = new Set();
+    for (const login of new Set(threads.map((t) => t.resolvedBy))) {
+      if (await hasWriteAccess(octokit, owner, repo, login)) writers.add(login);
+    }
+    resolvedRootIds = new Set(threads.filter((t) => writers.has(t.resolvedBy)).map((t) => t.rootCommentId));
+  } catch (err) {
+    logger.warn(`Could not load review threads for ${owner}/${repo}#${pullNumber}:`, err.message);
+  }
+  let acceptedFingerprints = new Set();
+  try {
+    acceptedFingerprints = await getAcceptedFingerprints(owner, repo, pullNumber);
+  } catch (err) {
+    logger.warn(`Could not load accepted findings for ${owner}/${repo}#${pullNumber}:`, err.message);
+  }
+  return { resolvedRootIds, acceptedFingerprints };
+}
+
+/**
+ * Lists MergeMonk's earlier blocking reviews on the PR and whether each one is fully addressed.
+ * A review without inline comments is addressed when the new review has no findings.
+ * @param {object} octokit - Installation Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {Array<{ path: string, line: number, fingerprint?: string }>} newFindings - Findings of the review about to be posted
+ * @returns {Promise<Array<{ id: number, findings: number, addressed: boolean }>>}
+ */
+export async function findBlockingReviews(octokit, owner, repo, pullNumber, newFindings) {
+  const reviews = await octokit.paginate(octokit.pulls.listReviews, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const blocking = reviews.filter((r) => r.state === 'CHANGES_REQUESTED' && isMergeMonkComment(r));
+  if (blocking.length === 0) return [];
+
+  const comments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const closed = await loadClosedFindings(octokit, owner, repo, pullNumber);
+
+  return blocking.map((review) => {
+    const findings = comments.filter(
+      (c) => c.pull_request_review_id === review.id && !c.in_reply_to_id && isMergeMonkComment(c)
+    );
+    const addressed =
+      findings.length > 0
+        ? findings.every((c) => isFindingAddressed(c, closed, newFindings))
+        : newFindings.length === 0;
+    return { id: review.id, findings: findings.length, addressed };
+  });
+}
+
+/**
+ * Filters the findings still open from earlier reviews (pull_request_state.openFindings) after new commits.
+ * A finding is closed when it was accepted in its thread, its thread was resolved by a writer or its line changed (the
+ * comment is outdated); a finding without an inline comment is closed when its file changed. Findings the new
+ * review flags again are left out, since the new review reports them. Open findings move to the line their
+ * comment is on now.
+ * @param {object} octokit - Installation Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {Array<{ path: string, line: number, fingerprint?: string|null }>} earlierFindings
+ * @param {{ changedPaths: Set<string>, newFindings: Array<{ fingerprint?: string|null }> }} review - What the new review looked at and found
+ * @returns {Promise<Array<object>>}
+ */
+export async function findStillOpenFindings(octokit, owner, repo, pullNumber, earlierFindings, { changedPaths, newFindings }) {
+  if (earlierFindings.length === 0) return [];
+  const comments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const { resolvedRootIds, acceptedFingerprints } = await loadClosedFindings(octokit, owner, repo, pullNumber);
+
+  const commentsByFingerprint = new Map();
+  for (const c of comments) {
+    const fingerprint = !c.in_reply_to_id && isMergeMonkComment(c) ? getFingerprint(c.body) : null;
+    if (fingerprint) commentsByFingerprint.set(fingerprint, c);
+  }
+  const reported = new Set(newFindings.map((f) => f.fingerprint).filter(Boolean));
+
+  const open = [];
+  for (const finding of earlierFindings) {
+    if (finding.fingerprint && (reported.has(finding.fingerprint) || acceptedFingerprints.has(finding.fingerprint))) continue;
+    const comment = finding.fingerprint ? commentsByFingerprint.get(finding.fingerprint) : null;
+    if (!comment) {
+      if (!changedPaths.has(finding.path)) open.push(finding);
+      continue;
+    }
+    if (resolvedRootIds.has(comment.id) || comment.position == null) continue;
+    const line = comment.line ?? finding.line;
+    const moved = { ...finding, line };
+    if (finding.startLine != null) moved.startLine = finding.startLine + line - finding.line;
+    open.push(moved);
+  }
+  return open;
+}
+
+/**
+ * Dismisses the given reviews so they no longer block merge. Failures are logged per review.
+ * @param {object} octokit - Installation Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {number[]} reviewIds
+ * @param {string} headSha - Commit the findings were checked against
+ * @returns {Promise<number>} Number of dismissed reviews
+ */
+export async function dismissReviews(octokit, owner, repo, pullNumber, reviewIds, headSha) {
+  let dismissed = 0;
+  for (const reviewId of reviewIds) {
+    try {
+      await octokit.pulls.dismissReview({
+        owner,
+        repo,
+        pull_number: pullNumber,
+        review_id: reviewId,
+        message: `All findings from this MergeMonk review were addressed as of ${headSha.slice(0, 7)}.`,
+      });
+      dismissed += 1;
+    } catch (err) {
+      logger.warn(`Could not dismiss review ${reviewId} on ${owner}/${repo}#${pullNumber}:`, err.message);
+    }
+  }
+  return dismissed;
+}
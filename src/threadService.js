@@ -0,0 +1,181 @@
+/**
+ * Conversational follow-ups on MergeMonk's inline comment threads.
+ * When a developer replies to a MergeMonk review comment, the AI gets the thread, the original finding
+ * and the diff hunk, and answers in the thread. If the developer makes a convincing case, the finding
+ * is recorded as accepted and the thread is resolved.
+ */
+
+import { getThreadReply } from './openaiService.js';
+import { loadRepoConfig, resolveReviewSettings } from './repoConfig.js';
+import { getInstallationSettings } from './installationSettings.js';
+import { isProviderConfigured } from './llmProviders.js';
+import { appendToPullRequestState } from './prStateStore.js';
+import { recordUsage, findExhaustedBudget, describeExhaustedBudget } from './usageStore.js';
+import { isMergeMonkComment, stripMarkers, withMarker, getFingerprint } from './commentMarkers.js';
+import { hasWriteAccess } from './commands.js';
+import { logger } from './logger.js';
+
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $pullNumber: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $pullNumber) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            isResolved
+            resolvedBy { login }
+            comments(first: 1) { nodes { databaseId } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+const RESOLVE_THREAD_MUTATION = `
+  mutation($threadId: ID!) {
+    resolveReviewThread(input: { threadId: $threadId }) { thread { id isResolved } }
+  }
+`;
+
+/**
+ * Lists the PR's review threads with their resolved state and who resolved them (GraphQL only; REST has no thread API).
+ * @returns {Promise<Array<{ id: string, isResolved: boolean, resolvedBy: string|null, rootCommentId: number|null }>>}
+ */
+export async function listReviewThreads(octokit, owner, repo, pullNumber) {
+  const threads = [];
+  let cursor = null;
+  do {
+    const result = await octokit.graphql(REVIEW_THREADS_QUERY, { owner, repo, pullNumber, cursor });
+    const page = result.repository?.pullRequest?.reviewThreads;
+    if (!page) break;
+    for (const t of page.nodes) {
+      threads.push({
+        id: t.id,
+        isResolved: t.isResolved,
+        resolvedBy: t.resolvedBy?.login ?? null,
+        rootCommentId: t.comments.nodes[0]?.databaseId ?? null,
+      });
+    }
+    cursor = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  } while (cursor);
+  return threads;
+}
+
+/**
+ * Resolves the review thread whose first comment is rootCommentId.
+ * @returns {Promise<boolean>} true if a thread was resolved
+ */
+async function resolveThread(octokit, owner, repo, pullNumber, rootCommentId) {
+  const threads = await listReviewThreads(octokit, owner, repo, pullNumber);
+  const thread = threads.find((t) => t.rootCommentId === rootCommentId);
+  if (!thread || thread.isResolved) return false;
+  await octokit.graphql(RESOLVE_THREAD_MUTATION, { threadId: thread.id });
+  return true;
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the user may close a finding on the PR: its author, or a user with write access
+ */
+async function canAcceptFinding(octokit, owner, repo, pr, username) {
+  if (!username) return false;
+  if (username === pr.user?.login) return true;
+  return hasWriteAccess(octokit, owner, repo, username);
+}
+
+/**
+ * Answers a reply on a MergeMonk inline comment thread. Does nothing when the thread was not started
+ * by MergeMonk, no LLM provider is configured, or the AI budget is used up.
+ * @param {object} octokit - Installation Octokit
+ * @param {string} owner - Repo owner
+ * @param {string} repo - Repo name
+ * @param {number} pullNumber - PR number
+ * @param {{ commentId: number, rootCommentId: number, installationId?: number }} options
+ *   commentId: the developer's reply; rootCommentId: first comment of the thread
+ */
+export async function replyToReviewThread(octokit, owner, repo, pullNumber, options) {
+  const { commentId, rootCommentId, installationId } = options;
+  const { data: root } = await octokit.pulls.getReviewComment({ owner, repo, comment_id: rootCommentId });
+  if (!isMergeMonkComment(root)) return;
+
+  const { data: pr } = await octokit.pulls.get({ owner, repo, pull_number: pullNumber });
+  const defaultBranch = pr.base?.repo?.default_branch;
+  const { config: repoConfig } = defaultBranch
+    ? await loadRepoConfig(octokit, owner, repo, defaultBranch)
+    : { config: {} };
+  const settings = resolveReviewSettings(repoConfig, await getInstallationSettings(installationId));
+  if (!isProviderConfigured(settings.provider)) {
+    logger.info(`No LLM provider configured; not answering thread on ${owner}/${repo}#${pullNumber}`);
+    return;
+  }
+  const task = { installationId, owner, repo, pullNumber };
+  const exhausted = await findExhaustedBudget(task, settings.budget, settings.model);
+  if (exhausted) {
+    logger.info(`${describeExhaustedBudget(exhausted, settings.model)}; not answering thread on ${owner}/${repo}#${pullNumber}`);
+    return;
+  }
+
+  const allComments = await octokit.paginate(octokit.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const replies = allComments
+    .filter((c) => c.in_reply_to_id === rootCommentId && c.id <= commentId)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map((c) => ({ author: c.user?.login || 'unknown', body: stripMarkers(c.body) }));
+
+  const { reply, verdict, usage } = await getThreadReply(
+    {
+      prTitle: pr.title || '',
+      path: root.path,
+      line: root.line ?? root.original_line,
+      diffHunk: root.diff_hunk,
+      finding: stripMarkers(root.body),
+      thread: replies,
+    },
+    settings
+  );
+  try {
+    await recordUsage({ ...task, kind: 'thread-reply', provider: settings.provider, model: settings.model }, usage);
+  } catch (err) {
+    logger.warn('Failed to record token usage:', err.message);
+  }
+
+  // Anyone can reply on a thread, but only the PR author or someone with write access can get a finding dropped.
+  const acceptedBy = replies[replies.length - 1]?.author ?? null;
+  let accepted = verdict === 'accepted';
+  let body = reply;
+  if (accepted && !(await canAcceptFinding(octokit, owner, repo, pr, acceptedBy))) {
+    accepted = false;
+    body += '\n\n_Only the PR author or someone with write access to the repository can have a finding accepted, so this thread stays open._';
+  } else if (accepted) {
+    body += '\n\n✅ _Finding accepted; resolving this thread._';
+  }
+  await octokit.pulls.createReplyForReviewComment({
+    owner,
+    repo,
+    pull_number: pullNumber,
+    comment_id: rootCommentId,
+    body: withMarker(body),
+  });
+
+  if (!accepted) return;
+  // Later reviews skip findings with this fingerprint (see getAcceptedFingerprints).
+  await appendToPullRequestState(owner, repo, pullNumber, 'acceptedFindings', {
+    commentId: rootCommentId,
+    fingerprint: getFingerprint(root.body),
+    path: root.path,
+    line: root.line ?? root.original_line ?? null,
+    finding: stripMarkers(root.body),
+    acceptedBy,
+    acceptedAt: new Date(),
+  });
+  try {
+    await resolveThread(octokit, owner, repo, pullNumber, rootCommentId);
+  } catch (err) {
+    logger.warn(`Could not resolve thread ${rootCommentId} on ${owner}/${repo}#${pullNumber}:`, err.message);
+  }
+}
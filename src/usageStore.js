@@ -0,0 +1,199 @@
+/**
+ * LLM token usage in MongoDB: one record per AI task (review, thread reply, patch) with prompt/completion
+ * tokens and estimated cost. Backs the per-installation monthly budgets, the per-PR caps and the usage API.
+ */
+
+import { getDB } from './db.js';
+import { estimateCost, hasPrice } from './modelPricing.js';
+
+const USAGE_COLLECTION = 'llm_usage';
+
+/**
+ * Creates indexes for the monthly, per-PR and per-installation queries. Safe to call on every startup.
+ */
+export async function ensureUsageIndexes() {
+  const db = getDB();
+  if (!db) return;
+  const usage = db.collection(USAGE_COLLECTION);
+  await usage.createIndex({ installationId: 1, createdAt: -1 });
+  await usage.createIndex({ owner: 1, repo: 1, pullNumber: 1 });
+}
+
+/**
+ * Saves the token usage of one AI task with its estimated cost. No-op without MongoDB or when no tokens were used.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number, kind: string, provider: string, model: string }} task
+ * @param {{ promptTokens: number, completionTokens: number }} usage
+ * @returns {Promise<number|null>} Estimated cost in USD (null when the model has no price)
+ */
+export async function recordUsage(task, usage) {
+  const costUsd = estimateCost(task.model, usage);
+  const db = getDB();
+  if (!db || usage.promptTokens + usage.completionTokens === 0) return costUsd;
+  await db.collection(USAGE_COLLECTION).insertOne({
+    ...task,
+    installationId: task.installationId ?? null,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.promptTokens + usage.completionTokens,
+    costUsd,
+    createdAt: new Date(),
+  });
+  return costUsd;
+}
+
+const SUM_USAGE = {
+  calls: { $sum: 1 },
+  promptTokens: { $sum: '$promptTokens' },
+  completionTokens: { $sum: '$completionTokens' },
+  totalTokens: { $sum: '$totalTokens' },
+  costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+};
+
+const EMPTY_TOTALS = { calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, costUsd: 0 };
+
+async function sumUsage(db, filter) {
+  const [totals] = await db
+    .collection(USAGE_COLLECTION)
+    .aggregate([{ $match: filter }, { $group: { _id: null, ...SUM_USAGE } }, { $project: { _id: 0 } }])
+    .toArray();
+  return totals ?? { ...EMPTY_TOTALS };
+}
+
+/**
+ * @returns {Date} Start of the current calendar month (UTC), when monthly budgets reset
+ */
+export function startOfMonth(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * Compares usage totals with the budget's limits. Limits that are null are not enforced.
+ * A model without a price fails closed: its cost cannot be counted, so any USD limit in a summed scope counts as
+ * reached (unpriced: true) and only token limits let it run.
+ * @param {{ monthlyCostUsd: number|null, monthlyTokens: number|null, pullRequestCostUsd: number|null, pullRequestTokens: number|null }} budget - From resolveReviewSettings
+ * @param {{ month?: { costUsd: number, totalTokens: number }, pullRequest?: { costUsd: number, totalTokens: number } }} usage - Totals of the scopes that were summed
+ * @param {{ priced?: boolean }} [options] - priced: false when the task's model has no price
+ * @returns {{ scope: 'month'|'pull_request', unit: 'usd'|'tokens', used: number, limit: number, unpriced?: boolean }|null} The first exceeded limit, or null
+ */
+export function findExceededLimit(budget, { month, pullRequest }, { priced = true } = {}) {
+  const checks = [];
+  if (month) {
+    checks.push(
+      { scope: 'month', unit: 'usd', used: month.costUsd, limit: budget.monthlyCostUsd },
+      { scope: 'month', unit: 'tokens', used: month.totalTokens, limit: budget.monthlyTokens }
+    );
+  }
+  if (pullRequest) {
+    checks.push(
+      { scope: 'pull_request', unit: 'usd', used: pullRequest.costUsd, limit: budget.pullRequestCostUsd },
+      { scope: 'pull_request', unit: 'tokens', used: pullRequest.totalTokens, limit: budget.pullRequestTokens }
+    );
+  }
+  const unpriced = priced ? null : checks.find((c) => c.unit === 'usd' && c.limit != null);
+  if (unpriced) return { ...unpriced, unpriced: true };
+  return checks.find((c) => c.limit != null && c.used >= c.limit) ?? null;
+}
+
+/**
+ * Checks the installation's monthly budget and the PR's cap. Limits that are null are not enforced, and USD
+ * limits stop models without a price (see findExceededLimit).
+ * Without MongoDB there is no usage to compare, so nothing is ever exhausted.
+ * @param {{ installationId?: number, owner: string, repo: string, pullNumber: number }} scope
+ * @param {{ monthlyCostUsd: number|null, monthlyTokens: number|null, pullRequestCostUsd: number|null, pullRequestTokens: number|null }} budget - From resolveReviewSettings
+ * @param {string} model - Model the task would use
+ * @returns {Promise<{ scope: 'month'|'pull_request', unit: 'usd'|'tokens', used: number, limit: number, unpriced?: boolean }|null>} The first exhausted limit, or null
+ */
+export async function findExhaustedBudget(scope, budget, model) {
+  const db = getDB();
+  if (!db) return null;
+  const usage = {};
+  if (scope.installationId != null && (budget.monthlyCostUsd != null || budget.monthlyTokens != null)) {
+    usage.month = await sumUsage(db, { installationId: scope.installationId, createdAt: { $gte: startOfMonth() } });
+  }
+  if (budget.pullRequestCostUsd != null || budget.pullRequestTokens != null) {
+    usage.pullRequest = await sumUsage(db, { owner: scope.owner, repo: scope.repo, pullNumber: scope.pullNumber });
+  }
+  return findExceededLimit(budget, usage, { priced: hasPrice(model) });
+}
+
+/**
+ * Describes an exhausted limit from findExhaustedBudget, e.g. "this installation's monthly AI budget ($10.21 of
+ * $10.00) is used up" or, for a model without a price, "this installation's monthly AI budget ($10.00) cannot be
+ * checked because `llama3.1` has no price".
+ * @param {{ scope: string, unit: string, used: number|null, limit: number, unpriced?: boolean }} exhausted
+ * @param {string} [model] - Model the task would use, named when it has no price
+ * @returns {string}
+ */
+export function describeExhaustedBudget(exhausted, model) {
+  const subject = exhausted.scope === 'month' ? "this installation's monthly AI budget" : "this pull request's AI budget";
+  if (exhausted.unpriced) {
+    const name = model ? `\`${model}\`` : 'the model';
+    return `${subject} ($${exhausted.limit.toFixed(2)}) cannot be checked because ${name} has no price`;
+  }
+  const amount =
+    exhausted.unit === 'usd'
+      ? `$${exhausted.used.toFixed(2)} of $${exhausted.limit.toFixed(2)}`
+      : `${exhausted.used.toLocaleString('en-US')} of ${exhausted.limit.toLocaleString('en-US')} tokens`;
+  return `${subject} (${amount}) is used up`;
+}
+
+/**
+ * Token usage and cost of an installation: totals, per month and per repository.
+ * @param {number} installationId
+ * @param {{ since?: Date, until?: Date }} [query]
+ * @returns {Promise<{ totals: object, currentMonth: object, months: Array<object>, repos: Array<object> }|null>} null without MongoDB
+ */
+export async function getInstallationUsage(installationId, { since, until } = {}) {
+  const db = getDB();
+  if (!db) return null;
+  const createdAt = {};
+  if (since) createdAt.$gte = since;
+  if (until) createdAt.$lte = until;
+  const filter = { installationId, ...(Object.keys(createdAt).length > 0 ? { createdAt } : {}) };
+  const usage = db.collection(USAGE_COLLECTION);
+
+  const [totals, currentMonth, months, repos] = await Promise.all([
+    sumUsage(db, filter),
+    sumUsage(db, { installationId, createdAt: { $gte: startOfMonth() } }),
+    usage
+      .aggregate([
+        { $match: filter },
+        { $group: { _id: { $dateTrunc: { date: '$createdAt', unit: 'month' } }, ...SUM_USAGE } },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, month: '$_id', calls: 1, promptTokens: 1, completionTokens: 1, totalTokens: 1, costUsd: 1 } },
+      ])
+      .toArray(),
+    usage
+      .aggregate([
+        { $match: filter },
+        { $group: { _id: { owner: '$owner', repo: '$repo' }, ...SUM_USAGE } },
+        { $sort: { costUsd: -1, totalTokens: -1 } },
+        {
+          $project: {
+            _id: 0,
+            owner: '$_id.owner',
+            repo: '$_id.repo',
+            calls: 1,
+            promptTokens: 1,
+            completionTokens: 1,
+            totalTokens: 1,
+            costUsd: 1,
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+  return { totals, currentMonth, months, repos };
+}
+
+/**
+ * Deletes an installation's usage records (data retention after uninstall).
+ * @param {number} installationId
+ * @returns {Promise<number>} Deleted records
+ */
+export async function deleteInstallationUsage(installationId) {
+  const db = getDB();
+  if (!db) return 0;
+  const { deletedCount } = await db.collection(USAGE_COLLECTION).deleteMany({ installationId });
+  return deletedCount;
+}
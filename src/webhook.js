@@ -1,90 +1,211 @@
 /**
- * Webhook router: receives GitHub events, verifies signature, and dispatches by event type.
+ * Webhook router: receives GitHub events, verifies signature, deduplicates deliveries, and dispatches by event type.
  */
 
-import { createInstallationClient } from './githubClient.js';
-import { reviewPullRequest } from './prService.js';
-import { getDB } from './db.js';
+import crypto from 'node:crypto';
+import { createInstallationClientFromEnv } from './githubClient.js';
+import { reviewPullRequest, createSuggestedPatch, publishSkippedCheckRun } from './prService.js';
+import { claimDelivery, releaseDelivery, recordDeliveryRun } from './deliveryStore.js';
+import { createTrace, runWithTrace } from './debugTrace.js';
+import { enqueueReviewJob } from './reviewQueue.js';
+import { getPullRequestState } from './prStateStore.js';
+import { getInstallationSettings, isAutoReviewEnabled } from './installationSettings.js';
+import { handleIssueComment, replyToCommand } from './commands.js';
+import { replyToReviewThread } from './threadService.js';
+import {
+  INSTALLATION_STATUS,
+  recordInstallation,
+  setInstallationStatus,
+  updateInstallationPermissions,
+  updateInstallationRepositories,
+  getInstallationBlock,
+} from './installationStore.js';
+import { logger, withLogContext } from './logger.js';
+import { webhooksReceived } from './metrics.js';
 
 const SUPPORTED_PR_ACTIONS = new Set(['opened', 'synchronize']);
-const ACTIVE_USERS_COLLECTION = 'active_users';
 
 /**
- * Placeholder middleware for webhook signature verification.
- * In production, verify using crypto.createHmac('sha256', WEBHOOK_SECRET).update(body).digest('hex')
- * and compare with x-hub-signature-256 header.
+ * Returns the configured webhook secrets. WEBHOOK_SECRET_PREVIOUS is accepted alongside WEBHOOK_SECRET
+ * so the secret can be rotated in the GitHub App settings without dropping deliveries in between.
+ * @returns {string[]}
+ */
+function getWebhookSecrets() {
+  return [process.env.WEBHOOK_SECRET, process.env.WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+}
+
+/**
+ * Checks an x-hub-signature-256 header against the raw body with a timing-safe compare.
+ * @param {Buffer} rawBody - Exact bytes GitHub sent
+ * @param {string} signature - Header value, "sha256=<hex>"
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+export function isValidSignature(rawBody, signature, secret) {
+  if (typeof signature !== 'string' || !signature.startsWith('sha256=')) return false;
+  const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', secret).update(rawBody).digest('hex'));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Middleware: verifies x-hub-signature-256 (HMAC-SHA256 of the raw body) against WEBHOOK_SECRET,
+ * or WEBHOOK_SECRET_PREVIOUS during a rotation. Expects req.body to be the raw Buffer (express.raw()).
  */
 export function verifyWebhookSignature(req, res, next) {
-  const secret = process.env.WEBHOOK_SECRET;
-  if (!secret) {
-    console.warn('WEBHOOK_SECRET not set; skipping signature verification');
+  const secrets = getWebhookSecrets();
+  if (secrets.length === 0) {
+    logger.warn('WEBHOOK_SECRET not set; skipping signature verification');
     return next();
   }
-  // TODO: implement with crypto.timingSafeEqual and x-hub-signature-256
   const sig = req.headers['x-hub-signature-256'];
   if (!sig) {
     return res.status(401).json({ error: 'Missing signature' });
   }
-  // Placeholder: real impl would verify sig === 'sha256=' + hmac(body)
+  if (!Buffer.isBuffer(req.body)) {
+    return res.status(400).json({ error: 'Expected raw request body' });
+  }
+  if (!secrets.some((secret) => isValidSignature(req.body, sig, secret))) {
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
   return next();
 }
 
 /**
- * Handle installation event: on "created", upsert the installer into active_users.
+ * Middleware: parses the raw webhook body as JSON once the signature has been checked.
+ * The original bytes stay available as req.rawBody.
  */
-async function handleInstallation(payload) {
-  const action = payload.action;
-  if (action !== 'created') {
-    return;
-  }
-  const installation = payload.installation;
-  if (!installation?.id) {
-    return;
+export function parseWebhookPayload(req, res, next) {
+  if (!Buffer.isBuffer(req.body)) return next();
+  req.rawBody = req.body;
+  try {
+    req.body = JSON.parse(req.body.toString('utf-8') || '{}');
+  } catch {
+    return res.status(400).json({ error: 'Invalid JSON payload' });
   }
-  const db = getDB();
-  if (!db) {
-    return;
+  return next();
+}
+
+/**
+ * installation: keeps the installation record in active_users up to date.
+ * - created: account, permissions and repositories
+ * - deleted / suspend / unsuspend: status (review jobs are skipped while it is not active)
+ * - new_permissions_accepted: the accepted permissions and events
+ */
+async function handleInstallation(payload) {
+  const { action, installation, sender } = payload;
+  if (!installation?.id) return;
+  switch (action) {
+    case 'created':
+      await recordInstallation(installation, payload.repositories || []);
+      logger.info(`Installation ${installation.id} created (${installation.account?.login ?? 'unknown'})`);
+      return;
+    case 'deleted':
+      await setInstallationStatus(installation, INSTALLATION_STATUS.DELETED, sender?.login);
+      logger.info(`Installation ${installation.id} deleted; its data is purged after the retention period`);
+      return;
+    case 'suspend':
+      await setInstallationStatus(installation, INSTALLATION_STATUS.SUSPENDED, sender?.login);
+      logger.info(`Installation ${installation.id} suspended`);
+      return;
+    case 'unsuspend':
+      await setInstallationStatus(installation, INSTALLATION_STATUS.ACTIVE, sender?.login);
+      logger.info(`Installation ${installation.id} unsuspended`);
+      return;
+    case 'new_permissions_accepted':
+      await updateInstallationPermissions(installation);
+      logger.info(`Installation ${installation.id} accepted new permissions`);
+      return;
   }
-  const account = installation.account || {};
-  const repos = payload.repositories || [];
-  const doc = {
-    _id: installation.id,
-    installationId: installation.id,
-    accountLogin: account.login ?? null,
-    accountType: account.type ?? null,
-    avatarUrl: account.avatar_url ?? null,
-    repositoryCount: Array.isArray(repos) ? repos.length : 0,
-    installedAt: new Date(),
+}
+
+/**
+ * installation_repositories: adds or removes repositories from the installation's list.
+ */
+async function handleInstallationRepositories(payload) {
+  const { action, installation } = payload;
+  if (!installation?.id || (action !== 'added' && action !== 'removed')) return;
+  const added = payload.repositories_added || [];
+  const removed = payload.repositories_removed || [];
+  await updateInstallationRepositories(
+    { ...installation, repository_selection: payload.repository_selection ?? installation.repository_selection },
+    { added, removed }
+  );
+  logger.info(`Installation ${installation.id}: ${added.length} repo(s) added, ${removed.length} removed`);
+}
+
+/**
+ * Correlation fields for the log lines of a delivery.
+ */
+function deliveryLogFields(deliveryId, event, payload) {
+  return {
+    deliveryId,
+    event,
+    installationId: payload?.installation?.id,
+    repo: payload?.repository?.full_name,
+    pullNumber: payload?.pull_request?.number ?? payload?.issue?.number,
   };
-  try {
-    await db.collection(ACTIVE_USERS_COLLECTION).updateOne(
-      { _id: installation.id },
-      { $set: doc },
-      { upsert: true }
-    );
-    console.log(`Active user recorded: installation ${installation.id} (${account.login ?? 'unknown'})`);
-  } catch (err) {
-    console.error('Failed to record active user:', err.message);
-    throw err;
-  }
 }
 
 /**
- * POST /webhook handler: read x-github-event, handle installation (created) and pull_request (opened | synchronize).
+ * POST /webhook handler: read x-github-event, handle installation lifecycle events and pull_request (opened | synchronize).
+ * Pull request reviews are queued and the request is answered with 202.
  */
 export async function handleWebhook(req, res) {
   const event = req.headers['x-github-event'];
   if (!event) {
     return res.status(400).json({ error: 'Missing x-github-event header' });
   }
+  const fields = deliveryLogFields(req.headers['x-github-delivery'], event, req.body);
+  return withLogContext(fields, () => dispatchWebhook(req, res, event));
+}
 
+async function dispatchWebhook(req, res, event) {
   const payload = req.body;
+  webhooksReceived.inc({ event, action: payload?.action ?? '' });
 
+  // GitHub redelivers with the same x-github-delivery id; a replayed payload is acknowledged but not processed again.
+  const deliveryId = req.headers['x-github-delivery'];
+  const request = { headers: req.headers, payload, size: req.rawBody?.length ?? 0 };
+  if (deliveryId && !(await claimDelivery(deliveryId, event, request))) {
+    logger.info(`Duplicate delivery ${deliveryId} (${event}); ignoring`);
+    return res.status(200).send('Duplicate delivery');
+  }
+  try {
+    return await routeDelivery(req, res, event, deliveryId);
+  } catch (err) {
+    // The delivery was not (fully) handled: forget it so GitHub's redelivery is processed instead of dropped.
+    if (deliveryId) {
+      try {
+        await releaseDelivery(deliveryId);
+      } catch (releaseErr) {
+        logger.warn(`Failed to release delivery ${deliveryId}:`, releaseErr.message);
+      }
+    }
+    throw err;
+  }
+}
+
+async function routeDelivery(req, res, event, deliveryId) {
+  const payload = req.body;
   if (event === 'installation') {
     await handleInstallation(payload);
     return res.status(200).json({ ok: true });
   }
 
+  if (event === 'installation_repositories') {
+    await handleInstallationRepositories(payload);
+    return res.status(200).json({ ok: true });
+  }
+
+  if (event === 'issue_comment') {
+    return handleIssueCommentEvent(payload, deliveryId, res);
+  }
+
+  if (event === 'pull_request_review_comment') {
+    return handleReviewCommentEvent(payload, deliveryId, res);
+  }
+
   if (event !== 'pull_request') {
     return res.status(200).send('Ignored');
   }
@@ -101,30 +222,216 @@ export async function handleWebhook(req, res) {
   const installationId = installation?.id;
 
   if (!installationId) {
-    console.error('No installation id in webhook payload');
+    logger.error('No installation id in webhook payload');
     return res.status(400).json({ error: 'Missing installation id' });
   }
 
-  // Installation ID comes from the payload per request (different per repo/org); no need for .env
-  const appId = process.env.APP_ID;
-  const privateKey = process.env.PRIVATE_KEY;
-
-  if (!appId || !privateKey) {
-    console.error('APP_ID or PRIVATE_KEY not configured');
+  if (!process.env.APP_ID || !process.env.PRIVATE_KEY) {
+    logger.error('APP_ID or PRIVATE_KEY not configured');
     return res.status(500).json({ error: 'App not configured' });
   }
 
-  try {
-    const octokit = createInstallationClient({
-      appId,
-      privateKey,
+  // Skipped heads still get a (neutral) check run, so a required MergeMonk check does not stay pending.
+  const skip = (reason) =>
+    publishSkippedCheckRun(createInstallationClientFromEnv(installationId), owner, repo, {
+      headSha: pr.head.sha,
+      defaultBranch: repository.default_branch,
       installationId,
+      reason,
     });
-    await reviewPullRequest(octokit, owner, repo, pullNumber);
-    console.log(`Review posted for ${owner}/${repo}#${pullNumber}`);
-    return res.status(200).json({ ok: true });
+  const prState = await getPullRequestState(owner, repo, pullNumber);
+  if (prState?.paused) {
+    logger.info(`Automatic reviews paused for ${owner}/${repo}#${pullNumber}; skipping`);
+    await skip('Automatic reviews are paused on this pull request.');
+    return res.status(200).send('Paused');
+  }
+  if (!isAutoReviewEnabled(await getInstallationSettings(installationId), owner, repo)) {
+    logger.info(`Automatic reviews disabled for ${owner}/${repo} by an admin; skipping #${pullNumber}`);
+    await skip('Automatic reviews are turned off for this repository.');
+    return res.status(200).send('Automatic review disabled');
+  }
+
+  // Reviewing can outlast GitHub's 10s webhook timeout; queue it and reply right away.
+  const jobId = await enqueueReviewJob({
+    installationId,
+    owner,
+    repo,
+    pullNumber,
+    deliveryId: deliveryId ?? null,
+    headSha: pr.head?.sha ?? null,
+  });
+  logger.info(`Review queued for ${owner}/${repo}#${pullNumber}${jobId ? ` (job ${jobId})` : ''}`);
+  return res.status(202).json({ ok: true, queued: true, jobId });
+}
+
+/**
+ * issue_comment: runs `@mergemonk` commands on PR comments. Review and patch commands are queued.
+ */
+async function handleIssueCommentEvent(payload, deliveryId, res) {
+  const installationId = payload.installation?.id;
+  if (!installationId || !payload.issue?.pull_request) {
+    return res.status(200).send('Ignored');
+  }
+  if (!process.env.APP_ID || !process.env.PRIVATE_KEY) {
+    logger.error('APP_ID or PRIVATE_KEY not configured');
+    return res.status(500).json({ error: 'App not configured' });
+  }
+  const octokit = createInstallationClientFromEnv(installationId);
+  const handled = await handleIssueComment(octokit, payload, deliveryId);
+  return handled ? res.status(202).json({ ok: true }) : res.status(200).send('Ignored');
+}
+
+/**
+ * pull_request_review_comment: queues an AI answer when someone replies in an inline comment thread.
+ * Whether the thread belongs to MergeMonk is checked by the job (it needs an API call).
+ */
+async function handleReviewCommentEvent(payload, deliveryId, res) {
+  const { action, comment, pull_request: pr, repository, installation } = payload;
+  if (action !== 'created' || !comment?.in_reply_to_id || comment.user?.type === 'Bot' || !installation?.id) {
+    return res.status(200).send('Ignored');
+  }
+  await enqueueReviewJob({
+    installationId: installation.id,
+    owner: repository.owner.login,
+    repo: repository.name,
+    pullNumber: pr.number,
+    type: 'thread-reply',
+    deliveryId,
+    coalesce: false,
+    options: { commentId: comment.id, rootCommentId: comment.in_reply_to_id },
+  });
+  return res.status(202).json({ ok: true, queued: true });
+}
+
+/**
+ * Review queue handler: authenticates as the installation and runs the job.
+ * - review: automatic review from a pull_request event
+ * - manual-review: `@mergemonk review [glob]`
+ * - patch: `@mergemonk patch`
+ * - thread-reply: answer a reply on a MergeMonk inline comment thread
+ * Jobs for suspended or uninstalled installations, or repositories removed from the installation, are skipped.
+ * Errors propagate so the queue can retry with backoff, except for command jobs: those report the
+ * error as a reply to the command instead, since the user is waiting for an answer.
+ * Jobs from a webhook delivery run under a debug trace that is saved with the delivery (see debugTrace.js).
+ * A dry-run review (a replay with dryRun) also saves the review it built there, as the run's result.
+ * @param {{ _id?: object, type: string, installationId: number, owner: string, repo: string, pullNumber: number, deliveryId?: string|null, options?: object }} job
+ */
+export async function runReviewJob(job) {
+  const { installationId, owner, repo, pullNumber } = job;
+  const blocked = await getInstallationBlock(installationId, owner, repo);
+  if (blocked) {
+    logger.info(`Skipping ${job.type} job for ${owner}/${repo}#${pullNumber}: ${blocked}`);
+    return;
+  }
+  // A job started by a traced job's queue tick must not add to that job's trace.
+  if (!job.deliveryId) return runWithTrace(null, () => runJob(job));
+  const run = { jobId: job._id ? String(job._id) : null, type: job.type, attempt: job.attempts ?? null };
+  if (job.options?.dryRun) run.dryRun = true;
+  await traceDeliveryRun(job.deliveryId, run, () => runJob(job));
+}
+
+/**
+ * What a dry run keeps of reviewPullRequest's result: the createReview request it would have sent and why.
+ * null when there was nothing to review (e.g. no files left after the path filters).
+ */
+function toDryRunResult(result) {
+  if (!result) return null;
+  const { review, mode, fallbackReason, usage, dismissReviewIds } = result;
+  return { review, mode, fallbackReason, usage, dismissReviewIds };
+}
+
+async function runJob(job) {
+  const { installationId, owner, repo, pullNumber } = job;
+  const options = job.options || {};
+  // Installation ID comes from the payload per request (different per repo/org); no need for .env
+  const octokit = createInstallationClientFromEnv(installationId);
+  try {
+    if (job.type === 'thread-reply') {
+      await replyToReviewThread(octokit, owner, repo, pullNumber, { ...options, installationId });
+      return;
+    }
+    if (job.type === 'patch') {
+      const result = await createSuggestedPatch(octokit, owner, repo, pullNumber, { installationId });
+      logger.info(`Suggested patch delivered on request for ${owner}/${repo}#${pullNumber}: ${result}`);
+      return;
+    }
+    const result = await reviewPullRequest(octokit, owner, repo, pullNumber, { ...options, installationId });
+    if (options.dryRun) {
+      logger.info(`Dry-run review built for ${owner}/${repo}#${pullNumber}`);
+      return toDryRunResult(result);
+    }
+    logger.info(`Review posted for ${owner}/${repo}#${pullNumber}`);
+  } catch (err) {
+    if (!options.command) throw err;
+    logger.warn(`Command ${options.command.text} failed for ${owner}/${repo}#${pullNumber}:`, err.message);
+    await replyToCommand(octokit, owner, repo, pullNumber, options.command.author, `❌ \`${options.command.text}\` failed: ${err.message}`);
+  }
+}
+
+/**
+ * Runs fn under a new debug trace and appends the trace to the delivery, whether fn succeeds or not.
+ * A dry run's result (what fn returns) is saved with it. Failing to save the trace never fails the job.
+ */
+async function traceDeliveryRun(deliveryId, run, fn) {
+  const trace = createTrace();
+  const startedAt = new Date();
+  let error = null;
+  let result = null;
+  try {
+    result = await runWithTrace(trace, fn);
+    return result;
   } catch (err) {
-    console.error('Review failed:', err.message);
-    return res.status(500).json({ error: 'Review failed', message: err.message });
+    error = err.message;
+    throw err;
+  } finally {
+    try {
+      const saved = { ...run, startedAt, finishedAt: new Date(), error, trace };
+      if (run.dryRun) saved.result = result ?? null;
+      await recordDeliveryRun(deliveryId, saved);
+    } catch (err) {
+      logger.warn(`Failed to save the debug trace of delivery ${deliveryId}:`, err.message);
+    }
+  }
+}
+
+/**
+ * Re-runs the review of a recorded pull_request delivery, for debugging. The replay reviews the whole PR as of
+ * the delivery's head commit, also when the PR has moved on since. It is queued like the original delivery's
+ * review, unless the installation is blocked (suspended, uninstalled or the repository removed from it).
+ * A dry run posts nothing; its job saves the review it would have posted with the delivery (the run's result).
+ * Either way the run's debug trace is saved with the delivery.
+ * @param {{ _id: string, event: string, payload: object }} delivery - From getDelivery
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ queued: true, jobId: string|null, headSha: string } | { queued: false, blocked: string }>}
+ * @throws {Error} If the delivery is not a pull_request delivery with a payload
+ */
+export async function replayDelivery(delivery, { dryRun = false } = {}) {
+  const { repository, installation, pull_request: pr } = delivery.payload || {};
+  if (delivery.event !== 'pull_request' || !repository || !installation?.id || !pr) {
+    throw new Error('Only pull_request deliveries with a recorded payload can be replayed');
   }
+  const owner = repository.owner.login;
+  const repo = repository.name;
+  const pullNumber = pr.number;
+  const installationId = installation.id;
+
+  const blocked = await getInstallationBlock(installationId, owner, repo);
+  if (blocked) {
+    logger.info(`Not replaying delivery ${delivery._id}: ${blocked}`);
+    return { queued: false, blocked };
+  }
+
+  const headSha = pr.head.sha;
+  const jobId = await enqueueReviewJob({
+    installationId,
+    owner,
+    repo,
+    pullNumber,
+    deliveryId: delivery._id,
+    headSha,
+    coalesce: false,
+    options: { full: true, headSha, ...(dryRun ? { dryRun: true } : {}) },
+  });
+  logger.info(`${dryRun ? 'Dry-run replay' : 'Replay'} of delivery ${delivery._id} queued for ${owner}/${repo}#${pullNumber}`);
+  return { queued: true, jobId: jobId ?? null, headSha };
 }
@@ -0,0 +1,87 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { setDB } from '../src/db.js';
+import { adminRouter } from '../src/adminApi.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+let server;
+let baseUrl;
+let db;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.apiToken = { id: 't1', name: 'test', scope: 'admin' };
+    next();
+  });
+  app.use('/api/admin', adminRouter);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/admin`;
+});
+
+after(async () => {
+  setDB(null);
+  await new Promise((resolve) => server.close(resolve));
+});
+
+async function patchSettings(body) {
+  db = createFakeDb();
+  setDB(db);
+  await db.collection('active_users').insertOne({ _id: 42, accountLogin: 'acme' });
+  const res = await fetch(`${baseUrl}/installations/42/settings`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('the LLM provider can be set per installation', async () => {
+  const { status, body } = await patchSettings({ provider: 'anthropic', model: 'claude-3-5-haiku-latest' });
+  assert.equal(status, 200);
+  assert.equal(body.settings.stored.provider, 'anthropic');
+  assert.equal(body.settings.effective.provider, 'anthropic');
+  assert.equal(body.settings.effective.model, 'claude-3-5-haiku-latest');
+  assert.deepEqual(db.docs('installation_settings')[0].llm, { provider: 'anthropic', model: 'claude-3-5-haiku-latest' });
+});
+
+test('unknown providers are rejected', async () => {
+  const { status, body } = await patchSettings({ provider: 'gemini' });
+  assert.equal(status, 400);
+  assert.match(body.error, /`provider` must be one of openai, openai-compatible, anthropic, fake or null/);
+  assert.equal(db.docs('installation_settings').length, 0);
+});
+
+test('budget limits can be set and cleared per installation', async () => {
+  const { status, body } = await patchSettings({ monthlyCostUsd: 25, pullRequestTokens: 200000 });
+  assert.equal(status, 200);
+  assert.deepEqual(body.settings.stored.budget, {
+    monthlyCostUsd: 25,
+    monthlyTokens: null,
+    pullRequestCostUsd: null,
+    pullRequestTokens: 200000,
+  });
+  assert.equal(body.settings.effective.budget.monthlyCostUsd, 25);
+  assert.equal(body.settings.repoOverridable.includes('model'), false);
+
+  const res = await fetch(`${baseUrl}/installations/42/settings`, {
+    method: 'PATCH',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ monthlyCostUsd: null }),
+  });
+  const cleared = await res.json();
+  assert.equal(cleared.settings.stored.budget.monthlyCostUsd, null);
+  assert.equal(cleared.settings.stored.budget.pullRequestTokens, 200000);
+});
+
+test('negative or non-numeric budget limits are rejected', async () => {
+  for (const value of [-1, '25', true]) {
+    const { status, body } = await patchSettings({ monthlyTokens: value });
+    assert.equal(status, 400);
+    assert.match(body.error, /`monthlyTokens` must be a non-negative number or null/);
+  }
+  assert.equal(db.docs('installation_settings').length, 0);
+});
@@ -0,0 +1,54 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDB } from '../src/db.js';
+import { handleIssueComment } from '../src/commands.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+after(() => setDB(null));
+
+/** Octokit stand-in for a writer's command comment; records replies and reactions. */
+function fakeOctokit() {
+  const octokit = {
+    replies: [],
+    reactionsGiven: [],
+    repos: { getCollaboratorPermissionLevel: async () => ({ data: { permission: 'write' } }) },
+    issues: { createComment: async ({ body }) => octokit.replies.push(body) },
+    reactions: { createForIssueComment: async ({ content }) => octokit.reactionsGiven.push(content) },
+  };
+  return octokit;
+}
+
+function commandPayload(body) {
+  return {
+    action: 'created',
+    comment: { id: 5, body, user: { login: 'maintainer', type: 'User' } },
+    issue: { number: 7, pull_request: {} },
+    repository: { name: 'app', owner: { login: 'acme' } },
+    installation: { id: 42 },
+  };
+}
+
+test('pause and resume save the PR state', async () => {
+  const db = createFakeDb();
+  setDB(db);
+  const octokit = fakeOctokit();
+
+  await handleIssueComment(octokit, commandPayload('@mergemonk pause'));
+  assert.equal(db.docs('pull_request_state')[0].paused, true);
+  await handleIssueComment(octokit, commandPayload('@mergemonk resume'));
+  assert.equal(db.docs('pull_request_state')[0].paused, false);
+
+  assert.deepEqual(octokit.reactionsGiven, ['+1', '+1']);
+  assert.match(octokit.replies[0], /paused/);
+});
+
+test('pause without MongoDB replies with an error instead of claiming success', async () => {
+  setDB(null);
+  const octokit = fakeOctokit();
+
+  await handleIssueComment(octokit, commandPayload('@mergemonk pause'));
+
+  assert.deepEqual(octokit.reactionsGiven, ['confused']);
+  assert.equal(octokit.replies.length, 1);
+  assert.match(octokit.replies[0], /❌ .*needs MongoDB/);
+});
@@ -0,0 +1,162 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parsePatchesForComments,
+  resolveCommentLocations,
+  getAddedLines,
+  getDiffLines,
+  getChangedLines,
+  parseUnifiedDiff,
+} from '../src/diffUtils.js';
+import { formatUnplacedFindings } from '../src/prService.js';
+
+const PATCH = [
+  '@@ -1,4 +1,5 @@',
+  ' const a = 1;',
+  '-const b = 2;',
+  '+const b = 3;',
+  '+const c = 4;',
+  ' const d = 5;',
+  ' const e = 6;',
+  '@@ -20,2 +21,3 @@ function later() {',
+  ' return x;',
+  '+// added',
+  ' }',
+].join('\n');
+
+test('getAddedLines returns added lines with their new-file numbers', () => {
+  assert.deepEqual(getAddedLines(PATCH), [
+    { line: 2, content: 'const b = 3;' },
+    { line: 3, content: 'const c = 4;' },
+    { line: 22, content: '// added' },
+  ]);
+});
+
+test('getChangedLines returns added lines and the place of removed ones', () => {
+  assert.deepEqual(getChangedLines(PATCH), [2, 3, 22]);
+  assert.deepEqual(getChangedLines('@@ -3,2 +3,1 @@\n a\n-b'), [4]);
+});
+
+test('lines that look like file headers inside a hunk are content', () => {
+  const patch = ['--- a/x.js', '+++ b/x.js', '@@ -1,3 +1,3 @@', ' a', '--- removed comment', '+++x', ' b'].join('\n');
+  assert.deepEqual(getAddedLines(patch), [{ line: 2, content: '++x' }]);
+  assert.deepEqual(getChangedLines(patch), [2]);
+  assert.equal(getDiffLines(patch, 'RIGHT').get(3), 'b');
+  assert.equal(getDiffLines(patch, 'LEFT').get(2), '-- removed comment');
+  assert.equal(getDiffLines(patch, 'LEFT').get(3), 'b');
+});
+
+test('getDiffLines returns the lines of one side', () => {
+  const right = getDiffLines(PATCH, 'RIGHT');
+  assert.equal(right.get(1), 'const a = 1;');
+  assert.equal(right.get(3), 'const c = 4;');
+  assert.equal(right.get(23), '}');
+  const left = getDiffLines(PATCH, 'LEFT');
+  assert.equal(left.get(2), 'const b = 2;');
+  assert.equal(left.get(3), 'const d = 5;');
+});
+
+test('parsePatchesForComments records commentable lines per hunk and side', () => {
+  const { hunks } = parsePatchesForComments([{ filename: 'a.js', patch: PATCH }]).get('a.js');
+  assert.equal(hunks.length, 2);
+  assert.deepEqual([...hunks[0].RIGHT], [1, 2, 3, 4, 5]);
+  assert.deepEqual([...hunks[0].LEFT], [1, 2, 3, 4]);
+  assert.deepEqual([...hunks[1].RIGHT], [21, 22, 23]);
+});
+
+test('resolveCommentLocations keeps valid lines and ranges', () => {
+  const patchMap = parsePatchesForComments([{ filename: 'a.js', patch: PATCH }]);
+  const [resolved] = resolveCommentLocations([{ path: 'a.js', line: 3, startLine: 2 }], patchMap);
+  assert.equal(resolved.line, 3);
+  assert.equal(resolved.side, 'RIGHT');
+  assert.equal(resolved.startLine, 2);
+  assert.equal(resolved.snapped, false);
+});
+
+test('resolveCommentLocations snaps a line just outside a hunk and drops a range across hunks', () => {
+  const patchMap = parsePatchesForComments([{ filename: 'a.js', patch: PATCH }]);
+  const [snapped] = resolveCommentLocations([{ path: 'a.js', line: 6 }], patchMap);
+  assert.equal(snapped.line, 5);
+  assert.equal(snapped.snapped, true);
+  assert.equal(snapped.originalLine, 6);
+  const [ranged] = resolveCommentLocations([{ path: 'a.js', line: 22, startLine: 3 }], patchMap);
+  assert.equal(ranged.startLine, undefined);
+  assert.equal(ranged.rangeDropped, true);
+});
+
+test('resolveCommentLocations marks comments too far from any diff line as unplaced', () => {
+  const patchMap = parsePatchesForComments([{ filename: 'a.js', patch: PATCH }]);
+  assert.deepEqual(resolveCommentLocations([{ path: 'a.js', line: 12, side: 'LEFT' }], patchMap), [
+    { path: 'a.js', line: 12, side: 'LEFT', unplaced: true },
+  ]);
+  const [far] = resolveCommentLocations([{ path: 'a.js', line: 13, body: 'x' }], patchMap);
+  assert.equal(far.unplaced, true);
+  assert.equal(far.line, 13);
+  assert.equal(far.side, 'RIGHT');
+});
+
+test('unplaced findings are listed in the review body', () => {
+  const section = formatUnplacedFindings([
+    { path: 'a.js', line: 40, side: 'RIGHT', body: '**major** · bug\n\nOff by one.\n\n---\n**Suggested prompt:** fix it' },
+    { path: 'b.js', line: 3, side: 'LEFT', body: 'Removed check.' },
+  ]);
+  assert.match(section, /^### Findings outside the diff/);
+  assert.match(section, /- `a\.js` line 40: \*\*major\*\* · bug Off by one\.$/m);
+  assert.match(section, /- `b\.js` removed line 3: Removed check\.$/m);
+});
+
+test('resolveCommentLocations drops comments on files outside the diff', () => {
+  const patchMap = parsePatchesForComments([{ filename: 'a.js', patch: PATCH }]);
+  assert.deepEqual(resolveCommentLocations([{ path: 'b.js', line: 1 }], patchMap), []);
+});
+
+test('parseUnifiedDiff parses git diff output into files', () => {
+  const diff = [
+    'diff --git a/src/app.js b/src/app.js',
+    'index 1111111..2222222 100644',
+    '--- a/src/app.js',
+    '+++ b/src/app.js',
+    '@@ -1,2 +1,2 @@',
+    '-let x = 1;',
+    '+let x = 2;',
+    ' export default x;',
+    'diff --git a/new.txt b/new.txt',
+    'new file mode 100644',
+    '--- /dev/null',
+    '+++ b/new.txt',
+    '@@ -0,0 +1 @@',
+    '+hello',
+    '\\ No newline at end of file',
+    'diff --git a/old.js b/renamed.js',
+    'similarity index 90%',
+    '--- a/old.js',
+    '+++ b/renamed.js',
+    '@@ -1 +1 @@',
+    '-a',
+    '+b',
+    'diff --git a/logo.png b/logo.png',
+    'Binary files a/logo.png and b/logo.png differ',
+    '',
+  ].join('\n');
+  const files = parseUnifiedDiff(diff);
+  assert.deepEqual(
+    files.map((f) => [f.filename, f.status]),
+    [
+      ['src/app.js', 'modified'],
+      ['new.txt', 'added'],
+      ['renamed.js', 'renamed'],
+      ['logo.png', 'modified'],
+    ]
+  );
+  assert.equal(files[0].patch, '@@ -1,2 +1,2 @@\n-let x = 1;\n+let x = 2;\n export default x;');
+  assert.equal(files[1].patch, '@@ -0,0 +1 @@\n+hello\n\\ No newline at end of file');
+  assert.equal(files[2].previous_filename, 'old.js');
+  assert.equal(files[3].patch, undefined);
+});
+
+test('parseUnifiedDiff does not take removed "--" lines for file headers', () => {
+  const diff = ['--- a/q.sql', '+++ b/q.sql', '@@ -1,2 +0,0 @@', '--- a comment', '-+++ not a header', ''].join('\n');
+  const files = parseUnifiedDiff(diff);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].patch, '@@ -1,2 +0,0 @@\n--- a comment\n-+++ not a header');
+});
@@ -0,0 +1,90 @@
+/**
+ * In-memory stand-in for the few MongoDB collection methods the tests reach (see setDB in src/db.js).
+ * Filters match top-level fields only; updates support $set, $setOnInsert, $unset and $inc with dotted paths.
+ * failNext(name, method) makes the next call of a collection method throw, to test error paths.
+ */
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([key, value]) => doc[key] === value);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) target = target[key] ??= {};
+  if (value === undefined) delete target[last];
+  else target[last] = value;
+}
+
+function applyUpdate(doc, update, inserting) {
+  for (const [path, value] of Object.entries(update.$set ?? {})) setPath(doc, path, value);
+  if (inserting) for (const [path, value] of Object.entries(update.$setOnInsert ?? {})) setPath(doc, path, value);
+  for (const path of Object.keys(update.$unset ?? {})) setPath(doc, path, undefined);
+  for (const [key, value] of Object.entries(update.$inc ?? {})) doc[key] = (doc[key] ?? 0) + value;
+}
+
+export function createFakeDb() {
+  const collections = new Map();
+  const failures = new Set();
+
+  function collection(name) {
+    if (!collections.has(name)) collections.set(name, []);
+    const docs = collections.get(name);
+    const failIfAsked = (method) => {
+      if (failures.delete(`${name}.${method}`)) throw new Error(`${name}.${method} failed`);
+    };
+    return {
+      async insertOne(doc) {
+        failIfAsked('insertOne');
+        if (doc._id !== undefined && docs.some((d) => d._id === doc._id)) {
+          throw Object.assign(new Error('duplicate key'), { code: DUPLICATE_KEY_ERROR });
+        }
+        docs.push({ ...doc });
+        return { insertedId: doc._id };
+      },
+      async findOne(filter = {}) {
+        failIfAsked('findOne');
+        return docs.find((d) => matches(d, filter)) ?? null;
+      },
+      async updateOne(filter, update, { upsert = false } = {}) {
+        failIfAsked('updateOne');
+        const doc = docs.find((d) => matches(d, filter));
+        if (doc) {
+          applyUpdate(doc, update, false);
+        } else if (upsert) {
+          const inserted = { ...filter };
+          applyUpdate(inserted, update, true);
+          docs.push(inserted);
+        }
+        return { matchedCount: doc ? 1 : 0, upsertedCount: !doc && upsert ? 1 : 0 };
+      },
+      async findOneAndUpdate(filter, update, { upsert = false } = {}) {
+        failIfAsked('findOneAndUpdate');
+        let doc = docs.find((d) => matches(d, filter));
+        if (doc) {
+          applyUpdate(doc, update, false);
+        } else if (upsert) {
+          doc = { ...filter };
+          applyUpdate(doc, update, true);
+          docs.push(doc);
+        }
+        return doc ?? null;
+      },
+      async deleteOne(filter) {
+        failIfAsked('deleteOne');
+        const index = docs.findIndex((d) => matches(d, filter));
+        if (index !== -1) docs.splice(index, 1);
+        return { deletedCount: index === -1 ? 0 : 1 };
+      },
+    };
+  }
+
+  return {
+    collection,
+    docs: (name) => collections.get(name) ?? [],
+    failNext: (name, method) => failures.add(`${name}.${method}`),
+  };
+}
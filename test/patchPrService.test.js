@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPatchPullRequest } from '../src/patchPrService.js';
+
+const owner = 'acme';
+const repo = 'app';
+const pr = {
+  number: 7,
+  title: 'Add helper',
+  head: { sha: 'head2222222', ref: 'feature', repo: { full_name: 'acme/app' } },
+  base: { ref: 'main' },
+};
+const file = 'const a = 1;\nconst b = 2;\nconst c = 3;\n';
+
+/** Octokit stand-in for one file and the given open patch PRs; records writes in calls. */
+function fakeOctokit(openPatchPrs = []) {
+  const calls = { updated: [], comments: [], blobs: [] };
+  const octokit = {
+    calls,
+    paginate: async (route) => (route === octokit.pulls.list ? openPatchPrs : []),
+    repos: { getContent: async () => ({ data: { encoding: 'base64', content: Buffer.from(file).toString('base64') } }) },
+    pulls: {
+      list: async () => ({ data: [] }),
+      update: async (params) => calls.updated.push(params),
+      create: async () => ({ data: { number: 9, html_url: 'https://github.test/acme/app/pull/9' } }),
+    },
+    issues: { createComment: async (params) => calls.comments.push(params) },
+    git: {
+      createBlob: async ({ content }) => {
+        calls.blobs.push(content);
+        return { data: { sha: 'blob' } };
+      },
+      getCommit: async () => ({ data: { tree: { sha: 'tree1' } } }),
+      createTree: async () => ({ data: { sha: 'tree2' } }),
+      createCommit: async () => ({ data: { sha: 'commit2' } }),
+      updateRef: async () => ({}),
+      createRef: async () => ({}),
+      deleteRef: async () => ({}),
+    },
+  };
+  return octokit;
+}
+
+const patchB = '@@ -1,3 +1,3 @@\n const a = 1;\n-const b = 2;\n+const b = 20;\n const c = 3;';
+const stalePatch = '@@ -1,3 +1,3 @@\n const x = 1;\n-const y = 2;\n+const y = 20;\n const z = 3;';
+
+test('the open patch PR is closed when no patch applies to the new head', async () => {
+  const octokit = fakeOctokit([{ number: 8, head: { ref: 'mergemonk/patches-7', repo: { full_name: 'acme/app' } } }]);
+
+  const result = await createPatchPullRequest(octokit, owner, repo, pr, [{ path: 'src/a.js', patch: stalePatch }]);
+
+  assert.equal(result, null);
+  assert.deepEqual(octokit.calls.updated, [{ owner, repo, pull_number: 8, state: 'closed' }]);
+  assert.match(octokit.calls.comments[0].body, /no longer apply to head222/);
+});
+
+test('a file is regenerated when one of its patches does not apply', async () => {
+  const octokit = fakeOctokit();
+  const regenerated = [];
+  const regeneratePatch = async (path, content) => {
+    regenerated.push(path);
+    assert.equal(content, file);
+    return '@@ -1,3 +1,3 @@\n-const a = 1;\n+const a = 10;\n const b = 2;\n-const c = 3;\n+const c = 30;';
+  };
+
+  const result = await createPatchPullRequest(
+    octokit,
+    owner,
+    repo,
+    pr,
+    [
+      { path: 'src/a.js', patch: patchB },
+      { path: 'src/a.js', patch: stalePatch },
+    ],
+    { regeneratePatch }
+  );
+
+  assert.equal(result.created, true);
+  assert.deepEqual(regenerated, ['src/a.js']);
+  assert.deepEqual(octokit.calls.blobs, ['const a = 10;\nconst b = 2;\nconst c = 30;\n']);
+});
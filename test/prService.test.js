@@ -0,0 +1,75 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { setDB } from '../src/db.js';
+import { reviewPullRequest } from '../src/prService.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+// The fake provider answers from fixtures and reports the fixture's token usage.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mergemonk-test-'));
+const fixtures = path.join(dir, 'fixtures.json');
+fs.writeFileSync(
+  fixtures,
+  JSON.stringify([
+    {
+      response: {
+        summary: 'Adds a helper.',
+        qualityRating: 8,
+        qualityRatingReason: 'Small and clear.',
+        securityAssessment: 'No issues.',
+        systemDesignAssessment: 'No issues.',
+        scalabilityAssessment: 'No issues.',
+        reviewBody: 'Looks fine.',
+        comments: [],
+        filePatches: [],
+      },
+      usage: { promptTokens: 1200, completionTokens: 300 },
+    },
+  ])
+);
+process.env.MERGEMONK_FAKE_LLM_FIXTURES = fixtures;
+process.env.MERGEMONK_REPO_CONTEXT = 'false';
+after(() => {
+  setDB(null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const pr = {
+  number: 7,
+  title: 'Add helper',
+  body: '',
+  draft: false,
+  user: { login: 'dev' },
+  head: { sha: 'head1', ref: 'feature' },
+  base: { sha: 'base1', ref: 'main', repo: {} },
+};
+const files = [{ filename: 'src/a.js', status: 'added', patch: '@@ -0,0 +1 @@\n+export const a = 1;' }];
+
+/** Octokit stand-in: the PR and its files; every list is otherwise empty and any write fails the test. */
+function fakeOctokit() {
+  return {
+    pulls: {
+      get: async () => ({ data: pr }),
+      listFiles: 'listFiles',
+      listReviewComments: 'listReviewComments',
+      listReviews: 'listReviews',
+      createReview: async () => assert.fail('a dry run must not post a review'),
+    },
+    checks: { create: async () => assert.fail('a dry run must not start a check run') },
+    paginate: async (route) => (route === 'listFiles' ? files : []),
+  };
+}
+
+test('a dry run reports its AI usage without saving it', async () => {
+  const db = createFakeDb();
+  setDB(db);
+  await db.collection('installation_settings').insertOne({ _id: 42, llm: { provider: 'fake', model: 'fake' } });
+
+  const result = await reviewPullRequest(fakeOctokit(), 'acme', 'app', 7, { installationId: 42, full: true, dryRun: true });
+
+  assert.equal(result.usage.promptTokens, 1200);
+  assert.equal(result.usage.completionTokens, 300);
+  assert.deepEqual(db.docs('llm_usage'), []);
+});
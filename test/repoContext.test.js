@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadRepoContext } from '../src/repoContext.js';
+
+const FILES = {
+  'src/app.js': "import { helper } from './helper.js';\nimport { secret } from '../vendor/secret.js';\n",
+  'src/helper.js': 'export function helper() {}\n',
+  'vendor/secret.js': 'export const secret = 1;\n',
+};
+
+/**
+ * Octokit stand-in serving FILES as the repository at every ref. Records the paths that were fetched.
+ */
+function fakeOctokit(fetched) {
+  return {
+    git: {
+      getTree: async () => ({ data: { tree: Object.keys(FILES).map((p) => ({ path: p, type: 'blob' })) } }),
+    },
+    repos: {
+      getContent: async ({ path }) => {
+        fetched.push(path);
+        return { data: { encoding: 'base64', content: Buffer.from(FILES[path]).toString('base64') } };
+      },
+    },
+  };
+}
+
+test('imported files outside the include/ignore globs are not fetched', async () => {
+  const fetched = [];
+  const files = [{ filename: 'src/app.js', status: 'modified', patch: '@@ -3,0 +3,1 @@\n+helper(secret);' }];
+  const settings = { context: { enabled: true }, include: [], ignore: ['vendor/**'] };
+  const context = await loadRepoContext(fakeOctokit(fetched), 'o', 'r', 'sha', files, settings);
+  assert.deepEqual(fetched, ['src/app.js', 'src/helper.js']);
+  assert.deepEqual(context.imports.get('src/app.js').map((i) => i.path), ['src/helper.js']);
+});
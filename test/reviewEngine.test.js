@@ -0,0 +1,49 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { runAIReview, runReview } from '../src/reviewEngine.js';
+import { resolveReviewSettings } from '../src/repoConfig.js';
+
+// The fake provider answers from fixtures, so the AI review runs offline.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mergemonk-test-'));
+const fixtures = path.join(dir, 'fixtures.json');
+fs.writeFileSync(
+  fixtures,
+  JSON.stringify([
+    {
+      response: {
+        summary: 'Adds a helper.',
+        qualityRating: 6,
+        qualityRatingReason: 'Fine.',
+        securityAssessment: 'No issues.',
+        systemDesignAssessment: 'No issues.',
+        scalabilityAssessment: 'No issues.',
+        reviewBody: 'Looks reasonable.',
+        comments: [{ path: 'src/a.js', line: 1, side: 'RIGHT', severity: 'major', category: 'bug', body: 'Off by one.', suggestedPrompt: 'Use i < n.' }],
+        filePatches: [],
+      },
+    },
+  ])
+);
+process.env.MERGEMONK_FAKE_LLM_FIXTURES = fixtures;
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const files = [{ filename: 'src/a.js', status: 'added', patch: '@@ -0,0 +1,2 @@\n+for (let i = 0; i <= n; i++) {}\n+export {};' }];
+const settings = resolveReviewSettings({}, { llm: { provider: 'fake', model: 'fake' } });
+
+test('runAIReview turns the model answer into a review body and comments', async () => {
+  const review = await runAIReview('Add helper', '', files, settings);
+  assert.match(review.body, /### Summary\nAdds a helper\./);
+  assert.match(review.body, /Code quality rating: 6\/10/);
+  assert.equal(review.qualityRating, 6);
+  assert.equal(review.comments.length, 1);
+  assert.equal(review.comments[0].severity, 'major');
+  assert.match(review.comments[0].body, /Off by one\.[\s\S]*Use i < n\./);
+});
+
+test('runReview is the rule-based fallback', () => {
+  const review = runReview([{ filename: 'src/b.js', patch: '@@ -0,0 +1 @@\n+console.log(1);' }], settings.rules);
+  assert.ok(review.comments.some((c) => c.ruleId === 'no-console-log'));
+});
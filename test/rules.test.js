@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runRules, registerRule, getRegisteredRules, findUnsafePattern } from '../src/rules.js';
+import { parseRepoConfig } from '../src/repoConfig.js';
+
+const patch = (...added) => `@@ -1,0 +1,${added.length} @@\n${added.map((line) => `+${line}`).join('\n')}`;
+
+test('built-in rules report added lines', () => {
+  const findings = runRules([{ filename: 'src/app.js', patch: patch('const a = 1;', 'console.log(a);') }]);
+  const finding = findings.find((f) => f.ruleId === 'no-console-log');
+  assert.ok(finding);
+  assert.equal(finding.line, 2);
+  assert.equal(finding.path, 'src/app.js');
+});
+
+test('disabled rules do not run', () => {
+  const findings = runRules([{ filename: 'src/app.js', patch: patch('console.log(1);') }], { disable: ['no-console-log'] });
+  assert.equal(findings.some((f) => f.ruleId === 'no-console-log'), false);
+});
+
+test('custom rules from the repo config match with their options and file globs', () => {
+  const custom = [{ id: 'no-moment', pattern: "from 'moment'", message: 'Use date-fns', severity: 'major', files: ['src/**'] }];
+  const findings = runRules(
+    [
+      { filename: 'src/a.js', patch: patch("import m from 'moment';") },
+      { filename: 'scripts/b.js', patch: patch("import m from 'moment';") },
+    ],
+    { custom }
+  );
+  const matched = findings.filter((f) => f.ruleId === 'no-moment');
+  assert.deepEqual(matched.map((f) => [f.path, f.severity]), [['src/a.js', 'major']]);
+});
+
+test('registerRule rejects rules without a pattern or match function', () => {
+  assert.throws(() => registerRule({ id: 'broken' }));
+  assert.equal(getRegisteredRules().some((r) => r.id === 'broken'), false);
+});
+
+test('findUnsafePattern rejects backreferences, lookarounds, invalid and long patterns', () => {
+  for (const pattern of ['(.)\\1', '(?=x)a', '(?<!x)a', '(a', 'a'.repeat(201)]) {
+    assert.ok(findUnsafePattern(pattern), pattern);
+  }
+  for (const pattern of ["from ['\"]moment['\"]", '(foo|bar)+', '(a+)+$', '(?:ab)*', '[(+]+a', '\\bTODO\\b']) {
+    assert.equal(findUnsafePattern(pattern), null, pattern);
+  }
+});
+
+test('unsupported custom patterns are reported by the config and never run', () => {
+  const { config, errors } = parseRepoConfig('rules:\n  custom:\n    - id: backref\n      pattern: "(a)\\\\1"\n      message: x\n');
+  assert.deepEqual(config.rules.custom, []);
+  assert.match(errors[0], /rules\.custom\[0\]\.pattern/);
+});
+
+test('custom patterns that backtrack exponentially in JavaScript run in linear time', () => {
+  const custom = [
+    { id: 'overlap', pattern: '(a|a)*b', message: 'overlapping alternation' },
+    { id: 'prefix', pattern: '^(a|aa)*c$', message: 'overlapping prefixes' },
+    { id: 'nested', pattern: '(a+)+$', message: 'nested quantifier' },
+    { id: 'chained', pattern: '.*.*.*.*.*x', message: 'chained .*' },
+  ];
+  const started = Date.now();
+  const findings = runRules([{ filename: 'a.txt', patch: patch(`${'a'.repeat(5000)}!`) }], { custom });
+  assert.ok(Date.now() - started < 2000);
+  assert.deepEqual(findings.map((f) => f.ruleId), []);
+  const matched = runRules([{ filename: 'a.txt', patch: patch(`${'a'.repeat(28)}b x`) }], { custom });
+  assert.deepEqual(matched.map((f) => f.ruleId), ['overlap', 'chained']);
+});
+
+test('custom rules match long lines', () => {
+  const custom = [{ id: 'no-foo', pattern: 'FOO', ignoreCase: true, message: 'No foo' }];
+  const findings = runRules([{ filename: 'a.js', patch: patch(`foo ${'x'.repeat(600)}`, 'foo') }], { custom });
+  assert.deepEqual(findings.filter((f) => f.ruleId === 'no-foo').map((f) => f.line), [1, 2]);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findBlockingReviews, findStillOpenFindings } from '../src/staleReviewService.js';
+
+const bot = { type: 'Bot' };
+const comment = (id, fingerprint, fields = {}) => ({
+  id,
+  user: bot,
+  body: `finding\n\n<!-- mergemonk:fingerprint=${fingerprint} -->`,
+  position: 1,
+  line: 10,
+  ...fields,
+});
+
+/**
+ * Octokit stand-in: listReviewComments returns comments, listReviews returns reviews, the review threads query
+ * returns threads. resolvedBy maps root comment ids of resolved threads to who resolved them; only `maintainer`
+ * has write access.
+ */
+function fakeOctokit(comments, resolvedBy = {}, reviews = []) {
+  return {
+    pulls: { listReviewComments: 'listReviewComments', listReviews: 'listReviews' },
+    repos: {
+      getCollaboratorPermissionLevel: async ({ username }) => ({
+        data: { permission: username === 'maintainer' ? 'write' : 'read' },
+      }),
+    },
+    paginate: async (route) => (route === 'listReviews' ? reviews : comments),
+    graphql: async () => ({
+      repository: {
+        pullRequest: {
+          reviewThreads: {
+            nodes: comments.map((c) => ({
+              id: `t${c.id}`,
+              isResolved: c.id in resolvedBy,
+              resolvedBy: c.id in resolvedBy ? { login: resolvedBy[c.id] } : null,
+              comments: { nodes: [{ databaseId: c.id }] },
+            })),
+            pageInfo: { hasNextPage: false, endCursor: null },
+          },
+        },
+      },
+    }),
+  };
+}
+
+const earlier = [
+  { path: 'a.js', line: 3, startLine: 2, severity: 'major', fingerprint: 'aaaa' },
+  { path: 'b.js', line: 5, severity: 'major', fingerprint: 'bbbb' },
+  { path: 'c.js', line: 7, severity: 'minor', fingerprint: 'cccc' },
+  { path: 'd.js', line: 9, severity: 'minor', fingerprint: 'dddd' },
+  { path: 'e.js', line: 1, severity: 'minor', fingerprint: null },
+];
+
+test('earlier findings stay open unless resolved, outdated, flagged again or their file changed', async () => {
+  const octokit = fakeOctokit(
+    [comment(1, 'aaaa', { line: 12 }), comment(2, 'bbbb'), comment(3, 'cccc', { position: null }), comment(4, 'dddd')],
+    { 2: 'maintainer' }
+  );
+  const open = await findStillOpenFindings(octokit, 'o', 'r', 1, earlier, {
+    changedPaths: new Set(['e.js']),
+    newFindings: [{ fingerprint: 'dddd' }],
+  });
+  assert.deepEqual(open, [{ path: 'a.js', line: 12, startLine: 11, severity: 'major', fingerprint: 'aaaa' }]);
+});
+
+test('findings without a comment stay open while their file is unchanged', async () => {
+  const open = await findStillOpenFindings(fakeOctokit([]), 'o', 'r', 1, earlier.slice(4), {
+    changedPaths: new Set(),
+    newFindings: [],
+  });
+  assert.equal(open.length, 1);
+});
+
+test('a thread resolved without write access does not close its finding', async () => {
+  const octokit = fakeOctokit([comment(2, 'bbbb')], { 2: 'author' });
+  const open = await findStillOpenFindings(octokit, 'o', 'r', 1, earlier.slice(1, 2), {
+    changedPaths: new Set(),
+    newFindings: [],
+  });
+  assert.deepEqual(open.map((f) => f.fingerprint), ['bbbb']);
+});
+
+test('a blocking review is addressed only when a writer resolved its threads', async () => {
+  const review = { id: 9, state: 'CHANGES_REQUESTED', user: bot, body: 'review <!-- mergemonk -->' };
+  const findings = [comment(2, 'bbbb', { pull_request_review_id: 9 })];
+  const byAuthor = await findBlockingReviews(fakeOctokit(findings, { 2: 'author' }, [review]), 'o', 'r', 1, []);
+  assert.equal(byAuthor[0].addressed, false);
+  const byWriter = await findBlockingReviews(fakeOctokit(findings, { 2: 'maintainer' }, [review]), 'o', 'r', 1, []);
+  assert.equal(byWriter[0].addressed, true);
+});
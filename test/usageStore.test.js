@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findExceededLimit, describeExhaustedBudget, startOfMonth } from '../src/usageStore.js';
+import { resolveReviewSettings } from '../src/repoConfig.js';
+
+const NO_LIMITS = { monthlyCostUsd: null, monthlyTokens: null, pullRequestCostUsd: null, pullRequestTokens: null };
+
+test('no limits are never exceeded', () => {
+  assert.equal(findExceededLimit(NO_LIMITS, { month: { costUsd: 1e6, totalTokens: 1e9 } }), null);
+});
+
+test('monthly USD limit is exceeded once usage reaches it', () => {
+  const budget = { ...NO_LIMITS, monthlyCostUsd: 10 };
+  assert.equal(findExceededLimit(budget, { month: { costUsd: 9.99, totalTokens: 0 } }), null);
+  assert.deepEqual(findExceededLimit(budget, { month: { costUsd: 10, totalTokens: 0 } }), {
+    scope: 'month',
+    unit: 'usd',
+    used: 10,
+    limit: 10,
+  });
+});
+
+test('per-PR token cap is checked against the PR totals', () => {
+  const budget = { ...NO_LIMITS, pullRequestTokens: 1000 };
+  const exceeded = findExceededLimit(budget, {
+    month: { costUsd: 0, totalTokens: 5000 },
+    pullRequest: { costUsd: 0, totalTokens: 1200 },
+  });
+  assert.equal(exceeded.scope, 'pull_request');
+  assert.equal(exceeded.unit, 'tokens');
+});
+
+test('describeExhaustedBudget formats USD and token limits', () => {
+  assert.equal(
+    describeExhaustedBudget({ scope: 'month', unit: 'usd', used: 10.214, limit: 10 }),
+    "this installation's monthly AI budget ($10.21 of $10.00) is used up"
+  );
+  assert.equal(
+    describeExhaustedBudget({ scope: 'pull_request', unit: 'tokens', used: 12000, limit: 10000 }),
+    "this pull request's AI budget (12,000 of 10,000 tokens) is used up"
+  );
+});
+
+test('startOfMonth is the first day of the month in UTC', () => {
+  assert.equal(startOfMonth(new Date('2026-03-17T12:00:00Z')).toISOString(), '2026-03-01T00:00:00.000Z');
+});
+
+test('an unpriced model fails closed on USD limits', () => {
+  const budget = { ...NO_LIMITS, monthlyCostUsd: 10 };
+  const exceeded = findExceededLimit(budget, { month: { costUsd: 0, totalTokens: 50 } }, { priced: false });
+  assert.deepEqual(exceeded, { scope: 'month', unit: 'usd', used: 0, limit: 10, unpriced: true });
+  assert.equal(
+    describeExhaustedBudget(exceeded, 'llama3.1'),
+    "this installation's monthly AI budget ($10.00) cannot be checked because `llama3.1` has no price"
+  );
+});
+
+test('an unpriced model still runs under token limits', () => {
+  const budget = { ...NO_LIMITS, pullRequestTokens: 1000 };
+  assert.equal(findExceededLimit(budget, { pullRequest: { costUsd: 0, totalTokens: 10 } }, { priced: false }), null);
+});
+
+test('the repo config cannot pick the model while a budget is set', () => {
+  const installation = { llm: { provider: 'openai' } };
+  assert.equal(resolveReviewSettings({ model: 'gpt-4o' }, installation).model, 'gpt-4o');
+  const budgeted = { ...installation, budget: { monthlyCostUsd: 10 } };
+  assert.notEqual(resolveReviewSettings({ model: 'gpt-4o' }, budgeted).model, 'gpt-4o');
+});
+
+test('installation settings win over the repo config for model, review event and patch PRs', () => {
+  const repoConfig = { model: 'gpt-4o', review: { event: 'request_changes' }, patchPr: { enabled: true } };
+  const installation = { llm: { provider: 'openai', model: 'gpt-4o-mini' }, review: { event: 'comment' }, patchPr: { enabled: false } };
+  const settings = resolveReviewSettings(repoConfig, installation);
+  assert.equal(settings.model, 'gpt-4o-mini');
+  assert.equal(settings.reviewEvent, 'comment');
+  assert.equal(settings.createPatchPr, false);
+  assert.equal(resolveReviewSettings(repoConfig, { llm: { provider: 'openai' } }).reviewEvent, 'request_changes');
+});
+
+test('a repo can lower but not raise its batch and context token limits', () => {
+  const defaults = resolveReviewSettings({}, {});
+  const raised = resolveReviewSettings({ limits: { batchTokenBudget: 10 ** 9, maxBatches: 1000 }, context: { tokenBudget: 10 ** 9 } });
+  assert.equal(raised.batchTokenBudget, defaults.batchTokenBudget);
+  assert.equal(raised.maxBatches, defaults.maxBatches);
+  assert.equal(raised.context.tokenBudget, defaults.context.tokenBudget);
+  const lowered = resolveReviewSettings({ limits: { batchTokenBudget: 1000, maxBatches: 1 }, context: { tokenBudget: 500 } });
+  assert.deepEqual([lowered.batchTokenBudget, lowered.maxBatches, lowered.context.tokenBudget], [1000, 1, 500]);
+});
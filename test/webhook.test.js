@@ -0,0 +1,57 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setDB } from '../src/db.js';
+import { handleWebhook } from '../src/webhook.js';
+import { createFakeDb } from './helpers/fakeDb.js';
+
+after(() => setDB(null));
+
+/**
+ * Sends one delivery through handleWebhook and returns the status and body it was answered with (500 when it
+ * threw, like the server's error handler).
+ */
+async function deliver(event, deliveryId, payload) {
+  const res = {
+    statusCode: null,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  const req = { headers: { 'x-github-event': event, 'x-github-delivery': deliveryId }, body: payload, rawBody: Buffer.from('{}') };
+  try {
+    await handleWebhook(req, res);
+  } catch {
+    res.statusCode = 500;
+  }
+  return { status: res.statusCode, body: res.body };
+}
+
+test('a delivery whose handler failed is processed again when GitHub redelivers it', async () => {
+  const db = createFakeDb();
+  setDB(db);
+  const payload = { action: 'created', installation: { id: 7, account: { login: 'acme' } }, repositories: [] };
+
+  db.failNext('active_users', 'updateOne');
+  assert.equal((await deliver('installation', 'd1', payload)).status, 500);
+  assert.equal(db.docs('webhook_deliveries').length, 0);
+
+  assert.deepEqual(await deliver('installation', 'd1', payload), { status: 200, body: { ok: true } });
+  assert.equal(db.docs('active_users').length, 1);
+  assert.equal(db.docs('webhook_deliveries').length, 1);
+});
+
+test('a handled delivery is dropped when redelivered', async () => {
+  setDB(createFakeDb());
+  assert.deepEqual(await deliver('ping', 'd2', {}), { status: 200, body: 'Ignored' });
+  assert.deepEqual(await deliver('ping', 'd2', {}), { status: 200, body: 'Duplicate delivery' });
+});